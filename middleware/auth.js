@@ -12,6 +12,9 @@ exports.protect = async (req, res, next) => {
     ) {
         // Set token from Bearer token in header
         token = req.headers.authorization.split(' ')[1];
+    } else if (req.query && req.query.access_token && (req.headers.accept || '').includes('text/event-stream')) {
+        // EventSource cannot send headers, so event streams may pass the token in the query string
+        token = req.query.access_token;
     }
     
     // Make sure token exists
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+
+// How long a key and its stored response are kept
+const IDEMPOTENCY_TTL_HOURS = 24;
+
+// A key still 'processing' after this long belongs to a request that died; it can be retried
+const IDEMPOTENCY_LOCK_SECS = 60;
+
+const MAX_KEY_LENGTH = 255;
+
+const hashRequest = (req) => crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+
+// Claim the key for this request; returns the existing record if another request already has it
+const claimKey = async (req, key, requestHash) => {
+    const expiresAt = new Date(Date.now() + IDEMPOTENCY_TTL_HOURS * 60 * 60 * 1000);
+    try {
+        await IdempotencyKey.create({
+            key,
+            user: req.user._id,
+            method: req.method,
+            path: `${req.baseUrl}${req.path}`,
+            requestHash,
+            expiresAt
+        });
+        return null;
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    // Take over a key whose request never finished
+    const staleBefore = new Date(Date.now() - IDEMPOTENCY_LOCK_SECS * 1000);
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+        { user: req.user._id, key, requestHash, status: 'processing', updatedAt: { $lt: staleBefore } },
+        { $set: { expiresAt } }
+    );
+    if (takenOver) return null;
+
+    return IdempotencyKey.findOne({ user: req.user._id, key });
+};
+
+/**
+ * Make a money-moving route safe to retry. When the request carries an Idempotency-Key header,
+ * the first successful response is stored for IDEMPOTENCY_TTL_HOURS and replays of the same key
+ * get that response back (with an Idempotent-Replayed header) instead of running the route again.
+ * Rejections and server errors are not stored: nothing was charged, and their cause (balance,
+ * a taken slot, a write conflict) may be gone on the next try, so the key is released for a retry.
+ * Must run after `protect`. Requests without the header are handled as before.
+ */
+exports.idempotent = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return res.status(400).json({ error: `Idempotency-Key cannot be longer than ${MAX_KEY_LENGTH} characters.` });
+    }
+
+    try {
+        const requestHash = hashRequest(req);
+        const existing = await claimKey(req, key, requestHash);
+
+        if (existing) {
+            if (existing.requestHash !== requestHash) {
+                return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request.' });
+            }
+            if (existing.status === 'processing') {
+                return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed. Please retry shortly.' });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            if (existing.responseContentType) res.set('Content-Type', existing.responseContentType);
+            return res.status(existing.responseStatus).send(existing.responseBody);
+        }
+
+        // Store the response before it is sent, so a retry never runs the request a second time.
+        // res.json and res.send both finish through res.end, so hooking it covers every handler.
+        const end = res.end.bind(res);
+        let ending = false;
+        res.end = (chunk, encoding, callback) => {
+            if (ending) return res;
+            ending = true;
+
+            const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+            const body = typeof chunk === 'function' || chunk === undefined
+                ? ''
+                : (Buffer.isBuffer(chunk) ? chunk.toString('utf8') : String(chunk));
+            const stored = succeeded
+                ? IdempotencyKey.updateOne(
+                    { user: req.user._id, key },
+                    {
+                        status: 'completed',
+                        responseStatus: res.statusCode,
+                        responseBody: body,
+                        responseContentType: res.get('Content-Type')
+                    }
+                )
+                : IdempotencyKey.deleteOne({ user: req.user._id, key });
+            stored
+                .catch(error => console.error(`❌ Idempotency: failed to store the response for key ${key}:`, error.message))
+                .finally(() => end(chunk, encoding, callback));
+            return res;
+        };
+
+        next();
+    } catch (error) {
+        res.status(500).json({ error: 'Server Error' });
+    }
+};
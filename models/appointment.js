@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { getAppointmentWindow, timeToMinutes, minutesToTime, DEFAULT_APPOINTMENT_DURATION_MINS } = require('../utils/dateTime');
 
 const appointmentSchema = new Schema({
     user: {
@@ -22,13 +23,17 @@ const appointmentSchema = new Schema({
         ref: 'AppointmentType',
         required: true
     },
-    date: { type: String, required: true }, // Using string for simplicity, can be Date type
+    date: { type: String, required: true }, // Local calendar date at the hospital (YYYY-MM-DD)
     time: { type: String, required: true },
+    // Real instants derived from date/time in the hospital's timezone (see pre-validate hook)
+    startAt: { type: Date },
+    endAt: { type: Date },
     status: {
         type: String,
         required: true,
         // Added 'NoShow' to track prediction accuracy and patient reliability
-        enum: ['Upcoming', 'Completed', 'Cancelled', 'NoShow', 'DoctorCancelled'],
+        // 'NeedsReview': the patient checked in but was never called before the day was closed out
+        enum: ['Upcoming', 'Completed', 'Cancelled', 'NoShow', 'DoctorCancelled', 'NeedsReview'],
         default: 'Upcoming'
     },
     cancellationResolution: {
@@ -44,6 +49,11 @@ const appointmentSchema = new Schema({
         type: Boolean,
         default: false
     },
+    // Patient cancelled with less notice than the policy's full-refund tier (counts against reliability)
+    lateCancellation: {
+        type: Boolean,
+        default: false
+    },
     reminderSet: {
         type: Boolean,
         default: false
@@ -51,6 +61,14 @@ const appointmentSchema = new Schema({
     queueNumber: {
         type: String
     },
+    // Recurring series (e.g. weekly physiotherapy) this appointment belongs to
+    series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentSeries'
+    },
+    seriesIndex: {
+        type: Number
+    },
     // Doctor reminder tracking
     doctorReminder24hSent: {
         type: Boolean,
@@ -79,8 +97,49 @@ appointmentSchema.virtual('reports', {
     foreignField: 'appointment'
 });
 
-// Add a compound unique index to prevent double-booking
-appointmentSchema.index({ doctor: 1, date: 1, time: 1 }, { unique: true });
+// Keep startAt/endAt in sync whenever the local date/time changes
+appointmentSchema.pre('validate', async function() {
+    // Store one canonical format so "10:00" and "10:00 AM" are the same slot
+    const minutes = timeToMinutes(this.time);
+    if (minutes !== null) this.time = minutesToTime(minutes);
+
+    if (!this.isNew && !this.isModified('date') && !this.isModified('time') && !this.isModified('appointmentType') && this.startAt) {
+        return;
+    }
+
+    const session = this.$session();
+    const [hospital, appointmentType] = await Promise.all([
+        mongoose.model('Hospital').findById(this.hospital).select('timezone').session(session),
+        mongoose.model('AppointmentType').findById(this.appointmentType).select('duration').session(session)
+    ]);
+
+    const duration = appointmentType ? appointmentType.duration : DEFAULT_APPOINTMENT_DURATION_MINS;
+    const window = getAppointmentWindow(this.date, this.time, duration, hospital);
+    if (window) {
+        this.startAt = window.startAt;
+        this.endAt = window.endAt;
+    }
+});
+
+// Guard against two active appointments starting at the same time. Overlaps of
+// different start times are rejected in the booking service (see assertDoctorSlotFree).
+// Cancelled appointments are excluded so their slot can be booked again.
+appointmentSchema.index(
+    { doctor: 1, date: 1, time: 1 },
+    { unique: true, partialFilterExpression: { status: 'Upcoming' }, name: 'doctor_date_time_upcoming' }
+);
+
+// Index for time-based lookups (reminders, day views)
+appointmentSchema.index({ doctor: 1, startAt: 1 });
+
+// Index for the NoShow job (past Upcoming appointments)
+appointmentSchema.index({ status: 1, endAt: 1 });
+
+// Index for patient reliability scoring
+appointmentSchema.index({ user: 1, status: 1 });
+
+// Index for "this and following" operations on a series
+appointmentSchema.index({ series: 1, seriesIndex: 1 });
 
 
 module.exports = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A recurring set of appointments, e.g. "every Tuesday at 10:00 AM for 8 weeks"
+const appointmentSeriesSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    doctor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    appointmentType: {
+        type: Schema.Types.ObjectId,
+        ref: 'AppointmentType',
+        required: true
+    },
+    startDate: { type: String, required: true }, // YYYY-MM-DD of the first occurrence
+    time: { type: String, required: true },
+    intervalWeeks: { type: Number, default: 1, min: 1 },
+    occurrences: { type: Number, required: true, min: 2 },
+    status: {
+        type: String,
+        enum: ['Active', 'Cancelled'],
+        default: 'Active'
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
+appointmentSeriesSchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
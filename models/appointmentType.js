@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const cancellationPolicySchema = require('./cancellationPolicySchema');
 
 const i18nStringSchema = new Schema({
     en: { type: String, required: true, trim: true },
@@ -26,6 +27,10 @@ const appointmentTypeSchema = new Schema({
         ref: 'Hospital',
         required: true,
     },
+    // Optional override of the hospital's cancellation policy for this service
+    cancellationPolicy: {
+        type: cancellationPolicySchema
+    },
     specialty: {
         type: Schema.Types.ObjectId,
         ref: 'Specialty',
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Refund tier: applies when the patient cancels at least `minHoursBefore` hours before the start
+const cancellationTierSchema = new Schema({
+    minHoursBefore: { type: Number, required: true, min: [0, 'Hours before cannot be negative'] },
+    refundPercentage: {
+        type: Number,
+        required: true,
+        min: [0, 'Refund percentage cannot be less than 0'],
+        max: [100, 'Refund percentage cannot be more than 100']
+    }
+}, { _id: false });
+
+// Embedded in Hospital and AppointmentType (see cancellationPolicyService)
+const cancellationPolicySchema = new Schema({
+    tiers: { type: [cancellationTierSchema], default: undefined },
+    noShowRefundPercentage: {
+        type: Number,
+        min: [0, 'Refund percentage cannot be less than 0'],
+        max: [100, 'Refund percentage cannot be more than 100']
+    }
+}, { _id: false });
+
+module.exports = cancellationPolicySchema;
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One document per doctor per day. Booking transactions bump `version` before
+// checking for overlaps, so two concurrent bookings for the same doctor and day
+// conflict on this write and one of them is retried after the other commits.
+const doctorDayLockSchema = new Schema({
+    doctor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    date: { type: String, required: true }, // YYYY-MM-DD
+    version: { type: Number, default: 0 }
+});
+
+doctorDayLockSchema.index({ doctor: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('DoctorDayLock', doctorDayLockSchema);
@@ -1,12 +1,50 @@
 
 const mongoose = require('mongoose');
 const { Schema } = mongoose;
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('../utils/dateTime');
+const cancellationPolicySchema = require('./cancellationPolicySchema');
 
 const i18nStringSchema = new Schema({
     en: { type: String, required: true, trim: true },
     ar: { type: String, required: true, trim: true }
 }, { _id: false });
 
+// How priority lanes are ordered in the clinic queue (see queuePriorityService)
+const queuePolicySchema = new Schema({
+    priorityOrder: {
+        type: [{ type: String, enum: ['emergency', 'pregnant', 'elderly', 'follow_up', 'normal'] }],
+        default: undefined
+    },
+    maxConsecutivePriorityCalls: { type: Number, min: [1, 'Must allow at least one priority call'] },
+    maxWaitMins: { type: Number, min: [1, 'Maximum wait must be at least 1 minute'] }
+}, { _id: false });
+
+// When waiting patients get an "almost up" alert (see queueAlertService)
+const queueAlertsSchema = new Schema({
+    almostUpPosition: { type: Number, min: [0, 'Position cannot be negative'] },
+    almostUpMinutes: { type: Number, min: [0, 'Minutes cannot be negative'] }
+}, { _id: false });
+
+// How queue numbers look, e.g. prefix '{specialty}{room}-' gives CAR3-007 (see queueNumberService)
+const queueNumberFormatSchema = new Schema({
+    prefix: { type: String, trim: true, maxlength: [20, 'Queue number prefix is too long'] },
+    digits: { type: Number, min: [1, 'Use at least 1 digit'], max: [6, 'Use at most 6 digits'] }
+}, { _id: false });
+
+// A day (or range of days) when the hospital is closed, e.g. Eid or a national holiday
+const closureSchema = new Schema({
+    startDate: { type: String, required: true }, // YYYY-MM-DD
+    endDate: { type: String, required: true },   // YYYY-MM-DD, inclusive
+    reason: {
+        en: { type: String, default: '', trim: true },
+        ar: { type: String, default: '', trim: true }
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true });
+
 const hospitalSchema = new Schema({
     name: {
         type: i18nStringSchema,
@@ -38,18 +76,76 @@ const hospitalSchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: 'User'
     },
+    // Legacy flat refund percentage; used as a single tier when cancellationPolicy is unset
     refundPolicyPercentage: {
         type: Number,
         default: 100,
         min: [0, 'Refund percentage cannot be less than 0'],
         max: [100, 'Refund percentage cannot be more than 100']
     },
+    // Tiered refunds by notice given; falls back to refundPolicyPercentage when unset
+    cancellationPolicy: {
+        type: cancellationPolicySchema
+    },
+    queuePolicy: {
+        type: queuePolicySchema
+    },
+    queueNumberFormat: {
+        type: queueNumberFormatSchema
+    },
+    queueAlerts: {
+        type: queueAlertsSchema
+    },
+    // Platform commission taken from the hospital's net fees at settlement; unset uses the default
+    commissionPercent: {
+        type: Number,
+        min: [0, 'Commission cannot be negative'],
+        max: [100, 'Commission cannot exceed 100%']
+    },
     latitude: {
         type: Number
     },
     longitude: {
         type: Number
+    },
+    // IANA timezone used to interpret appointment dates/times and run daily jobs
+    timezone: {
+        type: String,
+        default: DEFAULT_TIMEZONE,
+        validate: {
+            validator: isValidTimezone,
+            message: props => `${props.value} is not a valid timezone`
+        }
+    },
+    closures: {
+        type: [closureSchema],
+        default: []
+    },
+    // SHA-256 of the token that waiting-room display screens use; the token itself is only shown once
+    displayTokenHash: {
+        type: String,
+        select: false
+    },
+    displayTokenRotatedAt: {
+        type: Date
+    },
+    // Same for the token of self check-in kiosks
+    kioskTokenHash: {
+        type: String,
+        select: false
+    },
+    kioskTokenRotatedAt: {
+        type: Date
     }
 }, { timestamps: true });
 
+/**
+ * Find the closure covering a date, if any.
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Object|undefined}
+ */
+hospitalSchema.methods.getClosureOn = function(date) {
+    return (this.closures || []).find(closure => date >= closure.startDate && date <= closure.endDate);
+};
+
 module.exports = mongoose.model('Hospital', hospitalSchema);
\ No newline at end of file
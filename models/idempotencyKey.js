@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A request made with an Idempotency-Key header, and the response it produced.
+// Replays of the same key return the stored response instead of running the request again.
+const idempotencyKeySchema = new Schema({
+    key: {
+        type: String,
+        required: true
+    },
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    method: {
+        type: String,
+        required: true
+    },
+    path: {
+        type: String,
+        required: true
+    },
+    // Hash of method, path and body, so a key reused for a different request is rejected
+    requestHash: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'completed'],
+        default: 'processing'
+    },
+    responseStatus: {
+        type: Number
+    },
+    // The response as sent (older keys hold the parsed JSON body)
+    responseBody: {
+        type: Schema.Types.Mixed
+    },
+    responseContentType: {
+        type: String
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, { timestamps: true });
+
+// Keys are scoped per user
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
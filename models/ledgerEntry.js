@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Amounts are compared after rounding to the smallest LYD unit (dirham)
+const roundAmount = (value) => Math.round(value * 1000) / 1000;
+
+const ledgerLineSchema = new Schema({
+    account: {
+        type: String,
+        required: true,
+        enum: [
+            'wallet',              // Patient funds held in the app (per user)
+            'hospital_receivable', // Fees earned by a hospital (per hospital)
+            'refunds',             // Fees handed back to patients (per hospital)
+            'cash_drawer',         // Cash collected at a hospital counter (per hospital)
+            'promotions',          // Funds given away through redeem codes
+            'payment_clearing',    // Deposits made through the patient portal
+            'adjustments',         // Manual credits, opening balances and closed wallets
+            'commission',          // Platform commission kept at hospital settlement
+            'payouts'              // Money paid out to hospitals at settlement
+        ]
+    },
+    // Owner of per-user / per-hospital accounts
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital'
+    },
+    debit: { type: Number, min: 0, default: 0 },
+    credit: { type: Number, min: 0, default: 0 }
+}, { _id: false });
+
+// One balanced journal entry. Entries are never edited; mistakes are reversed by a new entry.
+const ledgerEntrySchema = new Schema({
+    lines: {
+        type: [ledgerLineSchema],
+        required: true
+    },
+    // The wallet transaction that produced this entry, if any
+    transaction: {
+        type: Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    referenceId: {
+        type: String
+    },
+    description: {
+        type: String,
+        required: true
+    }
+}, { timestamps: true });
+
+ledgerEntrySchema.pre('validate', function (next) {
+    if (!this.lines || this.lines.length < 2) {
+        return next(new Error('A ledger entry needs at least two lines.'));
+    }
+    for (const line of this.lines) {
+        if ((line.debit > 0) === (line.credit > 0)) {
+            return next(new Error('Each ledger line must have either a debit or a credit.'));
+        }
+    }
+    const debits = this.lines.reduce((sum, line) => sum + line.debit, 0);
+    const credits = this.lines.reduce((sum, line) => sum + line.credit, 0);
+    if (roundAmount(debits) !== roundAmount(credits)) {
+        return next(new Error('Ledger entry is not balanced.'));
+    }
+    next();
+});
+
+ledgerEntrySchema.index({ 'lines.account': 1, 'lines.user': 1 });
+ledgerEntrySchema.index({ transaction: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// Queue number sequence of one doctor at one hospital on one day. Numbers are
+// taken with an atomic $inc, so concurrent bookings never get the same number.
+// The prefix is fixed when the day's first number is issued and is unique within
+// the hospital that day, so two doctors never share a number either.
+const queueCounterSchema = new Schema({
+    doctor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    date: { type: String, required: true }, // YYYY-MM-DD, in the hospital's timezone
+    prefix: { type: String, default: '' },
+    seq: { type: Number, default: 0 }
+});
+
+queueCounterSchema.index({ doctor: 1, hospital: 1, date: 1 }, { unique: true });
+queueCounterSchema.index({ hospital: 1, date: 1, prefix: 1 }, { unique: true });
+
+module.exports = mongoose.model('QueueCounter', queueCounterSchema);
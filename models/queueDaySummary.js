@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+const queueStatsSchema = new Schema({
+    checkedIn: { type: Number, default: 0 },
+    served: { type: Number, default: 0 },
+    left: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 },
+    // Still Waiting/Held when the day was closed out
+    unserved: { type: Number, default: 0 },
+    avgWaitMins: { type: Number, default: null },
+    avgServiceMins: { type: Number, default: null }
+}, { _id: false });
+
+const doctorQueueStatsSchema = new Schema({
+    doctor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, { _id: false });
+doctorQueueStatsSchema.add(queueStatsSchema);
+
+// One document per hospital per local day, written by the end-of-day close-out job
+const queueDaySummarySchema = new Schema({
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    date: { type: String, required: true }, // YYYY-MM-DD, in the hospital's timezone
+    totals: {
+        type: queueStatsSchema,
+        default: () => ({})
+    },
+    doctors: {
+        type: [doctorQueueStatsSchema],
+        default: []
+    },
+    // What the close-out did with appointments of patients still in the queue
+    appointmentOutcomes: {
+        completed: { type: Number, default: 0 },
+        noShow: { type: Number, default: 0 },
+        needsReview: { type: Number, default: 0 }
+    },
+    closedOutAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+queueDaySummarySchema.index({ hospital: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('QueueDaySummary', queueDaySummarySchema);
@@ -20,26 +20,65 @@ const queueItemSchema = new Schema({
         ref: 'Hospital',
         required: true
     },
+    // Set when the patient is in the queue for a booked appointment (walk-ins have none)
+    appointment: {
+        type: Schema.Types.ObjectId,
+        ref: 'Appointment'
+    },
+    appointmentType: {
+        type: Schema.Types.ObjectId,
+        ref: 'AppointmentType'
+    },
     queueNumber: {
         type: String,
         required: true
     },
     status: {
         type: String,
-        enum: ['Waiting', 'Serving', 'Held', 'Done', 'Left', 'RemovedByAdmin'],
+        // ClosedOut: still Waiting/Held when the end-of-day close-out ran
+        enum: ['Waiting', 'Serving', 'Held', 'Done', 'Left', 'RemovedByAdmin', 'ClosedOut'],
         default: 'Waiting'
     },
+    // Lane set by staff; the hospital's queue policy decides how lanes are ordered
+    priority: {
+        type: String,
+        enum: ['emergency', 'pregnant', 'elderly', 'follow_up', 'normal'],
+        default: 'normal'
+    },
     checkInTime: {
         type: Date,
         default: Date.now
-    }
+    },
+    // When the patient checked in on the day (staff, kiosk, walk-in or joining from the app).
+    // Same-day bookings are queued at booking time without it, so it tells a no-show from a patient who came
+    arrivedAt: { type: Date },
+    // Service timeline, used for wait-time estimates and analytics
+    calledAt: { type: Date },
+    serviceStartedAt: { type: Date },
+    completedAt: { type: Date },
+    // Proactive alerts already sent ('almost_up', 'next_in_line'), so each goes out once
+    alertsSent: {
+        type: [String],
+        default: []
+    },
+    // Staff paging a held patient back
+    lastPagedAt: { type: Date },
+    pageCount: { type: Number, default: 0 },
+    // Set when the end-of-day close-out ended this item
+    closedOutAt: { type: Date }
 }, { timestamps: true });
 
 // Index for efficient querying of a doctor's waiting queue
 queueItemSchema.index({ doctor: 1, status: 1 });
 
+// Index for a doctor's recent service times
+queueItemSchema.index({ doctor: 1, status: 1, completedAt: -1 });
+
 // Index for fetching a user's history
 queueItemSchema.index({ user: 1 });
 
+// Index for the close-out job (leftover items per hospital, archiving by age)
+queueItemSchema.index({ hospital: 1, status: 1, checkInTime: 1 });
+
 
 module.exports = mongoose.model('QueueItem', queueItemSchema);
\ No newline at end of file
@@ -0,0 +1,11 @@
+const mongoose = require('mongoose');
+const QueueItem = require('./queueItem');
+
+// Finished queue items older than the archive window are moved here by the close-out job,
+// keeping the live queueitems collection small. Same shape as QueueItem.
+const queueItemArchiveSchema = QueueItem.schema.clone();
+queueItemArchiveSchema.add({
+    archivedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model('QueueItemArchive', queueItemArchiveSchema, 'queueitems_archive');
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A named batch of redeem codes generated together, e.g. for a promotion
+const redeemCampaignSchema = new Schema({
+    name: {
+        type: String,
+        required: [true, 'Please provide a campaign name'],
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    // Value of each code
+    amount: {
+        type: Number,
+        required: true
+    },
+    codeCount: {
+        type: Number,
+        required: true
+    },
+    maxUses: {
+        type: Number,
+        default: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1
+    },
+    expiresAt: {
+        type: Date
+    },
+    // Put in front of every generated code, e.g. RAMADAN-7KQ2M9XH4A
+    prefix: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, { timestamps: true });
+
+module.exports = mongoose.model('RedeemCampaign', redeemCampaignSchema);
@@ -13,6 +13,36 @@ const redeemCodeSchema = new Schema({
         type: Number,
         required: [true, 'Please specify an amount for this code']
     },
+    // Set on codes generated in bulk
+    campaign: {
+        type: Schema.Types.ObjectId,
+        ref: 'RedeemCampaign'
+    },
+    // No expiry when unset
+    expiresAt: {
+        type: Date
+    },
+    // How many times the code can be redeemed in total, and by the same patient
+    maxUses: {
+        type: Number,
+        default: 1,
+        min: [1, 'A code must allow at least one use']
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: [1, 'A code must allow at least one use per patient']
+    },
+    redemptionCount: {
+        type: Number,
+        default: 0
+    },
+    redemptions: [{
+        _id: false,
+        user: { type: Schema.Types.ObjectId, ref: 'User' },
+        redeemedAt: { type: Date }
+    }],
+    // True once every use has been redeemed
     isUsed: {
         type: Boolean,
         default: false
@@ -22,6 +52,7 @@ const redeemCodeSchema = new Schema({
         ref: 'User',
         required: true
     },
+    // The latest redemption
     usedBy: {
         type: Schema.Types.ObjectId,
         ref: 'User'
@@ -31,4 +62,6 @@ const redeemCodeSchema = new Schema({
     }
 }, { timestamps: true });
 
+redeemCodeSchema.index({ campaign: 1 });
+
 module.exports = mongoose.model('RedeemCode', redeemCodeSchema);
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// What the platform owes a hospital for one settlement period (see settlementService)
+const settlementSchema = new Schema({
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    // Inclusive local dates (YYYY-MM-DD) in the hospital's timezone
+    periodStart: {
+        type: String,
+        required: true
+    },
+    periodEnd: {
+        type: String,
+        required: true
+    },
+    // Appointment fees paid from patient wallets
+    grossFees: { type: Number, default: 0 },
+    feeCount: { type: Number, default: 0 },
+    // Fees handed back to patients' wallets
+    refunds: { type: Number, default: 0 },
+    refundCount: { type: Number, default: 0 },
+    netFees: { type: Number, default: 0 },
+    commissionPercent: { type: Number, required: true },
+    commission: { type: Number, default: 0 },
+    // Cash the hospital took at its counter for wallet top-ups; it already holds that money
+    cashCollected: { type: Number, default: 0 },
+    // netFees - commission - cashCollected; negative when the hospital owes the platform
+    payout: { type: Number, default: 0 },
+    status: {
+        type: String,
+        enum: ['Draft', 'Approved', 'Paid'],
+        default: 'Draft'
+    },
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    approvedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    approvedAt: {
+        type: Date
+    },
+    paidBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    paidAt: {
+        type: Date
+    },
+    // Bank transfer or cheque number of the payout
+    paymentReference: {
+        type: String,
+        trim: true
+    }
+}, { timestamps: true });
+
+settlementSchema.index({ hospital: 1, periodStart: -1 });
+
+module.exports = mongoose.model('Settlement', settlementSchema);
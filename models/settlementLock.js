@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// One document per hospital. Settlement creation bumps `version` before checking for
+// overlapping periods, so two concurrent creates for the same hospital conflict on this
+// write and one of them is retried after the other commits.
+const settlementLockSchema = new Schema({
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    version: { type: Number, default: 0 }
+});
+
+settlementLockSchema.index({ hospital: 1 }, { unique: true });
+
+module.exports = mongoose.model('SettlementLock', settlementLockSchema);
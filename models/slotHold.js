@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A short-lived reservation of a doctor's slot while a patient completes checkout,
+// or while a waitlisted patient decides on an offer
+const slotHoldSchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    doctor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    appointmentType: {
+        type: Schema.Types.ObjectId,
+        ref: 'AppointmentType',
+        required: true
+    },
+    date: { type: String, required: true }, // YYYY-MM-DD
+    time: { type: String, required: true }, // h:mm A
+    duration: { type: Number, required: true }, // Minutes, copied from the appointment type
+    waitlistEntry: {
+        type: Schema.Types.ObjectId,
+        ref: 'WaitlistEntry'
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+        expires: 0 // Auto-delete once expiresAt has passed
+    }
+}, { timestamps: true });
+
+// One hold per slot start; expired holds are purged before a new one is placed
+slotHoldSchema.index({ doctor: 1, date: 1, time: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlotHold', slotHoldSchema);
@@ -15,6 +15,13 @@ const specialtySchema = new Schema({
         type: Schema.Types.ObjectId,
         ref: 'Hospital',
         required: true,
+    },
+    // Short code used in queue numbers, e.g. CAR for cardiology
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        maxlength: [6, 'Specialty code cannot be longer than 6 characters']
     }
 }, { timestamps: true });
 
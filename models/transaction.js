@@ -43,9 +43,34 @@ const transactionSchema = new Schema({
     referenceId: { // e.g., Appointment ID or RedeemCode ID
         type: String,
         required: true
+    },
+    // Where the money of a deposit came from; decides the ledger account it is posted against
+    fundingSource: {
+        type: String,
+        enum: ['portal', 'cash', 'redeem_code', 'admin']
+    },
+    // Set on deposits paid through a payment provider
+    payment: {
+        provider: { type: String },
+        providerReference: { type: String },
+        redirectUrl: { type: String },
+        failureReason: { type: String },
+        completedAt: { type: Date }
+    },
+    // Set on cancellation refunds: the policy tier that produced the amount
+    policyTier: {
+        source: { type: String, enum: ['appointmentType', 'hospital', 'default'] },
+        label: { type: String },
+        minHoursBefore: { type: Number },
+        refundPercentage: { type: Number },
+        hoursBeforeStart: { type: Number }
     }
 }, { timestamps: true });
 
 transactionSchema.index({ wallet: 1, createdAt: -1 });
+transactionSchema.index(
+    { 'payment.provider': 1, 'payment.providerReference': 1 },
+    { unique: true, partialFilterExpression: { 'payment.providerReference': { $exists: true } } }
+);
 
 module.exports = mongoose.model('Transaction', transactionSchema);
\ No newline at end of file
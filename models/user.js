@@ -23,6 +23,90 @@ const availabilitySchema = new Schema({
     }
 });
 
+const scheduleBreakSchema = new Schema({
+    startTime: { type: String, required: true }, // HH:mm format
+    endTime: { type: String, required: true }    // HH:mm format
+}, { _id: false });
+
+// One working shift in the recurring weekly schedule. A doctor can have several
+// shifts on the same day, possibly at different hospitals (split shifts).
+const scheduleShiftSchema = new Schema({
+    dayOfWeek: {
+        type: String,
+        enum: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
+        required: true
+    },
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    startTime: { type: String, required: true }, // HH:mm format
+    endTime: { type: String, required: true },   // HH:mm format
+    breaks: {
+        type: [scheduleBreakSchema],
+        default: []
+    }
+});
+
+// Date-specific override of the weekly schedule:
+// - 'closed': no work on that date (at one hospital, or everywhere if hospital is empty)
+// - 'extra': an additional one-off shift on that date
+const scheduleExceptionSchema = new Schema({
+    date: { type: String, required: true }, // YYYY-MM-DD
+    type: {
+        type: String,
+        enum: ['closed', 'extra'],
+        required: true
+    },
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital'
+    },
+    startTime: { type: String, default: '' }, // HH:mm format, 'extra' only
+    endTime: { type: String, default: '' },   // HH:mm format, 'extra' only
+    breaks: {
+        type: [scheduleBreakSchema],
+        default: []
+    },
+    reason: {
+        type: String,
+        default: '',
+        trim: true
+    },
+    createdAt: { type: Date, default: Date.now }
+});
+
+const scheduleSchema = new Schema({
+    // When empty, the legacy single-window `availability` array is used instead
+    weekly: {
+        type: [scheduleShiftSchema],
+        default: []
+    },
+    exceptions: {
+        type: [scheduleExceptionSchema],
+        default: []
+    }
+}, { _id: false });
+
+// Whether a doctor's queue is taking patients today (see doctorSessionService).
+// The state only applies to `date`; every new day starts open.
+const queueSessionSchema = new Schema({
+    state: {
+        type: String,
+        enum: ['open', 'paused', 'closed'],
+        default: 'open'
+    },
+    reason: { type: String, default: '', trim: true },
+    resumesAt: { type: Date }, // Expected end of a pause
+    date: { type: String },    // YYYY-MM-DD
+    updatedAt: { type: Date },
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { _id: false });
+
 const i18nStringSchema = new Schema({
     en: { type: String, required: true, trim: true },
     ar: { type: String, required: true, trim: true }
@@ -90,6 +174,12 @@ const UserSchema = new mongoose.Schema({
         type: Schema.Types.ObjectId,
         ref: 'Specialty'
     }],
+    // Consultation room shown next to the doctor on waiting-room displays
+    room: {
+        type: String,
+        default: '',
+        trim: true
+    },
     favoriteHospitals: [{
         type: Schema.Types.ObjectId,
         ref: 'Hospital'
@@ -128,6 +218,13 @@ const UserSchema = new mongoose.Schema({
             { dayOfWeek: 'Saturday', isAvailable: false, announcement: '', startTime: '', endTime: '' },
         ]
     },
+    schedule: {
+        type: scheduleSchema,
+        default: () => ({})
+    },
+    queueSession: {
+        type: queueSessionSchema
+    },
     medicalProfile: {
         type: medicalProfileSchema,
         default: () => ({})
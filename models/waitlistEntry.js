@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const { Schema } = mongoose;
+
+// A time-limited offer of a freed slot to a waitlisted patient
+const offerSchema = new Schema({
+    date: { type: String, required: true }, // YYYY-MM-DD
+    time: { type: String, required: true },
+    offeredAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true }
+}, { _id: false });
+
+const waitlistEntrySchema = new Schema({
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    doctor: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    hospital: {
+        type: Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    appointmentType: {
+        type: Schema.Types.ObjectId,
+        ref: 'AppointmentType',
+        required: true
+    },
+    startDate: { type: String, required: true }, // YYYY-MM-DD
+    endDate: { type: String, required: true },   // YYYY-MM-DD, inclusive
+    status: {
+        type: String,
+        enum: ['Waiting', 'Offered', 'Booked', 'Expired', 'Cancelled'],
+        default: 'Waiting'
+    },
+    offer: {
+        type: offerSchema,
+        default: null
+    },
+    // Slots ('YYYY-MM-DD|h:mm A') this patient declined or let expire, so they are not offered again
+    passedSlots: {
+        type: [String],
+        default: []
+    },
+    appointment: {
+        type: Schema.Types.ObjectId,
+        ref: 'Appointment'
+    }
+}, { timestamps: true });
+
+// Index for finding the next waitlisted patient for a doctor (FIFO by createdAt)
+waitlistEntrySchema.index({ doctor: 1, hospital: 1, status: 1, createdAt: 1 });
+
+// Index for the offer expiry job
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// Index for fetching a patient's entries
+waitlistEntrySchema.index({ user: 1, status: 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
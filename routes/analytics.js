@@ -4,7 +4,9 @@ const mongoose = require('mongoose');
 const { protect, authorize } = require('../middleware/auth');
 const Appointment = require('../models/appointment');
 const QueueItem = require('../models/queueItem'); // Added QueueItem
-const moment = require('moment');
+const QueueItemArchive = require('../models/queueItemArchive');
+const Hospital = require('../models/hospital');
+const dateTime = require('../utils/dateTime');
 
 router.use(protect, authorize('hospital manager', 'super admin'));
 
@@ -19,15 +21,22 @@ router.get('/', async (req, res) => {
             return res.status(400).json({ error: 'Start date and end date are required.' });
         }
         
-        // Use moment to handle timezone correctly and set to start/end of day
-        const start = moment.utc(startDate).startOf('day').toDate();
-        const end = moment.utc(endDate).endOf('day').toDate();
-        
         const primaryHospitalId = req.user.hospitals && req.user.hospitals.length > 0 ? req.user.hospitals[0] : null;
 
         if (req.user.role !== 'super admin' && !primaryHospitalId) {
              return res.status(400).json({ error: "User is not associated with a hospital." });
         }
+
+        // Day boundaries are the hospital's local midnight, not UTC
+        const hospital = primaryHospitalId ? await Hospital.findById(primaryHospitalId).select('timezone') : null;
+        const timezone = dateTime.resolveTimezone(hospital);
+        const startDay = dateTime.normalizeDate(startDate, timezone);
+        const endDay = dateTime.normalizeDate(endDate, timezone);
+        if (!startDay || !endDay) {
+            return res.status(400).json({ error: 'Invalid date range.' });
+        }
+        const { start } = dateTime.dayBoundsIn(startDay, timezone);
+        const { end } = dateTime.dayBoundsIn(endDay, timezone);
         
         const matchQuery = {
             createdAt: { $gte: start, $lte: end },
@@ -51,7 +60,7 @@ router.get('/', async (req, res) => {
             { $match: { ...matchQuery, status: 'Completed' } },
             {
                 $group: {
-                    _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+                    _id: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt", timezone } },
                     revenue: { $sum: '$cost' }
                 }
             },
@@ -90,19 +99,40 @@ router.get('/', async (req, res) => {
             { $project: { name: '$_id', count: 1, _id: 0 } },
         ]);
 
-        // Calculate Average Wait Time (Wait time is roughly checkInTime to updatedAt where status is 'Done' or 'Serving')
-        // This is an approximation. A more accurate system would log specific 'serviceStartTime'.
-        // For now, we assume 'updatedAt' of a 'Done' record is when they finished, which isn't wait time.
-        // Let's assume Wait Time = Time from Creation to Last Update for served patients minus 15mins consult? 
-        // Better: We really need a serviceStartTime field. Without it, we can't accurately calc wait time vs service time.
-        // Simplified Logic: Just count patients served per day to show throughput.
-        
+        // Wait time = check-in to being called; service time = consultation start to completion
+        const queueMatch = {
+            status: 'Done',
+            completedAt: { $gte: start, $lte: end },
+            calledAt: { $ne: null },
+            serviceStartedAt: { $ne: null }
+        };
+        if (req.user.role !== 'super admin') {
+            queueMatch.hospital = new mongoose.Types.ObjectId(primaryHospitalId);
+        }
+        const [queueTimes] = await QueueItem.aggregate([
+            { $match: queueMatch },
+            // Items older than the archive window live in a separate collection
+            { $unionWith: { coll: QueueItemArchive.collection.collectionName, pipeline: [{ $match: queueMatch }] } },
+            {
+                $group: {
+                    _id: null,
+                    avgWaitMs: { $avg: { $subtract: ['$calledAt', '$checkInTime'] } },
+                    avgServiceMs: { $avg: { $subtract: ['$completedAt', '$serviceStartedAt'] } },
+                    patientsServed: { $sum: 1 }
+                }
+            }
+        ]);
+        const toMinutes = (ms) => (ms ? Math.round((ms / 60000) * 10) / 10 : 0);
+
         res.json({
             kpis: {
                 totalRevenue,
                 totalAppointments,
                 cancellationRate,
-                avgRevenuePerAppointment
+                avgRevenuePerAppointment,
+                avgWaitTimeMins: toMinutes(queueTimes?.avgWaitMs),
+                avgServiceTimeMins: toMinutes(queueTimes?.avgServiceMs),
+                patientsServed: queueTimes ? queueTimes.patientsServed : 0
             },
             revenueOverTime,
             appointmentsByStatus: formattedAppointmentsByStatus,
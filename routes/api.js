@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose'); // Ensure mongoose is required for ObjectId
 const { protect, authorize } = require('../middleware/auth');
+const dateTime = require('../utils/dateTime');
 
 // Import models
 const Appointment = require('../models/appointment');
@@ -27,6 +28,12 @@ const appointmentTypeRoutes = require('./appointmentTypes');
 const analyticsRoutes = require('./analytics');
 const reportRoutes = require('./reports');
 const aiRoutes = require('./ai');
+const waitlistRoutes = require('./waitlist');
+const displayRoutes = require('./display');
+const kioskRoutes = require('./kiosk');
+const redeemCodeRoutes = require('./redeemCodes');
+const paymentRoutes = require('./payments');
+const settlementRoutes = require('./settlements');
 
 // @desc    Health check
 // @route   GET /api/health
@@ -48,6 +55,12 @@ router.use('/appointment-types', appointmentTypeRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/reports', reportRoutes);
 router.use('/ai', aiRoutes);
+router.use('/waitlist', waitlistRoutes);
+router.use('/display', displayRoutes);
+router.use('/kiosk', kioskRoutes);
+router.use('/redeem-codes', redeemCodeRoutes);
+router.use('/payments', paymentRoutes);
+router.use('/settlements', settlementRoutes);
 
 
 // --- Additional API routes required by the frontend ---
@@ -59,7 +72,7 @@ router.get('/dashboard', protect, async (req, res) => {
     try {
         const { role, _id, hospitals } = req.user;
         let data = {};
-        const today = new Date().toISOString().split('T')[0];
+        const today = dateTime.todayIn();
 
         if (role === 'patient') {
             // Fetch upcoming appointments (list)
@@ -178,9 +191,7 @@ router.get('/dashboard', protect, async (req, res) => {
             // Revenue over last 7 days
             const dates = [];
             for (let i = 6; i >= 0; i--) {
-                const d = new Date();
-                d.setDate(d.getDate() - i);
-                dates.push(d.toISOString().split('T')[0]);
+                dates.push(dateTime.addDays(today, -i));
             }
 
             let revenueOverLast7Days = [];
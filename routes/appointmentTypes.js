@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const AppointmentType = require('../models/appointmentType');
 const { protect, authorize } = require('../middleware/auth');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
 
 // @desc    Get all public appointment types
 // @route   GET /api/appointment-types/public
@@ -55,12 +56,19 @@ router.get('/', authorize('hospital manager', 'super admin', 'hospital staff'),
 // @route   POST /api/appointment-types
 router.post('/', authorize('hospital manager', 'super admin', 'hospital staff'), async (req, res) => {
     try {
-        const { name, duration, cost, specialty } = req.body;
+        const { name, duration, cost, specialty, cancellationPolicy } = req.body;
         const hospital = req.user.hospitals && req.user.hospitals.length > 0 ? req.user.hospitals[0] : null;
         
         if (!name || !duration || cost === undefined || !specialty || !hospital) {
             return res.status(400).json({ error: 'All fields are required.' });
         }
+        if (cancellationPolicy) {
+            try {
+                cancellationPolicyService.validatePolicy(cancellationPolicy);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
         
         const i18nName = { en: name, ar: name };
         const existing = await AppointmentType.findOne({ "name.en": name, hospital });
@@ -74,6 +82,7 @@ router.post('/', authorize('hospital manager', 'super admin', 'hospital staff'),
             cost,
             specialty,
             hospital,
+            cancellationPolicy,
             createdBy: req.user._id,
         });
 
@@ -89,7 +98,7 @@ router.post('/', authorize('hospital manager', 'super admin', 'hospital staff'),
 // @route   PUT /api/appointment-types/:id
 router.put('/:id', authorize('hospital manager', 'super admin', 'hospital staff'), async (req, res) => {
     try {
-        const { name, duration, cost, specialty, allowNameChange } = req.body;
+        const { name, duration, cost, specialty, allowNameChange, cancellationPolicy } = req.body;
         const type = await AppointmentType.findById(req.params.id);
         const primaryHospitalId = req.user.hospitals && req.user.hospitals.length > 0 ? req.user.hospitals[0] : null;
 
@@ -117,6 +126,20 @@ router.put('/:id', authorize('hospital manager', 'super admin', 'hospital staff'
             updatedFields.specialty = specialty;
         }
 
+        // Per-service override of the hospital cancellation policy; null removes it
+        if (cancellationPolicy !== undefined) {
+            if (cancellationPolicy) {
+                try {
+                    cancellationPolicyService.validatePolicy(cancellationPolicy);
+                } catch (validationError) {
+                    return res.status(400).json({ error: validationError.message });
+                }
+                updatedFields.cancellationPolicy = cancellationPolicy;
+            } else {
+                updatedFields.$unset = { cancellationPolicy: 1 };
+            }
+        }
+
         // Name changes are blocked unless explicitly allowed and different
         const requestedName = typeof name === 'string' ? name.trim() : null;
         const currentName = type.name?.en;
@@ -4,17 +4,24 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const Appointment = require('../models/appointment');
+const AppointmentSeries = require('../models/appointmentSeries');
 const QueueItem = require('../models/queueItem');
 const User = require('../models/user');
-const Hospital = require('../models/hospital');
 const Specialty = require('../models/specialty');
-const AppointmentType = require('../models/appointmentType');
 const Notification = require('../models/notification');
 const geminiService = require('../services/geminiService');
 const walletService = require('../services/walletService');
-const Wallet = require('../models/wallet');
-const moment = require('moment');
+const availabilityService = require('../services/availabilityService');
+const bookingService = require('../services/bookingService');
+const slotHoldService = require('../services/slotHoldService');
+const seriesService = require('../services/seriesService');
+const queueNumberService = require('../services/queueNumberService');
+const checkInService = require('../services/checkInService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const waitlistService = require('../services/waitlistService');
+const dateTime = require('../utils/dateTime');
 const { createNotification } = require('../utils/notificationHelper');
 const ExternalNotificationService = require('../services/externalNotificationService');
 
@@ -72,13 +79,16 @@ router.get('/:id/find-replacements', async (req, res) => {
     try {
         const appt = await Appointment.findById(req.params.id)
             .populate('doctor', 'name specialties hospitals')
-            .populate('hospital', 'name')
+            .populate('hospital', 'name closures')
             .populate({
                 path: 'appointmentType',
                 populate: { path: 'specialty', select: 'name' }
             });
 
         if (!appt) return res.status(404).json({ error: 'Appointment not found' });
+
+        // No doctor can take over on a day the hospital itself is closed
+        if (appt.hospital.getClosureOn(appt.date)) return res.json([]);
         
         const originalDoctorId = appt.doctor._id;
         const hospitalId = appt.hospital._id;
@@ -93,38 +103,24 @@ router.get('/:id/find-replacements', async (req, res) => {
             specialties: specialtyId,
             isActive: true,
             isDisabled: false
-        }).select('name avatar availability unavailabilityEpisodes specialties hospitals')
+        }).select('name avatar availability schedule unavailabilityEpisodes specialties hospitals')
         .populate('specialties', 'name')
         .populate('hospitals', 'name');
 
         const suggestions = [];
 
         for (const dr of doctors) {
-            const dayOfWeek = moment(date, 'YYYY-MM-DD').locale('en').format('dddd');
-            const dayAvail = (dr.availability || []).find(d => {
-                const availHospId = d.hospital ? (d.hospital._id ? d.hospital._id.toString() : d.hospital.toString()) : null;
-                // If the availability entry doesn't have a hospital ID, and doctor has only one hospital, assume it's this hospital
-                const isCorrectHospital = availHospId === hospitalId.toString() || 
-                                         (!availHospId && dr.hospitals && dr.hospitals.length === 1 && dr.hospitals[0].toString() === hospitalId.toString());
-                
-                return d.dayOfWeek === dayOfWeek && d.isAvailable && isCorrectHospital;
-            });
+            if (availabilityService.isDoctorUnavailableOn(dr, date)) continue;
 
-            if (!dayAvail) continue;
-
-            const isUnavailable = (dr.unavailabilityEpisodes || []).some(ep => {
-                const start = new Date(ep.startDate);
-                const end = new Date(ep.endDate);
-                const dDate = new Date(date);
-                return dDate >= start && dDate <= end;
-            });
-
-            if (isUnavailable) continue;
+            const windows = availabilityService.getDoctorDayWindows(dr, hospitalId, date);
+            if (windows.length === 0) continue;
 
+            const shifts = windows.map(availabilityService.formatWindow);
             suggestions.push({
                 doctor: dr,
-                startTime: dayAvail.startTime,
-                endTime: dayAvail.endTime
+                startTime: shifts[0].startTime,
+                endTime: shifts[shifts.length - 1].endTime,
+                shifts
             });
         }
 
@@ -141,7 +137,7 @@ router.get('/:id/find-replacements', async (req, res) => {
 router.get('/today', async (req, res) => {
     try {
         const doctorId = req.query.doctorId || req.user._id;
-        const today = moment().format('YYYY-MM-DD');
+        const today = dateTime.todayIn();
         
         const appointments = await Appointment.find({
             doctor: doctorId,
@@ -151,7 +147,7 @@ router.get('/today', async (req, res) => {
         .populate('user', 'name email phone')
         .populate('hospital', 'name')
         .populate('appointmentType', 'name duration')
-        .sort({ time: 1 });
+        .sort({ startAt: 1 });
         
         res.json(appointments);
     } catch (error) {
@@ -166,7 +162,7 @@ router.get('/today', async (req, res) => {
 router.get('/upcoming', async (req, res) => {
     try {
         const userId = req.query.userId || req.user._id;
-        const today = moment().format('YYYY-MM-DD');
+        const today = dateTime.todayIn();
         
         const appointments = await Appointment.find({
             user: userId,
@@ -176,7 +172,7 @@ router.get('/upcoming', async (req, res) => {
         .populate('doctor', 'name')
         .populate('hospital', 'name')
         .populate('appointmentType', 'name')
-        .sort({ date: 1, time: 1 });
+        .sort({ startAt: 1 });
         
         res.json(appointments);
     } catch (error) {
@@ -199,7 +195,7 @@ router.get('/history', async (req, res) => {
         .populate('doctor', 'name')
         .populate('hospital', 'name')
         .populate('appointmentType', 'name')
-        .sort({ date: -1, time: -1 });
+        .sort({ startAt: -1 });
         
         res.json(appointments);
     } catch (error) {
@@ -220,8 +216,13 @@ router.put('/:id/status', async (req, res) => {
             return res.status(404).json({ error: 'Appointment not found' });
         }
         
+        const wasUpcoming = appointment.status === 'Upcoming';
         appointment.status = status;
         await appointment.save();
+
+        if (wasUpcoming && status === 'Cancelled') {
+            waitlistService.notifySlotFreed(appointment);
+        }
         
         res.json(appointment);
     } catch (error) {
@@ -235,23 +236,35 @@ router.put('/:id/status', async (req, res) => {
 // @access  Private
 router.put('/:id/reschedule', async (req, res) => {
     const session = await mongoose.startSession();
+    let freedSlot = null;
     try {
         await session.withTransaction(async () => {
             const { date, time } = req.body;
-            const appointment = await Appointment.findById(req.params.id).populate('doctor').session(session);
+            const appointment = await Appointment.findById(req.params.id).populate('doctor appointmentType').session(session);
             
             if (!appointment) {
                 throw new Error('Appointment not found');
             }
+
+            await bookingService.assertDoctorSlotFree({
+                doctorId: appointment.doctor._id,
+                hospital: appointment.hospital,
+                date,
+                time,
+                duration: appointment.appointmentType ? appointment.appointmentType.duration : dateTime.DEFAULT_APPOINTMENT_DURATION_MINS,
+                excludeAppointmentId: appointment._id
+            }, { session });
             
             const oldDate = appointment.date;
-            const today = moment().format('YYYY-MM-DD');
+            const today = dateTime.todayIn();
 
             // If date changed, we must update the queue number to be valid for the new date
             if (date !== oldDate) {
-                const count = await Appointment.countDocuments({ doctor: appointment.doctor._id, date: date }).session(session);
-                const queueNumber = `${appointment.doctor.name.en.charAt(0).toUpperCase()}${(count + 1).toString().padStart(3, '0')}`;
-                appointment.queueNumber = queueNumber;
+                appointment.queueNumber = await queueNumberService.nextQueueNumber({
+                    doctor: appointment.doctor._id,
+                    hospital: appointment.hospital,
+                    date
+                });
 
                 // Handle QueueItem transitions
                 if (oldDate === today) {
@@ -269,21 +282,32 @@ router.put('/:id/reschedule', async (req, res) => {
                         user: appointment.user,
                         doctor: appointment.doctor._id,
                         hospital: appointment.hospital,
+                        appointment: appointment._id,
+                        appointmentType: appointment.appointmentType,
                         queueNumber: appointment.queueNumber,
                         status: 'Waiting'
                     }], { session });
                 }
             }
 
+            if (appointment.status === 'Upcoming' && (date !== oldDate || dateTime.timeToMinutes(time) !== dateTime.timeToMinutes(appointment.time))) {
+                freedSlot = { doctor: appointment.doctor._id, hospital: appointment.hospital, date: oldDate, time: appointment.time };
+            }
+
             appointment.date = date;
             appointment.time = time;
             appointment.status = 'Upcoming'; // Reset status if it was something else
             await appointment.save({ session });
         });
+
+        if (freedSlot) waitlistService.notifySlotFreed(freedSlot);
         
         const updatedAppointment = await Appointment.findById(req.params.id);
         res.json(updatedAppointment);
     } catch (error) {
+        if (error.message.includes('overlaps') || error.code === 11000) {
+            return res.status(409).json({ error: error.code === 11000 ? 'This time slot was just taken by someone else. Please choose another slot.' : error.message });
+        }
         console.error('Error rescheduling appointment:', error);
         res.status(500).json({ error: error.message || 'Server Error' });
     } finally {
@@ -330,10 +354,141 @@ router.post('/analyze', authorize('patient'), async (req, res) => {
 });
 
 
+// @desc    Hold a slot for a few minutes while the patient completes checkout
+// @route   POST /api/appointments/holds
+// @access  Private (patient, staff, manager, admin)
+router.post('/holds', async (req, res) => {
+    const { date, time, doctorId, hospitalId, appointmentTypeId, patientId } = req.body;
+
+    let targetUserId = req.user._id;
+    if (['hospital staff', 'hospital manager', 'super admin'].includes(req.user.role)) {
+        if (!patientId) {
+            return res.status(400).json({ error: 'Patient ID is required for staff booking.' });
+        }
+        targetUserId = patientId;
+    } else if (req.user.role !== 'patient') {
+        return res.status(403).json({ error: 'Not authorized to book appointments.' });
+    }
+
+    try {
+        const hold = await slotHoldService.holdSlot(targetUserId, { doctorId, hospitalId, appointmentTypeId, date, time });
+        res.status(201).json(hold);
+    } catch (error) {
+        let statusCode = 500;
+        if (error.message.includes('held by another patient') || error.message.includes('no longer available') || error.message.includes('overlaps')) {
+            statusCode = 409;
+        } else if (error.message.includes('required') || error.message.includes('Invalid') || error.message.includes('cannot exceed')) {
+            statusCode = 400;
+        } else if (error.message.includes('not found')) {
+            statusCode = 404;
+        }
+        if (statusCode === 500) console.error('Error holding slot:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Release a slot hold (checkout abandoned)
+// @route   DELETE /api/appointments/holds/:holdId
+// @access  Private
+router.delete('/holds/:holdId', async (req, res) => {
+    try {
+        const { patientId } = req.query;
+        const isStaff = ['hospital staff', 'hospital manager', 'super admin'].includes(req.user.role);
+        const ownerId = isStaff && patientId ? patientId : req.user._id;
+        const result = await slotHoldService.releaseHold(ownerId, req.params.holdId);
+        res.json(result);
+    } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        console.error('Error releasing slot hold:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Book a recurring appointment series (e.g. every Tuesday at 10:00 for 8 weeks)
+// @route   POST /api/appointments/series
+// @access  Private (patient, staff, manager, admin)
+router.post('/series', idempotent, async (req, res) => {
+    const { startDate, time, doctorId, hospitalId, appointmentTypeId, occurrences, intervalWeeks, patientId, cashPayment } = req.body;
+    const isStaff = ['hospital staff', 'hospital manager', 'super admin'].includes(req.user.role);
+
+    let targetUserId = req.user._id;
+    if (isStaff) {
+        if (!patientId) {
+            return res.status(400).json({ error: 'Patient ID is required for staff booking.' });
+        }
+        targetUserId = patientId;
+    } else if (req.user.role !== 'patient') {
+        return res.status(403).json({ error: 'Not authorized to book appointments.' });
+    }
+
+    try {
+        const result = await seriesService.bookSeries({
+            patientId: targetUserId,
+            doctorId,
+            hospitalId,
+            appointmentTypeId,
+            startDate,
+            time,
+            occurrences,
+            intervalWeeks,
+            cashPayment: cashPayment && isStaff,
+            createdBy: req.user._id
+        });
+        res.status(201).json(result);
+    } catch (error) {
+        if (error.conflicts) {
+            return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+        }
+        if (error.code === 11000 || error.message.includes('held by another patient') || error.message.includes('overlaps')) {
+            return res.status(409).json({ error: 'One of the series slots was just taken by someone else. Please check availability again.' });
+        }
+
+        let statusCode = 500;
+        if (error.message.includes('no-shows')) {
+            statusCode = 403;
+        } else if (error.message.includes('Insufficient') || error.message.includes('not found') || error.message.includes('must be specified') || error.message.includes('Invalid') || error.message.includes('unavailable') || error.message.includes('working hours') || error.message.includes('is closed')) {
+            statusCode = 400;
+        }
+        if (statusCode === 500) console.error('Error booking appointment series:', error);
+        res.status(statusCode).json({ error: error.message || 'Server Error' });
+    }
+});
+
+// @desc    Get a recurring series with its appointments
+// @route   GET /api/appointments/series/:seriesId
+// @access  Private
+router.get('/series/:seriesId', async (req, res) => {
+    try {
+        const series = await AppointmentSeries.findById(req.params.seriesId)
+            .populate('doctor', 'name')
+            .populate('hospital', 'name')
+            .populate('appointmentType', 'name duration cost');
+        if (!series) {
+            return res.status(404).json({ error: 'Appointment series not found.' });
+        }
+
+        const isPatientOwner = series.user.toString() === req.user._id.toString();
+        const userHospitalIds = (req.user.hospitals || []).map(h => h.toString());
+        const isStaffOfHospital = ['doctor', 'hospital staff', 'hospital manager', 'super admin'].includes(req.user.role) &&
+            (req.user.role === 'super admin' || userHospitalIds.includes(series.hospital._id.toString()));
+        if (!isPatientOwner && !isStaffOfHospital) {
+            return res.status(403).json({ error: 'Not authorized to view this appointment series.' });
+        }
+
+        const appointments = await Appointment.find({ series: series._id }).sort({ seriesIndex: 1 });
+        res.json({ series, appointments });
+    } catch (error) {
+        console.error('Error fetching appointment series:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
 // @desc    Create an appointment
 // @route   POST /api/appointments
 // @access  Private (patient, staff, manager, admin)
-router.post('/', async (req, res) => {
+router.post('/', idempotent, async (req, res) => {
     const { date, time, doctorId, hospitalId, appointmentTypeId, force, patientId, cashPayment } = req.body;
 
     // Determine the target patient ID
@@ -396,21 +551,21 @@ router.post('/', async (req, res) => {
 
             if (existingAppointments.length > 0) {
                 console.log(`[CONFLICT CHECK] Found ${existingAppointments.length} upcoming appointments for user ${targetUserId} on ${date}`);
-                const requestedMoment = moment(`${date} ${time}`, 'YYYY-MM-DD h:mm A');
+                const requestedMinutes = dateTime.timeToMinutes(time);
                 
                 for (const appt of existingAppointments) {
                     // Skip if it's the exact same appointment (though unlikely in POST)
                     if (appt._id.toString() === (req.body.appointmentId || '')) continue;
 
-                    const existingMoment = moment(`${appt.date} ${appt.time}`, 'YYYY-MM-DD h:mm A');
+                    const existingMinutes = dateTime.timeToMinutes(appt.time);
                     
-                    // If moments are invalid, skip this check
-                    if (!requestedMoment.isValid() || !existingMoment.isValid()) {
+                    // If times are invalid, skip this check
+                    if (requestedMinutes === null || existingMinutes === null) {
                         continue;
                     }
 
-                    // Calculate difference in minutes
-                    const diffMinutes = Math.abs(requestedMoment.diff(existingMoment, 'minutes'));
+                    // Calculate difference in minutes (both are on the same date)
+                    const diffMinutes = Math.abs(requestedMinutes - existingMinutes);
                     console.log(`[CONFLICT CHECK] Comparing requested ${time} with existing ${appt.time}. Diff: ${diffMinutes} mins`);
                     
                     // Check if the difference is within the buffer (e.g., 60 minutes)
@@ -444,144 +599,15 @@ router.post('/', async (req, res) => {
 
     try {
         await session.withTransaction(async () => {
-            if (!doctorId || !hospitalId || !appointmentTypeId) {
-                throw new Error('Doctor, hospital, and appointment type must be specified.');
-            }
-
-            const [appointmentType, doctor, hospital, patient] = await Promise.all([
-                AppointmentType.findById(appointmentTypeId).session(session),
-                User.findById(doctorId).session(session),
-                Hospital.findById(hospitalId).session(session),
-                User.findById(targetUserId).session(session)
-            ]);
-
-            if (!appointmentType) throw new Error('Invalid appointment type specified.');
-            if (!doctor) throw new Error('Specified doctor not found.');
-            if (!hospital) throw new Error('Specified hospital not found.');
-            if (!patient) throw new Error('Specified patient not found.');
-            
-            // Check if doctor or patient account is disabled
-            if (doctor.isDisabled) {
-                throw new Error('The selected doctor\'s account has been disabled.');
-            }
-            if (patient.isDisabled) {
-                throw new Error('The patient\'s account has been disabled.');
-            }
-
-            // --- CHECK UNAVAILABILITY EPISODES ---
-            const bookingDate = new Date(date);
-            const isUnavailable = (doctor.unavailabilityEpisodes || []).some(ep => {
-                const start = new Date(ep.startDate);
-                const end = new Date(ep.endDate);
-                return bookingDate >= start && bookingDate <= end;
-            });
-
-            if (isUnavailable) {
-                throw new Error('The selected doctor is currently unavailable during this period.');
-            }
-            // ------------------------------------
-
-            const cost = appointmentType.cost;
-
-            const doctorHospitalIds = doctor.hospitals.map(h => h.toString());
-            if (!doctorHospitalIds.includes(hospitalId)) {
-                throw new Error('Selected doctor does not work at this hospital.');
-            }
-
-            // --- CASH PAYMENT HANDLING ---
-            if (cashPayment && ['hospital staff', 'hospital manager', 'super admin'].includes(req.user.role)) {
-                // If cash payment is confirmed by staff, auto-deposit the funds first
-                const depositData = {
-                    userId: targetUserId,
-                    amount: cost,
-                    type: 'credit',
-                    transactionType: 'Deposit',
-                    description: `Cash payment collected at hospital counter for appointment.`,
-                    referenceId: `CASH_${Date.now()}`,
-                    hospitalId: hospitalId
-                };
-                await walletService.createTransactionAndUpdateWallet(depositData, { session });
-            }
-            // -----------------------------
-
-            const currentWalletState = await Wallet.findOne({ user: targetUserId }).session(session);
-            // Check balance 
-            if (!currentWalletState || currentWalletState.balance < cost) {
-                throw new Error(`Insufficient wallet balance for patient ${patient.name.en}.`);
-            }
-            
-            // Generate Queue Number
-            const count = await Appointment.countDocuments({ doctor: doctorId, date: date }).session(session);
-            const queueNumber = `${doctor.name.en.charAt(0).toUpperCase()}${(count + 1).toString().padStart(3, '0')}`;
-
-            const createdAppointments = await Appointment.create([{
-                user: targetUserId,
-                doctor: doctorId,
-                hospital: hospitalId,
-                appointmentType: appointmentTypeId, 
-                date, 
-                time, 
-                cost, 
-                status: 'Upcoming',
-                queueNumber: queueNumber
-            }], { session });
-            appointment = createdAppointments[0];
-
-            // If appointment is for today, add to active queue directly
-            const today = moment().format('YYYY-MM-DD');
-            if (date === today) {
-                // Check if already in queue to avoid duplicates
-                const alreadyInQueue = await QueueItem.findOne({ 
-                    user: targetUserId, 
-                    status: { $in: ['Waiting', 'Serving', 'Held'] } 
-                }).session(session);
-
-                if (!alreadyInQueue) {
-                    await QueueItem.create([{
-                        user: targetUserId,
-                        doctor: doctorId,
-                        hospital: hospitalId,
-                        queueNumber: queueNumber,
-                        status: 'Waiting'
-                    }], { session });
-                }
-            }
-
-            const transactionData = {
-                userId: targetUserId,
-                amount: cost,
-                type: 'debit',
-                transactionType: 'Appointment Fee',
-                description: `Fee for ${appointmentType.name.en} with Dr. ${doctor.name.en} at ${hospital.name.en}`,
-                referenceId: appointment._id.toString(),
-                hospitalId: hospitalId
-            };
-            await walletService.createTransactionAndUpdateWallet(transactionData, { session });
-
-            // Create notification (in-app + external)
-            await createNotification(
-                targetUserId,
-                'appointment',
-                {
-                    en: `Your appointment for a ${appointmentType.name.en} with ${doctor.name.en} on ${new Date(date).toLocaleDateString()} is confirmed.`,
-                    ar: `تم تأكيد موعدك لـ ${appointmentType.name.ar} مع ${doctor.name.ar} في ${new Date(date).toLocaleDateString()}.`
-                },
-                {
-                    title: {
-                        en: 'Appointment Confirmed',
-                        ar: 'تم تأكيد الموعد'
-                    },
-                    language: 'ar', // Default to Arabic for external if we don't know
-                    data: {
-                        doctorName: doctor.name.en,
-                        date: new Date(date).toLocaleDateString(),
-                        time: time,
-                        appointmentType: appointmentType.name.en,
-                        link: `#/appointments`
-                    },
-                    session: session
-                }
-            );
+            appointment = await bookingService.bookAppointment({
+                patientId: targetUserId,
+                doctorId,
+                hospitalId,
+                appointmentTypeId,
+                date,
+                time,
+                cashPayment: cashPayment && ['hospital staff', 'hospital manager', 'super admin'].includes(req.user.role)
+            }, { session });
         });
 
         res.status(201).json(appointment);
@@ -589,9 +615,14 @@ router.post('/', async (req, res) => {
         if (error.code === 11000) {
             return res.status(409).json({ error: 'This time slot was just booked by someone else. Please select another time.' });
         }
+        if (error.message.includes('held by another patient') || error.message.includes('overlaps')) {
+            return res.status(409).json({ error: error.message });
+        }
         
         let statusCode = 500;
-        if (error.message.includes('Insufficient') || error.message.includes('not found') || error.message.includes('must be specified')) {
+        if (error.message.includes('no-shows')) {
+            statusCode = 403;
+        } else if (error.message.includes('Insufficient') || error.message.includes('not found') || error.message.includes('must be specified') || error.message.includes('unavailable') || error.message.includes('working hours') || error.message.includes('is closed')) {
             statusCode = 400;
         }
         
@@ -628,6 +659,9 @@ router.put('/doctor-cancel/:id', protect, authorize('doctor', 'hospital staff',
         appt.cancellationResolution = 'Pending';
         await appt.save();
 
+        // Hand the slot to the waitlist; it is only offered if the doctor is still bookable then
+        waitlistService.notifySlotFreed(appt);
+
         // 1. Create In-App Notification
         await createNotification(
             appt.user._id,
@@ -667,6 +701,7 @@ router.put('/:id/resolve-cancellation', protect, async (req, res) => {
 
     try {
         let result;
+        let freedSlot = null;
         await session.withTransaction(async () => {
             const appt = await Appointment.findById(req.params.id)
                 .populate('doctor hospital user')
@@ -678,6 +713,10 @@ router.put('/:id/resolve-cancellation', protect, async (req, res) => {
             if (appt.status !== 'DoctorCancelled') throw new Error('This appointment is not cancelled by doctor');
             if (appt.cancellationResolution !== 'Pending') throw new Error('Resolution already processed');
 
+            if (newSlot && newSlot.date && appt.hospital.getClosureOn(newSlot.date)) {
+                throw new Error('The hospital is closed on the selected date. Please choose another date.');
+            }
+
             if (action === 'Refund') {
                 // 100% Refund only in this case
                 const refundAmount = appt.cost;
@@ -696,6 +735,7 @@ router.put('/:id/resolve-cancellation', protect, async (req, res) => {
                 appt.isRefunded = true;
                 appt.cancellationResolution = 'Refunded';
                 await appt.save({ session });
+                freedSlot = { doctor: appt.doctor._id, hospital: appt.hospital._id, date: appt.date, time: appt.time };
 
                 await createNotification(
                     appt.user._id,
@@ -724,6 +764,15 @@ router.put('/:id/resolve-cancellation', protect, async (req, res) => {
             } else if (action === 'Redirect') {
                 // Change doctor to another one in same specialty
                 if (!newDoctorId) throw new Error('New doctor ID is required for redirection');
+
+                await bookingService.assertDoctorSlotFree({
+                    doctorId: newDoctorId,
+                    hospital: appt.hospital,
+                    date: (newSlot && newSlot.date) || appt.date,
+                    time: (newSlot && newSlot.time) || appt.time,
+                    duration: appt.appointmentType ? appt.appointmentType.duration : dateTime.DEFAULT_APPOINTMENT_DURATION_MINS,
+                    excludeAppointmentId: appt._id
+                }, { session });
                 
                 appt.doctor = newDoctorId;
                 appt.status = 'Upcoming';
@@ -738,6 +787,15 @@ router.put('/:id/resolve-cancellation', protect, async (req, res) => {
             } else if (action === 'Reschedule') {
                 // Keep same doctor, change time
                 if (!newSlot || !newSlot.date || !newSlot.time) throw new Error('New slot (date and time) is required');
+
+                await bookingService.assertDoctorSlotFree({
+                    doctorId: appt.doctor._id,
+                    hospital: appt.hospital,
+                    date: newSlot.date,
+                    time: newSlot.time,
+                    duration: appt.appointmentType ? appt.appointmentType.duration : dateTime.DEFAULT_APPOINTMENT_DURATION_MINS,
+                    excludeAppointmentId: appt._id
+                }, { session });
                 
                 appt.date = newSlot.date;
                 appt.time = newSlot.time;
@@ -750,26 +808,139 @@ router.put('/:id/resolve-cancellation', protect, async (req, res) => {
             }
         });
 
+        if (freedSlot) waitlistService.notifySlotFreed(freedSlot);
         res.json(result);
     } catch (error) {
         console.error('Resolution error:', error);
-        res.status(400).json({ error: error.message });
+        const statusCode = error.message.includes('overlaps') || error.code === 11000 ? 409 : 400;
+        res.status(statusCode).json({ error: error.message });
     } finally {
         session.endSession();
     }
 });
 
+// @desc    Cancel this and all following occurrences of a recurring series
+// @route   PUT /api/appointments/:id/series/cancel
+// @access  Private (patient owner, hospital staff)
+router.put('/:id/series/cancel', async (req, res) => {
+    try {
+        const result = await seriesService.cancelThisAndFollowing(req.params.id, req.user);
+        res.json(result);
+    } catch (error) {
+        let statusCode = 500;
+        if (error.message.includes('Not authorized')) {
+            statusCode = 403;
+        } else if (error.message.includes('not found')) {
+            statusCode = 404;
+        } else if (error.message.includes('not part of a series') || error.message.includes('no upcoming occurrences')) {
+            statusCode = 400;
+        }
+        if (statusCode === 500) console.error('Error cancelling appointment series:', error);
+        res.status(statusCode).json({ error: error.message || 'Server Error' });
+    }
+});
+
+// @desc    Reschedule this and all following occurrences of a recurring series
+// @route   PUT /api/appointments/:id/series/reschedule
+// @access  Private (patient owner, hospital staff)
+router.put('/:id/series/reschedule', async (req, res) => {
+    try {
+        const { date, time } = req.body;
+        const appointments = await seriesService.rescheduleThisAndFollowing(req.params.id, req.user, { date, time });
+        res.json(appointments);
+    } catch (error) {
+        if (error.conflicts) {
+            return res.status(409).json({ error: error.message, conflicts: error.conflicts });
+        }
+        if (error.code === 11000 || error.message.includes('overlaps')) {
+            return res.status(409).json({ error: 'One of the new slots was just taken by someone else. Please check availability again.' });
+        }
+
+        let statusCode = 500;
+        if (error.message.includes('Not authorized')) {
+            statusCode = 403;
+        } else if (error.message.includes('not found')) {
+            statusCode = 404;
+        } else if (error.message.includes('required') || error.message.includes('Invalid') || error.message.includes('not part of a series') || error.message.includes('no upcoming occurrences') || error.message.includes('changed while')) {
+            statusCode = 400;
+        }
+        if (statusCode === 500) console.error('Error rescheduling appointment series:', error);
+        res.status(statusCode).json({ error: error.message || 'Server Error' });
+    }
+});
+
+// @desc    Preview the refund a cancellation would give right now, before the patient confirms
+// @route   GET /api/appointments/:id/cancellation-preview
+// @access  Private (patient owner, hospital staff)
+router.get('/:id/cancellation-preview', async (req, res) => {
+    try {
+        const appt = await Appointment.findById(req.params.id)
+            .populate('hospital', 'name timezone cancellationPolicy refundPolicyPercentage')
+            .populate('appointmentType', 'name cancellationPolicy');
+
+        if (!appt) return res.status(404).json({ error: 'Appointment not found.' });
+
+        const isPatientOwner = req.user.role === 'patient' && appt.user.toString() === req.user._id.toString();
+        const userHospitalIds = req.user.hospitals.map(h => h.toString());
+        const isAdminOfHospital = ['hospital staff', 'hospital manager', 'super admin'].includes(req.user.role) && userHospitalIds.includes(appt.hospital._id.toString());
+        if (!isPatientOwner && !isAdminOfHospital) {
+            return res.status(403).json({ error: 'Not authorized to view this appointment.' });
+        }
+
+        if (appt.status !== 'Upcoming') {
+            return res.status(400).json({ error: 'Only upcoming appointments can be cancelled.' });
+        }
+
+        const quote = cancellationPolicyService.quoteRefund(appt, {
+            hospital: appt.hospital,
+            appointmentType: appt.appointmentType
+        });
+
+        res.json({
+            appointmentId: appt._id,
+            alreadyRefunded: appt.isRefunded,
+            ...quote,
+            refundAmount: appt.isRefunded ? 0 : quote.refundAmount
+        });
+    } catch (error) {
+        console.error('Error previewing cancellation refund:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Short-lived check-in code for an appointment, shown as a QR code at the kiosk
+// @route   GET /api/appointments/:id/check-in-token
+// @access  Private (patient owner)
+router.get('/:id/check-in-token', authorize('patient'), async (req, res) => {
+    try {
+        const appt = await Appointment.findById(req.params.id);
+        if (!appt || appt.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({ error: 'Appointment not found.' });
+        }
+        if (appt.status !== 'Upcoming') {
+            return res.status(400).json({ error: 'Only upcoming appointments can be checked in.' });
+        }
+
+        const { token, expiresAt } = checkInService.issueCheckInToken(appt);
+        res.json({ appointmentId: appt._id, token, expiresAt });
+    } catch (error) {
+        console.error('Error issuing check-in token:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
 // @desc    Update an appointment status
 // @route   PUT /api/appointments/:id
 // @access  Private
 router.put('/:id', async (req, res) => {
     const session = await mongoose.startSession();
     let populatedAppt;
+    let freedSlot = null;
 
     try {
         await session.withTransaction(async () => {
             const { status } = req.body;
-            const appt = await Appointment.findById(req.params.id).populate('hospital').populate('doctor', 'name').populate('appointmentType', 'name').session(session);
+            const appt = await Appointment.findById(req.params.id).populate('hospital').populate('doctor', 'name').populate('appointmentType', 'name cancellationPolicy').session(session);
 
             if (!appt) throw new Error('Appointment not found.');
 
@@ -786,20 +957,40 @@ router.put('/:id', async (req, res) => {
                 throw new Error('Patients can only cancel appointments.');
             }
 
+            if (appt.status === 'Upcoming' && status === 'Cancelled') {
+                freedSlot = { doctor: appt.doctor._id, hospital: appt.hospital._id, date: appt.date, time: appt.time };
+            }
+
+            const previousStatus = appt.status;
             appt.status = status;
             
-            // Refund logic remains for Cancellations
-            if (status === 'Cancelled' && !appt.isRefunded) {
-                const refundAmount = appt.cost * (appt.hospital.refundPolicyPercentage / 100);
+            // Refunds follow the cancellation policy tier (notice given, or the no-show rate)
+            const isNoShow = status === 'NoShow' && ['Upcoming', 'NeedsReview'].includes(previousStatus);
+            const quote = status === 'Cancelled' || isNoShow
+                ? cancellationPolicyService.quoteRefund(appt, {
+                    hospital: appt.hospital,
+                    appointmentType: appt.appointmentType,
+                    noShow: isNoShow
+                })
+                : null;
+
+            // Short-notice patient cancellations count against the patient's reliability score
+            if (isPatientOwner && status === 'Cancelled' && previousStatus === 'Upcoming') {
+                appt.lateCancellation = cancellationPolicyService.isLateCancellation(quote);
+            }
+
+            if (quote && !appt.isRefunded) {
+                const { refundAmount, policyTier } = quote;
                 if(refundAmount > 0) {
                     const transactionData = {
                         userId: appt.user,
                         amount: refundAmount,
                         type: 'credit',
                         transactionType: 'Refund',
-                        description: `Refund for cancelled ${appt.appointmentType.name.en} with Dr. ${appt.doctor.name.en} at ${appt.hospital.name.en}`,
+                        description: `Refund (${policyTier.refundPercentage}%, ${policyTier.label}) for ${isNoShow ? 'missed' : 'cancelled'} ${appt.appointmentType.name.en} with Dr. ${appt.doctor.name.en} at ${appt.hospital.name.en}`,
                         referenceId: appt._id.toString(),
-                        hospitalId: appt.hospital._id
+                        hospitalId: appt.hospital._id,
+                        policyTier
                     };
                     await walletService.createTransactionAndUpdateWallet(transactionData, { session });
                 }
@@ -856,6 +1047,7 @@ router.put('/:id', async (req, res) => {
                 .session(session);
         });
 
+        if (freedSlot) waitlistService.notifySlotFreed(freedSlot);
         res.json(populatedAppt);
     } catch (error) {
         let statusCode = 500;
@@ -938,6 +1130,36 @@ router.post('/:id/set-reminder', authorize('patient'), async (req, res) => {
     }
 });
 
+// @desc    Get every bookable slot for a doctor over a date range
+// @route   GET /api/appointments/availability/doctor/:doctorId/slots
+// @access  Private (Patient, Staff)
+router.get('/availability/doctor/:doctorId/slots', async (req, res) => {
+    try {
+        const { startDate, endDate, appointmentTypeId, hospitalId } = req.query;
+        const { doctorId } = req.params;
+
+        const result = await availabilityService.getAvailableSlots({
+            doctorId,
+            hospitalId,
+            appointmentTypeId,
+            startDate,
+            endDate,
+            forUserId: req.user._id
+        });
+
+        res.json(result);
+    } catch (error) {
+        let statusCode = 500;
+        if (error.message.includes('required') || error.message.includes('Invalid') || error.message.includes('cannot exceed')) {
+            statusCode = 400;
+        } else if (error.message.includes('not found')) {
+            statusCode = 404;
+        }
+        if (statusCode === 500) console.error('Error fetching availability slots:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error while fetching slots' : error.message });
+    }
+});
+
 // @desc    Get next available time slot for a doctor on a specific date (Auto-schedule)
 // @route   GET /api/appointments/availability/doctor/:doctorId
 // @access  Private (Patient, Staff)
@@ -950,153 +1172,45 @@ router.get('/availability/doctor/:doctorId', async (req, res) => {
             return res.status(400).json({ error: 'Date, appointment type, and hospital are required.' });
         }
 
-        // FIX: Use moment to parse the YYYY-MM-DD string specifically to avoid timezone shifts.
-        // Force locale to 'en' so 'dddd' returns English day names (Monday, Tuesday...) to match database values.
-        const dayOfWeek = moment(date, 'YYYY-MM-DD').locale('en').format('dddd');
-
-        const [doctor, appointmentType, existingAppointments] = await Promise.all([
-            User.findById(doctorId),
-            AppointmentType.findById(appointmentTypeId),
-            Appointment.find({
-                doctor: doctorId,
-                hospital: hospitalId, // FIX: Filter by hospital to avoid cross-hospital queue interference
-                date: date, // Exact string match for YYYY-MM-DD
-                status: 'Upcoming'
-            }).populate('appointmentType', 'duration').sort({ time: 1 }) // Sort by time ascending
-        ]);
-        
-        if (!doctor || !appointmentType) {
-            return res.status(404).json({ error: 'Doctor or appointment type not found.' });
-        }
-
-        // --- CHECK UNAVAILABILITY EPISODES ---
-        const now = new Date();
-        const bookingDate = new Date(date);
-        // We check if the target date falls within any unavailability episode
-        const isUnavailable = (doctor.unavailabilityEpisodes || []).some(ep => {
-            const start = new Date(ep.startDate);
-            const end = new Date(ep.endDate);
-            // Set times to midnight for date-only comparison if needed, 
-            // but usually episodes have specific times.
-            // For now, simple check:
-            return bookingDate >= start && bookingDate <= end;
+        // The first free slot of the day, including gaps left by cancellations
+        const { days } = await availabilityService.getAvailableSlots({
+            doctorId,
+            hospitalId,
+            appointmentTypeId,
+            startDate: date,
+            forUserId: req.user._id
         });
+        const [day] = days;
 
-        if (isUnavailable) {
-            return res.json({ 
-                nextAvailableTime: null, 
-                message: doctor.name.ar ? `الطبيب غير متاح في هذا التاريخ.` : `Doctor is not available on this date.` 
-            });
+        if (day.slots.length === 0) {
+            // A fully booked working day can still free up, so let the patient join the waitlist
+            const isFull = day.message === 'Doctor schedule is full for this day.';
+            return res.json({ nextAvailableTime: null, message: day.message, canJoinWaitlist: isFull });
         }
-        // ------------------------------------
-        
-        // Find availability for the correct day AND the correct hospital
-        // Robust check to handle populated vs ID vs string comparisons for hospital
-        const dayAvailability = doctor.availability.find(d => {
-            if (!d.hospital) return false;
-            
-            // Extract ID whether it's an object (populated) or a direct ID
-            const availHospitalId = d.hospital._id ? d.hospital._id.toString() : d.hospital.toString();
-            
-            // Compare English day name AND hospital ID
-            return d.dayOfWeek === dayOfWeek && availHospitalId === hospitalId;
-        });
 
-        if (!dayAvailability || !dayAvailability.isAvailable) {
-            return res.json({ 
-                nextAvailableTime: null, 
-                message: `Doctor is not available on ${dayOfWeek} at this hospital.` 
-            });
-        }
-
-        const { startTime, endTime } = dayAvailability;
-        const requestedDuration = appointmentType.duration;
-        
-        const timeToMinutes = (timeStr) => {
-            const is24Hour = !timeStr.includes("AM") && !timeStr.includes("PM");
-            if (is24Hour) {
-                const [hours, minutes] = timeStr.split(':').map(Number);
-                return hours * 60 + minutes;
-            }
-            const [time, modifier] = timeStr.split(' ');
-            let [hours, minutes] = time.split(':').map(Number);
-            if (modifier.toUpperCase() === 'PM' && hours < 12) hours += 12;
-            if (modifier.toUpperCase() === 'AM' && hours === 12) hours = 0;
-            return hours * 60 + minutes;
-        };
-
-        const minutesToTime = (minutes) => {
-            const hours = Math.floor(minutes / 60);
-            const mins = minutes % 60;
-            const ampm = hours >= 12 ? 'PM' : 'AM';
-            const formattedHours = hours % 12 === 0 ? 12 : hours % 12;
-            const formattedMinutes = mins.toString().padStart(2, '0');
-            return `${formattedHours}:${formattedMinutes} ${ampm}`;
-        };
-        
-        const doctorStartMinutes = timeToMinutes(startTime);
-        let doctorEndMinutes = timeToMinutes(endTime);
-
-        // Handle midnight wrap-around (e.g., 20:00 to 00:00)
-        if (doctorEndMinutes <= doctorStartMinutes) {
-            doctorEndMinutes += 24 * 60;
-        }
-
-        // Calculate the next available slot based on existing appointments
-        let nextSlotStartMinutes = doctorStartMinutes;
-
-        if (existingAppointments.length > 0) {
-            const lastAppointment = existingAppointments[existingAppointments.length - 1];
-            const lastApptStart = timeToMinutes(lastAppointment.time);
-            const lastApptDuration = lastAppointment.appointmentType ? lastAppointment.appointmentType.duration : 30;
-            // FIX: Ensure next slot is at least at the start of the doctor's shift
-            nextSlotStartMinutes = Math.max(doctorStartMinutes, lastApptStart + lastApptDuration);
-        }
-
-        // -------------------------------------------------------
-        // CHECK IF SELECTED DATE IS TODAY
-        // -------------------------------------------------------
-        // Use moment to get today's date string (server time)
-        const todayString = moment().format('YYYY-MM-DD');
-        
-        if (date === todayString) {
-            const todayDate = new Date();
-            const currentMinutes = todayDate.getHours() * 60 + todayDate.getMinutes();
-            
-            // Add a small buffer (e.g., 15 minutes) to ensure users don't book for "right now"
-            const bookingBuffer = 15; 
-            
-            if (nextSlotStartMinutes < currentMinutes + bookingBuffer) {
-                // Round up to nearest 5 minutes for cleaner times
-                let adjustedTime = currentMinutes + bookingBuffer;
-                const remainder = adjustedTime % 5;
-                if (remainder !== 0) {
-                    adjustedTime += (5 - remainder);
-                }
-                nextSlotStartMinutes = adjustedTime;
-            }
-        }
-        // -------------------------------------------------------
-
-        // Ensure the calculated next slot plus duration fits within the doctor's shift
-        if (nextSlotStartMinutes + requestedDuration > doctorEndMinutes) {
-             return res.json({ nextAvailableTime: null, message: 'Doctor schedule is full for this day.' });
-        }
-
-        const nextAvailableTime = minutesToTime(nextSlotStartMinutes);
-        const queuePosition = existingAppointments.length + 1;
+        const existingCount = await Appointment.countDocuments({
+            doctor: doctorId,
+            hospital: hospitalId, // FIX: Filter by hospital to avoid cross-hospital queue interference
+            date: date,
+            status: 'Upcoming'
+        });
 
         res.json({ 
-            nextAvailableTime, 
-            queuePosition,
+            nextAvailableTime: day.slots[0].time, 
+            queuePosition: existingCount + 1,
             message: `Available`
         });
 
     } catch (error) {
+        if (error.message.includes('not found')) {
+            return res.status(404).json({ error: error.message });
+        }
+        if (error.message.includes('Invalid')) {
+            return res.status(400).json({ error: error.message });
+        }
         console.error(error);
         res.status(500).json({ error: 'Server Error while fetching slots' });
     }
 });
 
-
 module.exports = router;
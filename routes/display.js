@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const queueService = require('../services/queueService');
+const queueEvents = require('../services/queueEvents');
+const displayBoardService = require('../services/displayBoardService');
+
+// Waiting-room screens have no user account; they authenticate with the hospital's
+// display token (query string, since EventSource cannot send headers)
+const requireDisplayToken = async (req, res, next) => {
+    try {
+        const token = req.query.token || req.get('X-Display-Token');
+        const valid = await displayBoardService.verifyDisplayToken(req.params.hospitalId, token);
+        if (!valid) {
+            return res.status(401).json({ error: 'Invalid or expired display token' });
+        }
+        next();
+    } catch (error) {
+        res.status(401).json({ error: 'Invalid or expired display token' });
+    }
+};
+
+// @desc    Now serving / up next for every doctor in a hospital
+// @route   GET /api/display/:hospitalId
+// @access  Public (display token)
+router.get('/:hospitalId', requireDisplayToken, async (req, res) => {
+    try {
+        const board = await queueService.getDisplayBoard(req.params.hospitalId);
+        res.status(200).json(board);
+    } catch (error) {
+        const statusCode = error.message.includes('not found') ? 404 : 500;
+        res.status(statusCode).json({ error: error.message || 'Server Error' });
+    }
+});
+
+// @desc    Live updates of the display board (Server-Sent Events)
+// @route   GET /api/display/:hospitalId/stream
+// @access  Public (display token)
+router.get('/:hospitalId/stream', requireDisplayToken, (req, res) => {
+    const { hospitalId } = req.params;
+    const close = queueEvents.openStream(req, res, [queueEvents.displayChannel(hospitalId)]);
+    displayBoardService.registerStream(hospitalId, close, req);
+});
+
+module.exports = router;
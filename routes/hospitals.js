@@ -4,7 +4,16 @@ const express = require('express');
 const router = express.Router();
 const Hospital = require('../models/hospital');
 const User = require('../models/user');
+const dateTime = require('../utils/dateTime');
 const { protect, authorize } = require('../middleware/auth');
+const appointmentCancellationService = require('../services/appointmentCancellationService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const queuePriorityService = require('../services/queuePriorityService');
+const displayBoardService = require('../services/displayBoardService');
+const deviceTokenService = require('../services/deviceTokenService');
+const queueNumberService = require('../services/queueNumberService');
+const queueAlertService = require('../services/queueAlertService');
+const settlementService = require('../services/settlementService');
 
 
 // @desc    Get all hospitals
@@ -23,9 +32,47 @@ router.get('/', async (req, res) => {
 // @route   POST /api/hospitals
 // @access  Private (Super Admin)
 router.post('/', protect, authorize('super admin'), async (req, res) => {
-    const { name, address, manager, refundPolicyPercentage } = req.body;
+    const { name, address, manager, refundPolicyPercentage, timezone, cancellationPolicy, queuePolicy, queueNumberFormat, queueAlerts, commissionPercent } = req.body;
     try {
-        const hospital = await Hospital.create({ name: { en: name, ar: name }, address, manager, refundPolicyPercentage });
+        if (timezone && !dateTime.isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'Invalid timezone. Use an IANA name such as Africa/Tripoli.' });
+        }
+        if (cancellationPolicy) {
+            try {
+                cancellationPolicyService.validatePolicy(cancellationPolicy);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+        if (queuePolicy) {
+            try {
+                queuePriorityService.validateQueuePolicy(queuePolicy);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+        if (queueNumberFormat) {
+            try {
+                queueNumberService.validateFormat(queueNumberFormat);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+        if (queueAlerts) {
+            try {
+                queueAlertService.validateAlertSettings(queueAlerts);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+        if (commissionPercent !== undefined && commissionPercent !== null) {
+            try {
+                settlementService.validateCommissionPercent(commissionPercent);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+        const hospital = await Hospital.create({ name: { en: name, ar: name }, address, manager, refundPolicyPercentage, timezone, cancellationPolicy, queuePolicy, queueNumberFormat, queueAlerts, commissionPercent });
         res.status(201).json(hospital);
     } catch (error) {
         res.status(400).json({ error: 'Please provide all required fields' });
@@ -36,8 +83,46 @@ router.post('/', protect, authorize('super admin'), async (req, res) => {
 // @route   PUT /api/hospitals/:id
 // @access  Private (Super Admin)
 router.put('/:id', protect, authorize('super admin'), async (req, res) => {
-    const { name, address, manager, refundPolicyPercentage } = req.body;
+    const { name, address, manager, refundPolicyPercentage, timezone, cancellationPolicy, queuePolicy, queueNumberFormat, queueAlerts, commissionPercent } = req.body;
     try {
+        if (timezone && !dateTime.isValidTimezone(timezone)) {
+            return res.status(400).json({ error: 'Invalid timezone. Use an IANA name such as Africa/Tripoli.' });
+        }
+        if (cancellationPolicy) {
+            try {
+                cancellationPolicyService.validatePolicy(cancellationPolicy);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+        if (queuePolicy) {
+            try {
+                queuePriorityService.validateQueuePolicy(queuePolicy);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+        if (queueNumberFormat) {
+            try {
+                queueNumberService.validateFormat(queueNumberFormat);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+        if (queueAlerts) {
+            try {
+                queueAlertService.validateAlertSettings(queueAlerts);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+        if (commissionPercent !== undefined && commissionPercent !== null) {
+            try {
+                settlementService.validateCommissionPercent(commissionPercent);
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
         let hospital = await Hospital.findById(req.params.id);
         if (!hospital) {
             return res.status(404).json({ error: 'Hospital not found' });
@@ -52,6 +137,28 @@ router.put('/:id', protect, authorize('super admin'), async (req, res) => {
         if (refundPolicyPercentage !== undefined) {
             hospital.refundPolicyPercentage = refundPolicyPercentage;
         }
+        if (timezone) {
+            hospital.timezone = timezone;
+        }
+        if (cancellationPolicy !== undefined) {
+            // null clears the hospital policy so the default tiers apply
+            hospital.cancellationPolicy = cancellationPolicy || undefined;
+        }
+        if (queuePolicy !== undefined) {
+            // null clears the hospital policy so the default lane order applies
+            hospital.queuePolicy = queuePolicy || undefined;
+        }
+        if (queueNumberFormat !== undefined) {
+            // A new prefix applies to numbering started after the change; null restores the default
+            hospital.queueNumberFormat = queueNumberFormat || undefined;
+        }
+        if (queueAlerts !== undefined) {
+            hospital.queueAlerts = queueAlerts || undefined;
+        }
+        if (commissionPercent !== undefined) {
+            // Applies to settlements created after the change; null restores the default
+            hospital.commissionPercent = commissionPercent === null ? undefined : commissionPercent;
+        }
 
         await hospital.save();
 
@@ -111,4 +218,205 @@ router.get('/:id/doctors', async (req, res) => {
     }
 });
 
+// --- CLOSURE CALENDAR ---
+
+const canManageHospital = (user, hospitalId) => {
+    if (user.role === 'super admin') return true;
+    return user.role === 'hospital manager' && (user.hospitals || []).map(h => h.toString()).includes(hospitalId.toString());
+};
+
+const { isValidDateString } = dateTime;
+
+/**
+ * Move Upcoming appointments that fall on a closure into the DoctorCancelled / Pending
+ * flow so patients can choose a refund, another doctor or another date.
+ */
+const cancelAppointmentsForClosure = (hospital, closure) => {
+    return appointmentCancellationService.cancelUpcomingAppointments(
+        {
+            hospital: hospital._id,
+            date: { $gte: closure.startDate, $lte: closure.endDate }
+        },
+        (appt) => ({
+            type: 'hospital_closure',
+            title: {
+                en: 'Appointment Cancelled: Hospital Closed',
+                ar: 'تنبيه: إغلاق المستشفى'
+            },
+            message: {
+                en: `${hospital.name.en} is closed on ${appt.date}${closure.reason?.en ? ` (${closure.reason.en})` : ''}. Your appointment has been cancelled. Please open the app to choose a resolution.`,
+                ar: `نعتذر منك، ${hospital.name.ar || hospital.name.en} مغلق يوم ${appt.date}${closure.reason?.ar ? ` (${closure.reason.ar})` : ''}. تم إلغاء موعدكم، يرجى الدخول للتطبيق لاختيار بديل.`
+            }
+        }),
+        'HOSPITAL CLOSURE'
+    );
+};
+
+// @desc    Get closure calendar of a hospital
+// @route   GET /api/hospitals/:id/closures
+// @access  Public
+router.get('/:id/closures', async (req, res) => {
+    try {
+        const hospital = await Hospital.findById(req.params.id).select('closures');
+        if (!hospital) {
+            return res.status(404).json({ error: 'Hospital not found' });
+        }
+
+        const closures = [...hospital.closures].sort((a, b) => a.startDate.localeCompare(b.startDate));
+        res.status(200).json(closures);
+    } catch (error) {
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Add a closure (holiday) to a hospital
+// @route   POST /api/hospitals/:id/closures
+// @access  Private (Super Admin, Hospital Manager of this hospital)
+router.post('/:id/closures', protect, authorize('super admin', 'hospital manager'), async (req, res) => {
+    try {
+        const { startDate, reason } = req.body;
+        const endDate = req.body.endDate || startDate;
+
+        if (!isValidDateString(startDate) || !isValidDateString(endDate) || endDate < startDate) {
+            return res.status(400).json({ error: 'Please provide a valid date range (YYYY-MM-DD).' });
+        }
+
+        const hospital = await Hospital.findById(req.params.id);
+        if (!hospital) {
+            return res.status(404).json({ error: 'Hospital not found' });
+        }
+        if (!canManageHospital(req.user, hospital._id)) {
+            return res.status(403).json({ error: 'Not authorized to manage this hospital.' });
+        }
+
+        hospital.closures.push({
+            startDate,
+            endDate,
+            reason: typeof reason === 'string' ? { en: reason, ar: reason } : reason,
+            createdBy: req.user._id
+        });
+        await hospital.save();
+        const closure = hospital.closures[hospital.closures.length - 1];
+
+        const affectedAppointments = await cancelAppointmentsForClosure(hospital, closure);
+
+        res.status(201).json({ closure, affectedCount: affectedAppointments.length });
+    } catch (error) {
+        console.error('Add Closure Error:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Update a hospital closure
+// @route   PUT /api/hospitals/:id/closures/:closureId
+// @access  Private (Super Admin, Hospital Manager of this hospital)
+router.put('/:id/closures/:closureId', protect, authorize('super admin', 'hospital manager'), async (req, res) => {
+    try {
+        const hospital = await Hospital.findById(req.params.id);
+        if (!hospital) {
+            return res.status(404).json({ error: 'Hospital not found' });
+        }
+        if (!canManageHospital(req.user, hospital._id)) {
+            return res.status(403).json({ error: 'Not authorized to manage this hospital.' });
+        }
+
+        const closure = hospital.closures.id(req.params.closureId);
+        if (!closure) {
+            return res.status(404).json({ error: 'Closure not found' });
+        }
+
+        const { startDate, endDate, reason } = req.body;
+        const newStart = startDate || closure.startDate;
+        const newEnd = endDate || closure.endDate;
+        if (!isValidDateString(newStart) || !isValidDateString(newEnd) || newEnd < newStart) {
+            return res.status(400).json({ error: 'Please provide a valid date range (YYYY-MM-DD).' });
+        }
+
+        closure.startDate = newStart;
+        closure.endDate = newEnd;
+        if (reason !== undefined) {
+            closure.reason = typeof reason === 'string' ? { en: reason, ar: reason } : reason;
+        }
+        await hospital.save();
+
+        // Days added to the closure may contain appointments that are still Upcoming
+        const affectedAppointments = await cancelAppointmentsForClosure(hospital, closure);
+
+        res.status(200).json({ closure, affectedCount: affectedAppointments.length });
+    } catch (error) {
+        console.error('Update Closure Error:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Remove a hospital closure
+// @route   DELETE /api/hospitals/:id/closures/:closureId
+// @access  Private (Super Admin, Hospital Manager of this hospital)
+router.delete('/:id/closures/:closureId', protect, authorize('super admin', 'hospital manager'), async (req, res) => {
+    try {
+        const hospital = await Hospital.findById(req.params.id);
+        if (!hospital) {
+            return res.status(404).json({ error: 'Hospital not found' });
+        }
+        if (!canManageHospital(req.user, hospital._id)) {
+            return res.status(403).json({ error: 'Not authorized to manage this hospital.' });
+        }
+
+        const closure = hospital.closures.id(req.params.closureId);
+        if (!closure) {
+            return res.status(404).json({ error: 'Closure not found' });
+        }
+
+        // Appointments already moved to DoctorCancelled stay in their resolution flow
+        closure.deleteOne();
+        await hospital.save();
+
+        res.status(200).json({ success: true });
+    } catch (error) {
+        console.error('Remove Closure Error:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// --- WAITING-ROOM DISPLAY ---
+
+// @desc    Issue a new display token (the old one stops working)
+// @route   POST /api/hospitals/:id/display-token
+// @access  Private (Super Admin, Hospital Manager of this hospital)
+router.post('/:id/display-token', protect, authorize('super admin', 'hospital manager'), async (req, res) => {
+    try {
+        if (!canManageHospital(req.user, req.params.id)) {
+            return res.status(403).json({ error: 'Not authorized to manage this hospital.' });
+        }
+
+        const { token, rotatedAt } = await displayBoardService.rotateDisplayToken(req.params.id);
+        res.status(201).json({
+            token,
+            rotatedAt,
+            displayUrl: `/api/display/${req.params.id}?token=${token}`,
+            streamUrl: `/api/display/${req.params.id}/stream?token=${token}`
+        });
+    } catch (error) {
+        const statusCode = error.message.includes('not found') ? 404 : 500;
+        res.status(statusCode).json({ error: error.message || 'Server Error' });
+    }
+});
+
+// @desc    Issue a new self check-in kiosk token (the old one stops working)
+// @route   POST /api/hospitals/:id/kiosk-token
+// @access  Private (Super Admin, Hospital Manager of this hospital)
+router.post('/:id/kiosk-token', protect, authorize('super admin', 'hospital manager'), async (req, res) => {
+    try {
+        if (!canManageHospital(req.user, req.params.id)) {
+            return res.status(403).json({ error: 'Not authorized to manage this hospital.' });
+        }
+
+        const { token, rotatedAt } = await deviceTokenService.rotateDeviceToken(req.params.id, 'kiosk');
+        res.status(201).json({ token, rotatedAt, checkInUrl: `/api/kiosk/${req.params.id}/check-in` });
+    } catch (error) {
+        const statusCode = error.message.includes('not found') ? 404 : 500;
+        res.status(statusCode).json({ error: error.message || 'Server Error' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
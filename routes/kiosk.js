@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const checkInService = require('../services/checkInService');
+const deviceTokenService = require('../services/deviceTokenService');
+
+// Kiosks have no user account; they authenticate with the hospital's kiosk token
+const requireKioskToken = async (req, res, next) => {
+    try {
+        const token = req.get('X-Kiosk-Token') || req.query.token;
+        const valid = await deviceTokenService.verifyDeviceToken(req.params.hospitalId, 'kiosk', token);
+        if (!valid) {
+            return res.status(401).json({ error: 'Invalid or expired kiosk token' });
+        }
+        next();
+    } catch (error) {
+        res.status(401).json({ error: 'Invalid or expired kiosk token' });
+    }
+};
+
+// @desc    Patient checks in by scanning the QR code of their appointment
+// @route   POST /api/kiosk/:hospitalId/check-in
+// @access  Public (kiosk token)
+router.post('/:hospitalId/check-in', requireKioskToken, async (req, res) => {
+    try {
+        const result = await checkInService.kioskCheckIn(req.params.hospitalId, req.body.token);
+        res.status(200).json(result);
+    } catch (error) {
+        let statusCode = 500;
+        if (error.message.includes('check-in code')) statusCode = 401;
+        else if (error.message.includes('not found')) statusCode = 404;
+        else if (error.message.includes('already in the queue')) statusCode = 409;
+        else if (error.message.includes('not at this hospital') || error.message.includes('not for today') || error.message.includes('no longer active')) statusCode = 400;
+        res.status(statusCode).json({ error: error.message || 'Server Error' });
+    }
+});
+
+module.exports = router;
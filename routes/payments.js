@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const paymentService = require('../services/paymentService');
+const fakeProvider = require('../services/paymentProviders/fakeProvider');
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+// @desc    Payment provider webhook; finalizes a pending top-up
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (verified by the provider's signature)
+router.post('/webhook/:provider', async (req, res) => {
+    try {
+        const result = await paymentService.handleWebhook(req.params.provider, {
+            rawBody: req.rawBody,
+            headers: req.headers,
+            body: req.body
+        });
+        res.json({ received: true, ...result });
+    } catch (error) {
+        if (error.message.includes('signature')) return res.status(401).json({ error: error.message });
+        if (error.message.includes('Invalid payment provider')) return res.status(404).json({ error: error.message });
+        if (error.message.includes('not found')) return res.status(404).json({ error: error.message });
+        console.error(`❌ Payment webhook (${req.params.provider}) failed:`, error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Checkout page of the built-in fake provider; ?outcome=succeeded|failed completes the payment
+// @route   GET /api/payments/fake/checkout/:reference
+// @access  Public (only while the fake provider is enabled)
+router.get('/fake/checkout/:reference', async (req, res) => {
+    try {
+        if (!fakeProvider.isEnabled()) return res.status(404).json({ error: 'Not found' });
+
+        const transaction = await paymentService.findPayment(fakeProvider.name, req.params.reference);
+        const { outcome } = req.query;
+
+        if (outcome !== 'succeeded' && outcome !== 'failed') {
+            const base = `${req.baseUrl}${req.path}`;
+            return res.send(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Test payment</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 40px auto;">
+<h2>Test payment</h2>
+<p>${escapeHtml(transaction.description)}</p>
+<p><strong>${transaction.amount.toFixed(2)} LYD</strong> &mdash; ${escapeHtml(transaction.status)}</p>
+<p><a href="${base}?outcome=succeeded">Pay</a> &nbsp; <a href="${base}?outcome=failed">Decline</a></p>
+</body></html>`);
+        }
+
+        // Deliver the same signed webhook a real gateway would send
+        await paymentService.handleWebhook(fakeProvider.name, fakeProvider.buildWebhook({
+            reference: transaction.payment.providerReference,
+            status: outcome,
+            amount: transaction.amount,
+            currency: 'LYD'
+        }));
+
+        const appUrl = (process.env.APP_URL || 'https://myclinic.app').replace(/\/$/, '');
+        res.redirect(`${appUrl}/#/wallet?deposit=${transaction._id}`);
+    } catch (error) {
+        if (error.message.includes('not found')) return res.status(404).json({ error: error.message });
+        console.error('Fake checkout error:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+module.exports = router;
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { protect, authorize } = require('../middleware/auth');
 const queueService = require('../services/queueService');
+const queueEvents = require('../services/queueEvents');
+const dateTime = require('../utils/dateTime');
 
 const localeText = (req, key) => {
     const locale = req.locale || 'en';
@@ -44,6 +46,13 @@ router.get('/history', authorize('patient'), async (req, res) => {
     }
 });
 
+// @desc    Live updates of the user's own queue position (Server-Sent Events)
+// @route   GET /api/queue/stream
+// @access  Private (Patient)
+router.get('/stream', authorize('patient'), (req, res) => {
+    queueEvents.openStream(req, res, [queueEvents.patientChannel(req.user._id)]);
+});
+
 
 // --- ADMIN/STAFF-FACING ROUTES ---
 
@@ -72,6 +81,54 @@ router.get('/doctor/:doctorId', authorize('doctor', 'hospital staff', 'hospital
     }
 });
 
+// @desc    Live updates of a doctor's queue (Server-Sent Events)
+// @route   GET /api/queue/doctor/:doctorId/stream
+// @access  Private (Doctor, Staff, Manager, Admin)
+router.get('/doctor/:doctorId/stream', authorize('doctor', 'hospital staff', 'hospital manager', 'super admin'), (req, res) => {
+    queueEvents.openStream(req, res, [queueEvents.doctorChannel(req.params.doctorId)]);
+});
+
+// @desc    Daily queue summaries from the end-of-day close-out
+// @route   GET /api/queue/summaries?from=YYYY-MM-DD&to=YYYY-MM-DD[&hospitalId=]
+// @access  Private (Manager, Admin)
+router.get('/summaries', authorize('hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if (!dateTime.isValidDateString(from) || !dateTime.isValidDateString(to)) {
+            return res.status(400).json({ error: 'Please provide a valid date range (YYYY-MM-DD).' });
+        }
+        const hospitalId = req.user.role === 'super admin' && req.query.hospitalId
+            ? req.query.hospitalId
+            : (req.user.hospitals && req.user.hospitals.length > 0 ? req.user.hospitals[0] : null);
+        if (!hospitalId) {
+            return res.status(400).json({ error: 'User is not associated with a hospital.' });
+        }
+
+        const summaries = await queueService.getDaySummaries(hospitalId, from, to);
+        res.json(summaries);
+    } catch (error) {
+        res.status(500).json({ error: error.message || localeText(req, 'serverError') });
+    }
+});
+
+// @desc    Open, pause or close a doctor's queue for today
+// @route   PUT /api/queue/doctor/:doctorId/session
+// @access  Private (Doctor (own queue), Staff, Manager, Admin)
+router.put('/doctor/:doctorId/session', authorize('doctor', 'hospital staff', 'hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const { doctorId } = req.params;
+        if (req.user.role === 'doctor' && req.user._id.toString() !== doctorId) {
+            return res.status(403).json({ error: 'Doctors can only change their own queue.' });
+        }
+        const { state, reason, resumeInMins } = req.body;
+        const session = await queueService.setDoctorSession(doctorId, { state, reason, resumeInMins }, req.user);
+        res.status(200).json(session);
+    } catch (error) {
+        const statusCode = error.message.includes('Invalid session') ? 400 : (error.message.includes('not found') ? 404 : 500);
+        res.status(statusCode).json({ error: error.message || localeText(req, 'serverError') });
+    }
+});
+
 
 // --- ACTION ROUTES ---
 
@@ -84,7 +141,8 @@ router.post('/join', authorize('patient'), async (req, res) => {
         const result = await queueService.joinQueue(req.user._id, doctorId, hospitalId);
         res.status(201).json(result);
     } catch (error) {
-        const statusCode = error.message === 'You are already in a queue.' ? 400 : 500;
+        let statusCode = error.message === 'You are already in a queue.' ? 400 : 500;
+        if (error.message.includes('not accepting new patients')) statusCode = 409;
         const fallback = error.message === 'You are already in a queue.' ? localeText(req, 'alreadyQueued') : localeText(req, 'serverError');
         res.status(statusCode).json({ error: error.message || fallback });
     }
@@ -112,7 +170,22 @@ router.post('/next/:doctorId', authorize('doctor', 'hospital staff', 'hospital m
         const nextPatient = await queueService.callNextPatient(doctorId);
         res.status(200).json(nextPatient);
     } catch (error) {
-        res.status(500).json({ error: error.message || localeText(req, 'serverError') });
+        const statusCode = error.message.includes('queue is paused') ? 409 : 500;
+        res.status(statusCode).json({ error: error.message || localeText(req, 'serverError') });
+    }
+});
+
+// @desc    Doctor marks the start of the current patient's consultation
+// @route   POST /api/queue/start/:queueItemId
+// @access  Private (Admins)
+router.post('/start/:queueItemId', authorize('doctor', 'hospital staff', 'hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const { queueItemId } = req.params;
+        const result = await queueService.startService(queueItemId);
+        res.status(200).json(result);
+    } catch (error) {
+        const statusCode = error.message.includes('not found') ? 404 : (error.message.includes('Only the patient') || error.message.includes('already started') ? 400 : 500);
+        res.status(statusCode).json({ error: error.message || localeText(req, 'serverError') });
     }
 });
 
@@ -142,18 +215,37 @@ router.post('/requeue/:queueItemId', authorize('doctor', 'hospital staff', 'hosp
    }
 });
 
+// @desc    Page a held patient back (push/SMS)
+// @route   POST /api/queue/page/:queueItemId
+// @access  Private (Admins)
+router.post('/page/:queueItemId', authorize('doctor', 'hospital staff', 'hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const { queueItemId } = req.params;
+        const result = await queueService.pagePatient(queueItemId);
+        res.status(200).json(result);
+    } catch (error) {
+        let statusCode = 500;
+        if (error.message.includes('not found')) statusCode = 404;
+        else if (error.message.includes('paged less than')) statusCode = 429;
+        else if (error.message.includes('Only held') || error.message.includes('cannot be paged')) statusCode = 400;
+        res.status(statusCode).json({ error: error.message || localeText(req, 'serverError') });
+    }
+});
+
 
 // @desc    Admin adds a walk-in patient to a specific doctor
 // @route   POST /api/queue/walk-in/:doctorId
 // @access  Private (Admins)
 router.post('/walk-in/:doctorId', authorize('hospital manager', 'super admin'), async (req, res) => {
     try {
-        const { name } = req.body;
+        const { name, priority } = req.body;
         const { doctorId } = req.params;
-        const result = await queueService.addWalkInPatient(name, doctorId);
+        const result = await queueService.addWalkInPatient(name, doctorId, priority);
         res.status(201).json(result);
     } catch (error) {
-        res.status(500).json({ error: error.message || localeText(req, 'serverError') });
+        let statusCode = error.message.includes('Invalid priority') ? 400 : 500;
+        if (error.message.includes('not accepting new patients')) statusCode = 409;
+        res.status(statusCode).json({ error: error.message || localeText(req, 'serverError') });
     }
 });
 
@@ -162,8 +254,8 @@ router.post('/walk-in/:doctorId', authorize('hospital manager', 'super admin'),
 // @access  Private (Admins)
 router.post('/walk-in/specialty', authorize('hospital staff', 'hospital manager', 'super admin'), async (req, res) => {
     try {
-        const { name, specialtyId } = req.body;
-        const result = await queueService.addWalkInBySpecialty(name, specialtyId, req.user);
+        const { name, specialtyId, priority } = req.body;
+        const result = await queueService.addWalkInBySpecialty(name, specialtyId, req.user, priority);
         res.status(201).json(result);
     } catch (error) {
         res.status(400).json({ error: error.message || localeText(req, 'serverError') });
@@ -175,14 +267,45 @@ router.post('/walk-in/specialty', authorize('hospital staff', 'hospital manager'
 // @access  Private (Admins/Doctors)
 router.post('/check-in', authorize('doctor', 'hospital staff', 'hospital manager', 'super admin'), async (req, res) => {
     try {
-        const { appointmentId } = req.body;
-        const result = await queueService.checkInAppointment(appointmentId);
+        const { appointmentId, priority } = req.body;
+        const result = await queueService.checkInAppointment(appointmentId, priority);
         res.status(200).json(result);
     } catch (error) {
         res.status(400).json({ error: error.message || localeText(req, 'serverError') });
     }
 });
 
+// @desc    Staff changes the priority lane of a waiting patient
+// @route   PUT /api/queue/priority/:queueItemId
+// @access  Private (Admins/Doctors)
+router.put('/priority/:queueItemId', authorize('doctor', 'hospital staff', 'hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const { queueItemId } = req.params;
+        const result = await queueService.setPriority(queueItemId, req.body.priority);
+        res.status(200).json(result);
+    } catch (error) {
+        const statusCode = error.message.includes('Invalid priority') ? 400 : (error.message.includes('not found') ? 404 : 500);
+        res.status(statusCode).json({ error: error.message || localeText(req, 'serverError') });
+    }
+});
+
+
+// @desc    Move one or all waiting patients to another doctor of the same specialty
+// @route   POST /api/queue/transfer
+// @access  Private (Admins/Doctors)
+router.post('/transfer', authorize('doctor', 'hospital staff', 'hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const { fromDoctorId, toDoctorId, queueItemId } = req.body;
+        const result = await queueService.transferQueue({ fromDoctorId, toDoctorId, queueItemId });
+        res.status(200).json(result);
+    } catch (error) {
+        let statusCode = 500;
+        if (error.message.includes('not found')) statusCode = 404;
+        else if (error.message.includes('already has an appointment')) statusCode = 409;
+        else if (error.message.includes('same specialty') || error.message.includes('different doctor') || error.message.includes('does not work')) statusCode = 400;
+        res.status(statusCode).json({ error: error.message || localeText(req, 'serverError') });
+    }
+});
 
 // @desc    Admin removes a patient from the queue
 // @route   DELETE /api/queue/remove/:queueItemId
@@ -0,0 +1,96 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const RedeemCampaign = require('../models/redeemCampaign');
+const redeemCodeService = require('../services/redeemCodeService');
+
+const errorStatus = (error) => {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('already exists')) return 409;
+    if (error.message.includes('required') || error.message.includes('Invalid')) return 400;
+    return 500;
+};
+
+// Redeem codes are managed by super admins only
+router.use(protect, authorize('super admin'));
+
+// @desc    Create a single redeem code
+// @route   POST /api/redeem-codes
+// @access  Private (Super Admin)
+router.post('/', async (req, res) => {
+    try {
+        const { code, amount, maxUses, perUserLimit, expiresAt } = req.body;
+        const redeemCode = await redeemCodeService.createCode({
+            code, amount, maxUses, perUserLimit, expiresAt, createdBy: req.user._id
+        });
+        res.status(201).json(redeemCode);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error creating redeem code:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Generate a campaign of redeem codes
+// @route   POST /api/redeem-codes/campaigns
+// @access  Private (Super Admin)
+router.post('/campaigns', async (req, res) => {
+    try {
+        const { name, description, count, prefix, amount, maxUses, perUserLimit, expiresAt } = req.body;
+        const result = await redeemCodeService.createCampaign({
+            name, description, count, prefix, amount, maxUses, perUserLimit, expiresAt, createdBy: req.user._id
+        });
+        res.status(201).json(result);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error generating redeem code campaign:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    List redeem code campaigns
+// @route   GET /api/redeem-codes/campaigns
+// @access  Private (Super Admin)
+router.get('/campaigns', async (req, res) => {
+    try {
+        const campaigns = await RedeemCampaign.find({})
+            .sort({ createdAt: -1 })
+            .populate('createdBy', 'name');
+        res.json(campaigns);
+    } catch (error) {
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Redeemed vs. outstanding value of a campaign
+// @route   GET /api/redeem-codes/campaigns/:id/report
+// @access  Private (Super Admin)
+router.get('/campaigns/:id/report', async (req, res) => {
+    try {
+        const report = await redeemCodeService.getCampaignReport(req.params.id);
+        res.json(report);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error building campaign report:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Download a campaign's codes as CSV
+// @route   GET /api/redeem-codes/campaigns/:id/export
+// @access  Private (Super Admin)
+router.get('/campaigns/:id/export', async (req, res) => {
+    try {
+        const { campaign, csv } = await redeemCodeService.exportCampaignCsv(req.params.id);
+        const fileName = campaign.name.replace(/[^A-Za-z0-9_-]+/g, '_') || campaign._id.toString();
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="redeem-codes-${fileName}.csv"`);
+        res.send(csv);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error exporting campaign codes:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,180 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const Settlement = require('../models/settlement');
+const settlementService = require('../services/settlementService');
+
+const errorStatus = (error) => {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('already exists')) return 409;
+    if (error.message.includes('required') || error.message.includes('Invalid') || error.message.includes('Only')) return 400;
+    return 500;
+};
+
+// Managers see the statements of their own hospitals; super admins see all
+const canAccessHospital = (user, hospitalId) => {
+    if (user.role === 'super admin') return true;
+    return (user.hospitals || []).map(h => h.toString()).includes(hospitalId.toString());
+};
+
+const loadSettlement = async (req, res) => {
+    const settlement = await Settlement.findById(req.params.id).populate('hospital', 'name timezone');
+    if (!settlement) {
+        res.status(404).json({ error: 'Settlement not found' });
+        return null;
+    }
+    if (!canAccessHospital(req.user, settlement.hospital._id)) {
+        res.status(403).json({ error: 'Not authorized to access this settlement' });
+        return null;
+    }
+    return settlement;
+};
+
+router.use(protect, authorize('hospital manager', 'super admin'));
+
+// @desc    List settlement statements
+// @route   GET /api/settlements?hospitalId=&status=
+// @access  Private (Hospital Manager, Super Admin)
+router.get('/', async (req, res) => {
+    try {
+        const { hospitalId, status } = req.query;
+        const query = {};
+        if (hospitalId) {
+            if (!canAccessHospital(req.user, hospitalId)) {
+                return res.status(403).json({ error: 'Not authorized to access this hospital' });
+            }
+            query.hospital = hospitalId;
+        } else if (req.user.role !== 'super admin') {
+            query.hospital = { $in: req.user.hospitals || [] };
+        }
+        if (status) query.status = status;
+
+        const settlements = await Settlement.find(query)
+            .sort({ periodStart: -1 })
+            .populate('hospital', 'name');
+        res.json(settlements);
+    } catch (error) {
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Preview what a hospital would be owed for a period, without creating a statement
+// @route   GET /api/settlements/preview?hospitalId=&periodStart=&periodEnd=
+// @access  Private (Hospital Manager, Super Admin)
+router.get('/preview', async (req, res) => {
+    try {
+        const { hospitalId, periodStart, periodEnd } = req.query;
+        if (hospitalId && !canAccessHospital(req.user, hospitalId)) {
+            return res.status(403).json({ error: 'Not authorized to access this hospital' });
+        }
+        const preview = await settlementService.previewSettlement({ hospitalId, periodStart, periodEnd });
+        res.json(preview);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error previewing settlement:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Create a draft settlement statement for a hospital and period
+// @route   POST /api/settlements
+// @access  Private (Super Admin)
+router.post('/', authorize('super admin'), async (req, res) => {
+    try {
+        const { hospitalId, periodStart, periodEnd } = req.body;
+        const settlement = await settlementService.createSettlement({
+            hospitalId, periodStart, periodEnd, createdBy: req.user._id
+        });
+        res.status(201).json(settlement);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error creating settlement:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Get a settlement statement
+// @route   GET /api/settlements/:id
+// @access  Private (Hospital Manager, Super Admin)
+router.get('/:id', async (req, res) => {
+    try {
+        const settlement = await loadSettlement(req, res);
+        if (!settlement) return;
+        res.json(settlement);
+    } catch (error) {
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Approve a draft statement
+// @route   PUT /api/settlements/:id/approve
+// @access  Private (Hospital Manager, Super Admin)
+router.put('/:id/approve', async (req, res) => {
+    try {
+        const settlement = await loadSettlement(req, res);
+        if (!settlement) return;
+        const approved = await settlementService.approveSettlement(settlement._id, req.user._id);
+        res.json(approved);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error approving settlement:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Mark an approved statement as paid out
+// @route   PUT /api/settlements/:id/paid
+// @access  Private (Super Admin)
+router.put('/:id/paid', authorize('super admin'), async (req, res) => {
+    try {
+        const { paymentReference } = req.body;
+        const settlement = await settlementService.markSettlementPaid(req.params.id, req.user._id, paymentReference);
+        res.json(settlement);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error marking settlement paid:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Delete a draft statement
+// @route   DELETE /api/settlements/:id
+// @access  Private (Super Admin)
+router.delete('/:id', authorize('super admin'), async (req, res) => {
+    try {
+        await settlementService.deleteDraftSettlement(req.params.id);
+        res.status(204).send();
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error deleting settlement:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Download a statement as CSV or PDF
+// @route   GET /api/settlements/:id/export?format=csv|pdf
+// @access  Private (Hospital Manager, Super Admin)
+router.get('/:id/export', async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'pdf'].includes(format)) {
+            return res.status(400).json({ error: 'Invalid format. Use csv or pdf.' });
+        }
+        const settlement = await loadSettlement(req, res);
+        if (!settlement) return;
+
+        const fileName = `settlement-${settlement.periodStart}-${settlement.periodEnd}-${settlement._id}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        if (format === 'pdf') {
+            res.set('Content-Type', 'application/pdf');
+            return res.send(await settlementService.exportStatementPdf(settlement));
+        }
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.send(await settlementService.exportStatementCsv(settlement));
+    } catch (error) {
+        console.error('Error exporting settlement:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+module.exports = router;
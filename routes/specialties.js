@@ -43,7 +43,7 @@ router.get('/', async (req, res) => {
 // @route   POST /api/specialties
 router.post('/', async (req, res) => {
     try {
-        const { name } = req.body;
+        const { name, code } = req.body;
         const hospital = req.user.hospitals && req.user.hospitals.length > 0 ? req.user.hospitals[0] : null;
         if (!name || !hospital) {
             return res.status(400).json({ error: 'Specialty name and hospital are required.' });
@@ -54,7 +54,7 @@ router.post('/', async (req, res) => {
         if (existing) {
             return res.status(400).json({ error: 'This specialty already exists in your hospital.' });
         }
-        const specialty = await Specialty.create({ name: i18nName, hospital });
+        const specialty = await Specialty.create({ name: i18nName, hospital, code });
         res.status(201).json(specialty);
     } catch (error) {
         res.status(500).json({ error: 'Server Error' });
@@ -65,7 +65,7 @@ router.post('/', async (req, res) => {
 // @route   PUT /api/specialties/:id
 router.put('/:id', async (req, res) => {
     try {
-        const { name } = req.body;
+        const { name, code } = req.body;
         const specialty = await Specialty.findById(req.params.id);
         const primaryHospitalId = req.user.hospitals && req.user.hospitals.length > 0 ? req.user.hospitals[0] : null;
 
@@ -76,6 +76,7 @@ router.put('/:id', async (req, res) => {
         
         specialty.name.en = name;
         specialty.name.ar = name;
+        if (code !== undefined) specialty.code = code;
         await specialty.save();
         res.status(200).json(specialty);
     } catch (error) {
@@ -6,12 +6,16 @@ const Wallet = require('../models/wallet');
 const Specialty = require('../models/specialty');
 const Appointment = require('../models/appointment');
 const { protect, authorize, optionalProtect } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const mongoose = require('mongoose');
-const moment = require('moment');
+const dateTime = require('../utils/dateTime');
 const AccountDeletionService = require('../services/accountDeletionService');
 const AccountDisableService = require('../services/accountDisableService');
 const ExternalNotificationService = require('../services/externalNotificationService');
 const walletService = require('../services/walletService');
+const availabilityService = require('../services/availabilityService');
+const reliabilityService = require('../services/reliabilityService');
+const appointmentCancellationService = require('../services/appointmentCancellationService');
 const { createNotification } = require('../utils/notificationHelper');
 
 // @desc    Get all users (Admin/Manager)
@@ -58,10 +62,19 @@ router.get('/', protect, authorize('hospital manager', 'super admin', 'hospital
             .populate('hospitals', 'name')
             .populate('specialties', 'name') // Populate specialties to show in Admin table
             .sort({ createdAt: -1 });
+
+        // Attendance record for patients (attended vs. no-show vs. late cancel)
+        const patientIds = users.filter(user => user.role === 'patient').map(user => user._id);
+        const reliabilityByUser = patientIds.length > 0
+            ? await reliabilityService.getReliabilityScores(patientIds)
+            : new Map();
             
         const now = new Date();
         const results = users.map(user => {
             const userObj = user.toObject();
+            if (userObj.role === 'patient') {
+                userObj.reliability = reliabilityByUser.get(userObj._id.toString());
+            }
             if (userObj.role === 'doctor') {
                 const episodes = userObj.unavailabilityEpisodes || [];
                 const activeEpisode = episodes.find(ep => {
@@ -624,6 +637,197 @@ router.put('/availability', protect, authorize('hospital manager', 'super admin'
     }
 });
 
+// @desc    Get doctor's weekly schedule and date-specific exceptions
+// @route   GET /api/users/doctors/:id/schedule
+// @access  Private (Doctor/Staff/Manager/Admin)
+router.get('/doctors/:id/schedule', protect, authorize('doctor', 'hospital staff', 'hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const doctor = await User.findById(req.params.id)
+            .populate({ path: 'schedule.weekly.hospital', select: 'name' })
+            .populate({ path: 'schedule.exceptions.hospital', select: 'name' });
+
+        if (!doctor || doctor.role !== 'doctor') {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        if (req.user.role === 'doctor' && req.user._id.toString() !== doctor._id.toString()) {
+            return res.status(403).json({ error: 'Not authorized to view this schedule.' });
+        }
+
+        if (['hospital staff', 'hospital manager'].includes(req.user.role)) {
+            const userHospitalIds = (req.user.hospitals || []).map(h => h.toString());
+            const doctorHospitalIds = doctor.hospitals.map(h => h.toString());
+            if (!userHospitalIds.some(id => doctorHospitalIds.includes(id))) {
+                return res.status(403).json({ error: 'Not authorized to view this doctor.' });
+            }
+        }
+
+        res.json({
+            weekly: doctor.schedule?.weekly || [],
+            exceptions: doctor.schedule?.exceptions || [],
+            // Legacy single-window availability is used while no weekly schedule is configured
+            usesLegacyAvailability: !(doctor.schedule?.weekly?.length > 0)
+        });
+    } catch (error) {
+        console.error('Get Schedule Error:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Replace doctor's recurring weekly schedule (multiple shifts per day, with breaks)
+// @route   PUT /api/users/doctors/:id/schedule
+// @access  Private (Manager/Admin ONLY)
+router.put('/doctors/:id/schedule', protect, authorize('hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const { weekly } = req.body;
+
+        if (!Array.isArray(weekly)) {
+            return res.status(400).json({ error: 'Weekly schedule must be an array of shifts.' });
+        }
+
+        const doctor = await User.findById(req.params.id);
+        if (!doctor || doctor.role !== 'doctor') {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        const doctorHospitalIds = doctor.hospitals.map(h => h.toString());
+        let managerHospitalId = null;
+        if (req.user.role === 'hospital manager') {
+            managerHospitalId = req.user.hospitals?.[0]?.toString();
+            if (!managerHospitalId || !doctorHospitalIds.includes(managerHospitalId)) {
+                return res.status(403).json({ error: 'Not authorized to edit this doctor.' });
+            }
+        }
+
+        const shifts = weekly.map(shift => {
+            // Managers can only schedule shifts at their own hospital
+            const hospitalId = managerHospitalId || (shift.hospital ? shift.hospital.toString() : null);
+            if (!hospitalId || !doctorHospitalIds.includes(hospitalId)) {
+                throw new Error('Each shift must reference one of the doctor\'s hospitals.');
+            }
+            return availabilityService.normalizeShiftTimes({
+                dayOfWeek: shift.dayOfWeek,
+                hospital: hospitalId,
+                startTime: shift.startTime,
+                endTime: shift.endTime,
+                breaks: shift.breaks
+            });
+        });
+
+        // Managers replace only their hospital's shifts; shifts at other hospitals are kept as-is
+        const preservedShifts = managerHospitalId
+            ? (doctor.schedule?.weekly || []).filter(shift => shift.hospital.toString() !== managerHospitalId)
+            : [];
+
+        doctor.schedule = doctor.schedule || {};
+        doctor.schedule.weekly = [...preservedShifts, ...shifts];
+        await doctor.save();
+
+        res.status(200).json(doctor.schedule);
+    } catch (error) {
+        console.error('Schedule Update Error:', error);
+
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ error: messages.join('. ') });
+        }
+        if (error.message.includes('Invalid') || error.message.includes('must reference')) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        res.status(500).json({ error: 'Server Error during schedule update' });
+    }
+});
+
+// @desc    Add a date-specific schedule exception (closed day or extra shift)
+// @route   POST /api/users/doctors/:id/schedule/exceptions
+// @access  Private (Manager/Admin ONLY)
+router.post('/doctors/:id/schedule/exceptions', protect, authorize('hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const { date, type, hospital, startTime, endTime, breaks, reason } = req.body;
+
+        if (!dateTime.isValidDateString(date)) {
+            return res.status(400).json({ error: 'A valid date (YYYY-MM-DD) is required.' });
+        }
+        if (!['closed', 'extra'].includes(type)) {
+            return res.status(400).json({ error: 'Exception type must be either "closed" or "extra".' });
+        }
+
+        const doctor = await User.findById(req.params.id);
+        if (!doctor || doctor.role !== 'doctor') {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        const doctorHospitalIds = doctor.hospitals.map(h => h.toString());
+        let hospitalId = hospital ? hospital.toString() : null;
+        if (req.user.role === 'hospital manager') {
+            const managerHospitalId = req.user.hospitals?.[0]?.toString();
+            if (!managerHospitalId || !doctorHospitalIds.includes(managerHospitalId)) {
+                return res.status(403).json({ error: 'Not authorized to edit this doctor.' });
+            }
+            // Managers cannot close or extend the doctor's schedule at other hospitals
+            hospitalId = managerHospitalId;
+        }
+
+        if (hospitalId && !doctorHospitalIds.includes(hospitalId)) {
+            return res.status(400).json({ error: 'Hospital must be one of the doctor\'s hospitals.' });
+        }
+
+        let exception = { date, type, hospital: hospitalId || undefined, reason: reason || '' };
+        if (type === 'extra') {
+            if (!hospitalId) {
+                return res.status(400).json({ error: 'A hospital is required for an extra shift.' });
+            }
+            try {
+                exception = availabilityService.normalizeShiftTimes({ ...exception, startTime, endTime, breaks });
+            } catch (validationError) {
+                return res.status(400).json({ error: validationError.message });
+            }
+        }
+
+        doctor.schedule = doctor.schedule || {};
+        doctor.schedule.exceptions.push(exception);
+        await doctor.save();
+
+        res.status(201).json(doctor.schedule.exceptions[doctor.schedule.exceptions.length - 1]);
+    } catch (error) {
+        console.error('Add Schedule Exception Error:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Remove a date-specific schedule exception
+// @route   DELETE /api/users/doctors/:id/schedule/exceptions/:exceptionId
+// @access  Private (Manager/Admin ONLY)
+router.delete('/doctors/:id/schedule/exceptions/:exceptionId', protect, authorize('hospital manager', 'super admin'), async (req, res) => {
+    try {
+        const doctor = await User.findById(req.params.id);
+        if (!doctor || doctor.role !== 'doctor') {
+            return res.status(404).json({ error: 'Doctor not found' });
+        }
+
+        const exception = doctor.schedule?.exceptions?.id(req.params.exceptionId);
+        if (!exception) {
+            return res.status(404).json({ error: 'Schedule exception not found' });
+        }
+
+        if (req.user.role === 'hospital manager') {
+            const managerHospitalId = req.user.hospitals?.[0]?.toString();
+            if (!managerHospitalId || exception.hospital?.toString() !== managerHospitalId) {
+                return res.status(403).json({ error: 'Not authorized to remove this exception.' });
+            }
+        }
+
+        exception.deleteOne();
+        await doctor.save();
+
+        res.status(200).json({ success: true });
+    } catch (error) {
+        console.error('Remove Schedule Exception Error:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
 // @desc    Update any user (Admin/Manager)
 // @route   PUT /api/users/:id
 // @access  Private (Admin/Manager)
@@ -657,6 +861,8 @@ router.put('/:id', protect, authorize('hospital manager', 'super admin'), async
         
         if (req.body.specialties) user.specialties = req.body.specialties;
 
+        if (req.body.room !== undefined) user.room = req.body.room;
+
         if (req.body.password) user.password = req.body.password; 
 
         const updatedUser = await user.save();
@@ -949,50 +1155,28 @@ router.post('/doctors/:id/unavailability', protect, authorize('super admin', 'ho
         // --- DOCTOR APOLOGY LOGIC ---
         // Find and handle upcoming appointments during this period
         // Ensure we find ALL active appointments in the designated range
-        const todayStr = moment().format('YYYY-MM-DD');
-        const endStr = moment(endDate).format('YYYY-MM-DD');
+        const todayStr = dateTime.todayIn();
+        const endStr = dateTime.normalizeDate(endDate);
 
         console.log(`[DOCTOR APOLOGY] Marking doctor ${req.params.id} unavailable from ${todayStr} to ${endStr}`);
 
-        const affectedAppointments = await Appointment.find({
-            doctor: req.params.id,
-            status: { $in: ['Upcoming', 'Scheduled'] },
-            date: { $gte: todayStr, $lte: endStr }
-        }).populate('doctor');
-
-        console.log(`[DOCTOR APOLOGY] Found ${affectedAppointments.length} affected appointments`);
-
-        for (const appt of affectedAppointments) {
-            console.log(`[DOCTOR APOLOGY] Cancelling appointment ${appt._id} for date ${appt.date}`);
-            appt.status = 'DoctorCancelled';
-            appt.cancellationResolution = 'Pending';
-            await appt.save();
-
-            // Create notification (in-app + external)
-            try {
-                await createNotification(
-                    appt.user,
-                    'appointment_cancelled',
-                    {
-                        en: `Dr. ${appt.doctor.name.en} has apologized for the appointment on ${appt.date}. Please open the app to choose a resolution.`,
-                        ar: `نعتذر منك، لقد تعذر حضور الدكتور ${appt.doctor.name.ar || appt.doctor.name.en} لموعدكم يوم ${appt.date}. يرجى الدخول للتطبيق لاختيار بديل.`
-                    },
-                    {
-                        title: {
-                            en: 'Appointment Cancelled by Doctor',
-                            ar: 'تنبيه: اعتذار طبيب'
-                        },
-                        language: 'ar',
-                        data: {
-                            type: 'doctor_apology',
-                            appointmentId: appt._id.toString()
-                        }
-                    }
-                );
-            } catch (notifyErr) {
-                console.error(`[DOCTOR APOLOGY] Notification failed for ${appt._id}:`, notifyErr.message);
-            }
-        }
+        const affectedAppointments = await appointmentCancellationService.cancelUpcomingAppointments(
+            {
+                doctor: req.params.id,
+                date: { $gte: todayStr, $lte: endStr }
+            },
+            (appt) => ({
+                type: 'doctor_apology',
+                title: {
+                    en: 'Appointment Cancelled by Doctor',
+                    ar: 'تنبيه: اعتذار طبيب'
+                },
+                message: {
+                    en: `Dr. ${appt.doctor.name.en} has apologized for the appointment on ${appt.date}. Please open the app to choose a resolution.`,
+                    ar: `نعتذر منك، لقد تعذر حضور الدكتور ${appt.doctor.name.ar || appt.doctor.name.en} لموعدكم يوم ${appt.date}. يرجى الدخول للتطبيق لاختيار بديل.`
+                }
+            })
+        );
 
         res.status(200).json({ success: true, doctor, affectedCount: affectedAppointments.length });
     } catch (error) {
@@ -1027,7 +1211,7 @@ router.post('/doctors/:id/availability/restore', protect, authorize('super admin
 // @desc    Add funds to user wallet (Admin)
 // @route   POST /api/users/:id/add-funds
 // @access  Private (Admin)
-router.post('/:id/add-funds', protect, authorize('hospital manager', 'super admin'), async (req, res) => {
+router.post('/:id/add-funds', protect, authorize('hospital manager', 'super admin'), idempotent, async (req, res) => {
     try {
         const { amount, description } = req.body;
         const parsedAmount = parseFloat(amount);
@@ -1046,7 +1230,8 @@ router.post('/:id/add-funds', protect, authorize('hospital manager', 'super admi
             type: 'credit',
             transactionType: 'Deposit',
             description: description || `Admin deposit.`,
-            referenceId: `ADMIN_DEPOSIT_${Date.now()}`
+            referenceId: `ADMIN_DEPOSIT_${Date.now()}`,
+            fundingSource: 'admin'
         };
 
         await walletService.createTransactionAndUpdateWallet(transactionData);
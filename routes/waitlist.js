@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const WaitlistEntry = require('../models/waitlistEntry');
+const waitlistService = require('../services/waitlistService');
+
+const errorStatus = (error) => {
+    if (error.message.includes('not found')) return 404;
+    if (error.message.includes('no-shows')) return 403;
+    if (error.message.includes('required') || error.message.includes('Invalid') ||
+        error.message.includes('already') || error.message.includes('no active offer') ||
+        error.message.includes('expired') || error.message.includes('Insufficient') ||
+        error.message.includes('unavailable') || error.message.includes('working hours') ||
+        error.message.includes('is closed')) return 400;
+    if (error.message.includes('held by another patient') || error.message.includes('overlaps')) return 409;
+    return 500;
+};
+
+// All routes are protected
+router.use(protect);
+
+// @desc    Join a doctor's waitlist for a date range
+// @route   POST /api/waitlist
+// @access  Private (Patient)
+router.post('/', authorize('patient'), async (req, res) => {
+    try {
+        const { doctorId, hospitalId, appointmentTypeId, startDate, endDate } = req.body;
+        const entry = await waitlistService.joinWaitlist(req.user._id, { doctorId, hospitalId, appointmentTypeId, startDate, endDate });
+        res.status(201).json(entry);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error joining waitlist:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    List waitlist entries (own entries for patients, by doctor/hospital for staff)
+// @route   GET /api/waitlist
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const { doctorId, status } = req.query;
+        const query = {
+            status: status ? status : { $in: ['Waiting', 'Offered'] }
+        };
+
+        if (req.user.role === 'patient') {
+            query.user = req.user._id;
+        } else if (req.user.role === 'doctor') {
+            query.doctor = req.user._id;
+        } else {
+            if (req.user.role !== 'super admin') {
+                query.hospital = { $in: req.user.hospitals };
+            }
+            if (doctorId) query.doctor = doctorId;
+        }
+
+        const entries = await WaitlistEntry.find(query)
+            .sort({ createdAt: 1 })
+            .populate('user', 'name phone')
+            .populate('doctor', 'name')
+            .populate('hospital', 'name')
+            .populate('appointmentType', 'name duration cost');
+
+        res.json(entries);
+    } catch (error) {
+        console.error('Error fetching waitlist:', error);
+        res.status(500).json({ error: 'Server Error' });
+    }
+});
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/waitlist/:id
+// @access  Private (Patient)
+router.delete('/:id', authorize('patient'), async (req, res) => {
+    try {
+        const result = await waitlistService.leaveWaitlist(req.user._id, req.params.id);
+        res.json(result);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error leaving waitlist:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Accept an offered slot and book it
+// @route   POST /api/waitlist/:id/accept
+// @access  Private (Patient)
+router.post('/:id/accept', authorize('patient'), idempotent, async (req, res) => {
+    try {
+        const appointment = await waitlistService.acceptOffer(req.user._id, req.params.id);
+        res.status(201).json(appointment);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error accepting waitlist offer:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+// @desc    Decline an offered slot and stay on the waitlist
+// @route   POST /api/waitlist/:id/decline
+// @access  Private (Patient)
+router.post('/:id/decline', authorize('patient'), async (req, res) => {
+    try {
+        const entry = await waitlistService.declineOffer(req.user._id, req.params.id);
+        res.json(entry);
+    } catch (error) {
+        const statusCode = errorStatus(error);
+        if (statusCode === 500) console.error('Error declining waitlist offer:', error);
+        res.status(statusCode).json({ error: statusCode === 500 ? 'Server Error' : error.message });
+    }
+});
+
+module.exports = router;
@@ -2,10 +2,13 @@ const express = require('express');
 const router = express.Router();
 const Transaction = require('../models/transaction');
 const Notification = require('../models/notification');
-const RedeemCode = require('../models/redeemCode');
 const Wallet = require('../models/wallet');
 const { protect, authorize } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const walletService = require('../services/walletService');
+const ledgerService = require('../services/ledgerService');
+const redeemCodeService = require('../services/redeemCodeService');
+const paymentService = require('../services/paymentService');
 const { createNotification } = require('../utils/notificationHelper');
 
 // All routes are protected for logged-in users
@@ -35,53 +38,53 @@ router.get('/transactions', authorize('patient'), async (req, res) => {
     }
 });
 
-// @desc    Add funds via deposit
+// @desc    Check every wallet balance against the ledger and flag drift
+// @route   GET /api/wallet/reconciliation
+// @access  Private (Super Admin)
+router.get('/reconciliation', authorize('super admin'), async (req, res) => {
+    try {
+        const report = await ledgerService.reconcileWallets();
+        res.json(report);
+    } catch (error) {
+        res.status(500).json({ error: error.message || 'Server Error' });
+    }
+});
+
+// @desc    List the payment providers available for top-ups
+// @route   GET /api/wallet/payment-providers
+// @access  Private (patient only)
+router.get('/payment-providers', authorize('patient'), (req, res) => {
+    res.json(paymentService.listProviders());
+});
+
+// @desc    Start a wallet top-up; the wallet is credited once the provider confirms the payment
 // @route   POST /api/wallet/deposit
 // @access  Private (patient only)
-router.post('/deposit', authorize('patient'), async (req, res) => {
+router.post('/deposit', authorize('patient'), idempotent, async (req, res) => {
     try {
-        const { amount } = req.body;
-        const parsedAmount = parseFloat(amount);
-
-        if (!parsedAmount || parsedAmount <= 0) {
-            return res.status(400).json({ error: 'Please provide a valid positive amount.' });
+        const { amount, provider } = req.body;
+        if (!provider) {
+            return res.status(400).json({ error: 'Please choose a payment provider.' });
         }
-        
-        // Use wallet service to handle transaction and balance update
-        const transactionData = {
-            userId: req.user._id,
-            amount: parsedAmount,
-            type: 'credit',
-            transactionType: 'Deposit',
-            description: `User deposit via portal.`,
-            referenceId: `DEPOSIT_${Date.now()}` // Simple unique reference
-        };
 
-        await walletService.createTransactionAndUpdateWallet(transactionData);
-        
-        // Create notification (in-app + external)
-        await createNotification(
-            req.user._id,
-            'wallet',
-            {
-                en: `Your wallet has been credited with ${parsedAmount.toFixed(2)} LYD.`,
-                ar: `تم إيداع ${parsedAmount.toFixed(2)} دينار في محفظتك.`
-            },
-            {
-                title: {
-                    en: 'Wallet Credited',
-                    ar: 'تم شحن المحفظة'
-                },
-                language: 'ar',
-                data: {
-                    amount: parsedAmount.toFixed(2),
-                    link: `#/wallet`
-                }
-            }
-        );
+        const deposit = await paymentService.createDeposit(req.user._id, { amount, provider });
+        res.status(201).json(deposit);
+    } catch (error) {
+        if (error.message.includes('Invalid')) return res.status(400).json({ error: error.message });
+        if (error.message.includes('unavailable')) return res.status(502).json({ error: error.message });
+        res.status(500).json({ error: error.message || 'Server Error' });
+    }
+});
 
-        res.status(200).json({ success: true, amount: parsedAmount });
+// @desc    Get the status of a top-up
+// @route   GET /api/wallet/deposit/:id
+// @access  Private (patient only)
+router.get('/deposit/:id', authorize('patient'), async (req, res) => {
+    try {
+        const deposit = await paymentService.getDeposit(req.user._id, req.params.id);
+        res.json(deposit);
     } catch (error) {
+        if (error.message.includes('not found')) return res.status(404).json({ error: error.message });
         res.status(500).json({ error: error.message || 'Server Error' });
     }
 });
@@ -89,39 +92,15 @@ router.post('/deposit', authorize('patient'), async (req, res) => {
 // @desc    Redeem a code to add funds to wallet
 // @route   POST /api/wallet/redeem-code
 // @access  Private (patient only)
-router.post('/redeem-code', authorize('patient'), async (req, res) => {
+router.post('/redeem-code', authorize('patient'), idempotent, async (req, res) => {
     try {
         const { code } = req.body;
         if (!code) {
             return res.status(400).json({ error: 'Please provide a code.' });
         }
 
-        const redeemCode = await RedeemCode.findOne({ code: code.toUpperCase() });
-
-        if (!redeemCode) {
-            return res.status(404).json({ error: 'Invalid code.' });
-        }
-        if (redeemCode.isUsed) {
-            return res.status(400).json({ error: 'This code has already been used.' });
-        }
-        
-        // Use wallet service to handle transaction and balance update
-        const transactionData = {
-            userId: req.user._id,
-            amount: redeemCode.amount,
-            type: 'credit',
-            transactionType: 'Deposit',
-            description: `Redeemed code: ${redeemCode.code}`,
-            referenceId: redeemCode._id.toString()
-        };
-
-        await walletService.createTransactionAndUpdateWallet(transactionData);
-        
-        // Mark code as used
-        redeemCode.isUsed = true;
-        redeemCode.usedBy = req.user._id;
-        redeemCode.usedAt = new Date();
-        await redeemCode.save();
+        // Claims the code and credits the wallet in one transaction
+        const redeemCode = await redeemCodeService.redeemCode(req.user._id, code);
 
         // Create notification (in-app + external)
         await createNotification(
@@ -146,6 +125,10 @@ router.post('/redeem-code', authorize('patient'), async (req, res) => {
 
         res.status(200).json({ success: true, amount: redeemCode.amount });
     } catch (error) {
+        if (error.message.includes('Invalid code')) return res.status(404).json({ error: error.message });
+        if (error.message.includes('already') || error.message.includes('expired')) {
+            return res.status(400).json({ error: error.message });
+        }
         res.status(500).json({ error: error.message || 'Server Error' });
     }
 });
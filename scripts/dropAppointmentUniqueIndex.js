@@ -1,5 +1,7 @@
 // Utility script to drop the legacy unique index (doctor_1_date_1_time_1)
 // Run once after enabling queue-based booking to allow multiple bookings per time slot.
+// It also has to be dropped before the partial index doctor_date_time_upcoming can be built,
+// otherwise cancelled appointments keep blocking their slot.
 // Usage: node scripts/dropAppointmentUniqueIndex.js
 
 const mongoose = require('mongoose');
@@ -0,0 +1,87 @@
+// Backfill Appointment.startAt/endAt from the legacy date + time strings,
+// and give every hospital a timezone (defaults to Africa/Tripoli).
+// Safe to run more than once: only appointments without startAt are touched,
+// unless --all is passed to recompute every appointment (e.g. after changing a hospital's timezone).
+// Usage: node scripts/migrateAppointmentStartAt.js [--all] [--dry-run]
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Appointment = require('../models/appointment');
+const AppointmentType = require('../models/appointmentType');
+const Hospital = require('../models/hospital');
+const dateTime = require('../utils/dateTime');
+
+const MONGO_URI = process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/myClinicDB';
+const BATCH_SIZE = 500;
+
+const recomputeAll = process.argv.includes('--all');
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+
+  try {
+    // 1. Hospitals without a timezone get the default
+    const hospitalResult = dryRun
+      ? { modifiedCount: await Hospital.countDocuments({ timezone: { $exists: false } }) }
+      : await Hospital.updateMany({ timezone: { $exists: false } }, { $set: { timezone: dateTime.DEFAULT_TIMEZONE } });
+    console.log(`Hospitals given default timezone ${dateTime.DEFAULT_TIMEZONE}: ${hospitalResult.modifiedCount}`);
+
+    const hospitals = await Hospital.find().select('timezone').lean();
+    const timezoneByHospital = new Map(hospitals.map((h) => [h._id.toString(), dateTime.resolveTimezone(h)]));
+
+    const appointmentTypes = await AppointmentType.find().select('duration').lean();
+    const durationByType = new Map(appointmentTypes.map((t) => [t._id.toString(), t.duration]));
+
+    // 2. Appointments: normalize the local date and derive startAt/endAt
+    const query = recomputeAll ? {} : { startAt: { $exists: false } };
+    const cursor = Appointment.find(query).select('date time hospital appointmentType').lean().cursor();
+
+    let updated = 0;
+    const skipped = [];
+    let ops = [];
+
+    const flush = async () => {
+      if (ops.length === 0) return;
+      if (!dryRun) await Appointment.bulkWrite(ops, { ordered: false });
+      updated += ops.length;
+      ops = [];
+    };
+
+    for await (const appt of cursor) {
+      const timezone = timezoneByHospital.get(String(appt.hospital)) || dateTime.DEFAULT_TIMEZONE;
+      const date = dateTime.normalizeDate(appt.date, timezone);
+      const duration = durationByType.get(String(appt.appointmentType)) || dateTime.DEFAULT_APPOINTMENT_DURATION_MINS;
+      const window = date ? dateTime.getAppointmentWindow(date, appt.time, duration, timezone) : null;
+
+      if (!window) {
+        skipped.push(`${appt._id} (date: ${appt.date}, time: ${appt.time})`);
+        continue;
+      }
+
+      ops.push({
+        updateOne: {
+          filter: { _id: appt._id },
+          update: { $set: { date, startAt: window.startAt, endAt: window.endAt } }
+        }
+      });
+      if (ops.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    console.log(`${dryRun ? '[dry run] Would update' : 'Updated'} ${updated} appointments.`);
+    if (skipped.length > 0) {
+      console.warn(`Skipped ${skipped.length} appointments with unparseable date/time:`);
+      skipped.forEach((line) => console.warn(`  - ${line}`));
+    }
+  } catch (err) {
+    console.error('Migration failed:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
@@ -0,0 +1,43 @@
+// Give every wallet that holds money but has no ledger history an opening balance entry,
+// so wallets funded before the ledger existed reconcile.
+// Safe to run more than once: wallets that already have ledger entries are skipped.
+// Usage: node scripts/openLedgerAccounts.js [--dry-run]
+
+const mongoose = require('mongoose');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const Wallet = require('../models/wallet');
+const LedgerEntry = require('../models/ledgerEntry');
+const ledgerService = require('../services/ledgerService');
+
+const MONGO_URI = process.env.MONGO_URI || process.env.DATABASE_URL || 'mongodb://localhost:27017/myClinicDB';
+
+const dryRun = process.argv.includes('--dry-run');
+
+async function main() {
+  await mongoose.connect(MONGO_URI);
+
+  try {
+    let opened = 0;
+    const cursor = Wallet.find({ balance: { $ne: 0 } }).select('user balance').lean().cursor();
+
+    for await (const wallet of cursor) {
+      if (dryRun) {
+        const hasHistory = await LedgerEntry.exists({ 'lines.account': 'wallet', 'lines.user': wallet.user });
+        if (!hasHistory) opened++;
+        continue;
+      }
+      if (await ledgerService.openWalletAccount(wallet)) opened++;
+    }
+
+    console.log(`${dryRun ? '[dry run] Would open' : 'Opened'} ${opened} wallet ledger accounts.`);
+  } catch (err) {
+    console.error('Error opening ledger accounts:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main();
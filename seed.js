@@ -15,6 +15,8 @@ const AppointmentType = require('./models/appointmentType');
 const QueueItem = require('./models/queueItem');
 const Wallet = require('./models/wallet');
 const MedicalReport = require('./models/medicalReport');
+const LedgerEntry = require('./models/ledgerEntry');
+const ledgerService = require('./services/ledgerService');
 
 const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/myClinicDB';
 
@@ -555,6 +557,7 @@ const seedDatabase = async () => {
             AppointmentType.deleteMany({}),
             QueueItem.deleteMany({}),
             Wallet.deleteMany({}),
+            LedgerEntry.deleteMany({}),
             MedicalReport.deleteMany({})
         ]);
         */
@@ -736,11 +739,12 @@ const seedDatabase = async () => {
             // Create Wallet if doesn't exist
             const existingWallet = await Wallet.findOne({ user: patient._id });
             if (!existingWallet) {
-                await Wallet.create({
+                const wallet = await Wallet.create({
                     user: patient._id,
                     balance: 2000.00, // Generous starting money for testing surgery fees
                     currency: 'LYD'
                 });
+                await ledgerService.openWalletAccount(wallet);
             }
 
             createdPatients.push(patient);
@@ -18,7 +18,13 @@ const app = express();
 // Middleware
 app.use(cors());
 // FIX: Increased the JSON payload limit to 10MB to allow for base64 image uploads.
-app.use(express.json({ limit: '10mb' }));
+// Payment webhooks are signed over the exact bytes received, so keep them for those routes.
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/payments/webhook/')) req.rawBody = buf;
+    }
+}));
 
 // --- ENCRYPTION MIDDLEWARE ---
 // Apply decryption before routes. This ensures req.body is readable by controllers.
@@ -59,6 +65,30 @@ mongoose.connection.once('open', () => {
         console.error('Failed to start reminder scheduler:', error);
         // Don't exit - server can still run without scheduler
     }
+
+    // Start the waitlist offer scheduler
+    try {
+        const WaitlistScheduler = require('./services/waitlistScheduler');
+        WaitlistScheduler.start();
+    } catch (error) {
+        console.error('Failed to start waitlist scheduler:', error);
+    }
+
+    // Start the NoShow scheduler
+    try {
+        const NoShowScheduler = require('./services/noShowScheduler');
+        NoShowScheduler.start();
+    } catch (error) {
+        console.error('Failed to start NoShow scheduler:', error);
+    }
+
+    // Start the end-of-day queue close-out scheduler
+    try {
+        const QueueCloseOutScheduler = require('./services/queueCloseOutScheduler');
+        QueueCloseOutScheduler.start();
+    } catch (error) {
+        console.error('Failed to start queue close-out scheduler:', error);
+    }
 });
 
 const PORT = process.env.PORT || 5000;
@@ -7,6 +7,7 @@ const MedicalReport = require('../models/medicalReport');
 const Reminder = require('../models/reminder');
 const QueueItem = require('../models/queueItem');
 const EmergencyContact = require('../models/emergencyContact');
+const ledgerService = require('./ledgerService');
 
 /**
  * Service for handling account deletion with cascade deletion of all related data
@@ -46,6 +47,8 @@ class AccountDeletionService {
                 // 2. Delete Wallet and Transactions
                 const wallet = await Wallet.findOne({ user: userId }).session(session);
                 if (wallet) {
+                    // Keep the ledger balanced once the wallet is gone
+                    await ledgerService.closeWalletAccount(userId, 'Wallet closed on account deletion', { session });
                     const transactions = await Transaction.deleteMany({ wallet: wallet._id }).session(session);
                     deletionLog.deletedData.transactions = transactions.deletedCount;
                     await Wallet.deleteOne({ _id: wallet._id }).session(session);
@@ -0,0 +1,56 @@
+const Appointment = require('../models/appointment');
+const { createNotification } = require('../utils/notificationHelper');
+
+/**
+ * Move upcoming appointments into the doctor-cancelled flow
+ * (status 'DoctorCancelled', resolution 'Pending') and ask each patient to
+ * choose a resolution (refund, redirect or reschedule).
+ * @param {Object} query - Mongo filter selecting the affected appointments; status is forced to Upcoming
+ * @param {Function} buildMessage - (appointment) => { title: {en, ar}, message: {en, ar}, type }
+ * @param {String} [logTag='DOCTOR APOLOGY'] - Prefix for log lines
+ * @returns {Promise<Array<Document>>} - The affected appointments
+ */
+const cancelUpcomingAppointments = async (query, buildMessage, logTag = 'DOCTOR APOLOGY') => {
+    const affectedAppointments = await Appointment.find({
+        ...query,
+        status: 'Upcoming'
+    })
+        .populate('doctor', 'name')
+        .populate('hospital', 'name');
+
+    console.log(`[${logTag}] Found ${affectedAppointments.length} affected appointments`);
+
+    for (const appt of affectedAppointments) {
+        console.log(`[${logTag}] Cancelling appointment ${appt._id} for date ${appt.date}`);
+        appt.status = 'DoctorCancelled';
+        appt.cancellationResolution = 'Pending';
+        await appt.save();
+
+        // Create notification (in-app + external)
+        try {
+            const { title, message, type } = buildMessage(appt);
+            await createNotification(
+                appt.user,
+                'appointment',
+                message,
+                {
+                    title,
+                    language: 'ar',
+                    data: {
+                        type,
+                        appointmentId: appt._id.toString(),
+                        link: `#/appointments`
+                    }
+                }
+            );
+        } catch (notifyErr) {
+            console.error(`[${logTag}] Notification failed for ${appt._id}:`, notifyErr.message);
+        }
+    }
+
+    return affectedAppointments;
+};
+
+module.exports = {
+    cancelUpcomingAppointments
+};
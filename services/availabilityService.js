@@ -0,0 +1,344 @@
+const Appointment = require('../models/appointment');
+const AppointmentType = require('../models/appointmentType');
+const Hospital = require('../models/hospital');
+const User = require('../models/user');
+const SlotHold = require('../models/slotHold');
+const dateTime = require('../utils/dateTime');
+
+const { timeToMinutes, minutesToTime, DEFAULT_APPOINTMENT_DURATION_MINS } = dateTime;
+
+// Granularity of the offered start times. Gaps left by cancellations are
+// found as long as they are aligned to this interval.
+const SLOT_INTERVAL_MINS = 15;
+// Same-day bookings must start at least this far in the future
+const SAME_DAY_BOOKING_BUFFER_MINS = 15;
+// Upper bound on the requested range to keep the lookup cheap
+const MAX_RANGE_DAYS = 31;
+
+const toIdString = (value) => {
+    if (!value) return null;
+    return value._id ? value._id.toString() : value.toString();
+};
+
+/**
+ * Check whether a date falls inside one of the doctor's unavailability episodes.
+ * Comparison is done per calendar day so an episode created mid-day still
+ * blocks the remainder of that day.
+ * @param {Object} doctor - User document
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Boolean}
+ */
+const isDoctorUnavailableOn = (doctor, date) => {
+    return (doctor.unavailabilityEpisodes || []).some(ep => {
+        if (!ep.startDate || !ep.endDate) return false;
+        const start = dateTime.normalizeDate(ep.startDate);
+        const end = dateTime.normalizeDate(ep.endDate);
+        return date >= start && date <= end;
+    });
+};
+
+const toWindow = (startTime, endTime) => {
+    const startMinutes = timeToMinutes(startTime);
+    let endMinutes = timeToMinutes(endTime);
+    if (startMinutes === null || endMinutes === null) return null;
+    // Handle midnight wrap-around (e.g., 20:00 to 00:00)
+    if (endMinutes <= startMinutes) endMinutes += 24 * 60;
+    return { startMinutes, endMinutes };
+};
+
+/**
+ * Remove break intervals from a shift window.
+ * @param {{startMinutes: Number, endMinutes: Number}} window
+ * @param {Array<{startTime: String, endTime: String}>} breaks
+ * @returns {Array<{startMinutes: Number, endMinutes: Number}>}
+ */
+const subtractBreaks = (window, breaks = []) => {
+    let pieces = [window];
+    for (const brk of breaks) {
+        const breakWindow = toWindow(brk.startTime, brk.endTime);
+        if (!breakWindow) continue;
+        // Breaks after midnight on an overnight shift are expressed on the next-day clock
+        if (breakWindow.startMinutes < window.startMinutes) {
+            breakWindow.startMinutes += 24 * 60;
+            breakWindow.endMinutes += 24 * 60;
+        }
+        pieces = pieces.flatMap(piece => {
+            if (breakWindow.endMinutes <= piece.startMinutes || breakWindow.startMinutes >= piece.endMinutes) {
+                return [piece];
+            }
+            const remaining = [];
+            if (breakWindow.startMinutes > piece.startMinutes) {
+                remaining.push({ startMinutes: piece.startMinutes, endMinutes: breakWindow.startMinutes });
+            }
+            if (breakWindow.endMinutes < piece.endMinutes) {
+                remaining.push({ startMinutes: breakWindow.endMinutes, endMinutes: piece.endMinutes });
+            }
+            return remaining;
+        });
+    }
+    return pieces;
+};
+
+/**
+ * Resolve the working windows of a doctor at a hospital on a given date.
+ * Resolution order:
+ *   1. A 'closed' exception for the date (this hospital or all hospitals) wins.
+ *   2. Weekly shifts from `schedule.weekly`, or the legacy `availability` entry
+ *      when no weekly schedule has been configured.
+ *   3. 'extra' exceptions for the date are added on top.
+ * Breaks are subtracted from every shift.
+ * @param {Object} doctor - User document (schedule, availability, hospitals)
+ * @param {String} hospitalId
+ * @param {String} date - YYYY-MM-DD
+ * @returns {Array<{startMinutes: Number, endMinutes: Number}>} - Sorted, non-overlapping windows
+ */
+const getDoctorDayWindows = (doctor, hospitalId, date) => {
+    const dayOfWeek = dateTime.dayOfWeek(date);
+    const hospitalIdStr = toIdString(hospitalId);
+    const doctorHospitalIds = (doctor.hospitals || []).map(toIdString);
+    const schedule = doctor.schedule || {};
+    const exceptions = (schedule.exceptions || []).filter(ex => ex.date === date);
+
+    const isClosed = exceptions.some(ex => {
+        const exHospitalId = toIdString(ex.hospital);
+        return ex.type === 'closed' && (!exHospitalId || exHospitalId === hospitalIdStr);
+    });
+    if (isClosed) return [];
+
+    let shifts;
+    if (schedule.weekly && schedule.weekly.length > 0) {
+        shifts = schedule.weekly.filter(shift => shift.dayOfWeek === dayOfWeek && toIdString(shift.hospital) === hospitalIdStr);
+    } else {
+        shifts = (doctor.availability || []).filter(d => {
+            if (d.dayOfWeek !== dayOfWeek || !d.isAvailable) return false;
+            const availHospitalId = toIdString(d.hospital);
+            // Entries without a hospital belong to the doctor's only hospital, if there is exactly one
+            return availHospitalId === hospitalIdStr ||
+                (!availHospitalId && doctorHospitalIds.length === 1 && doctorHospitalIds[0] === hospitalIdStr);
+        });
+    }
+
+    const extraShifts = exceptions.filter(ex => ex.type === 'extra' && toIdString(ex.hospital) === hospitalIdStr);
+
+    const windows = [...shifts, ...extraShifts]
+        .flatMap(shift => {
+            const window = toWindow(shift.startTime, shift.endTime);
+            return window ? subtractBreaks(window, shift.breaks) : [];
+        })
+        .sort((a, b) => a.startMinutes - b.startMinutes);
+
+    // Merge overlapping shifts so slots are not offered twice
+    const merged = [];
+    for (const window of windows) {
+        const last = merged[merged.length - 1];
+        if (last && window.startMinutes <= last.endMinutes) {
+            last.endMinutes = Math.max(last.endMinutes, window.endMinutes);
+        } else {
+            merged.push({ ...window });
+        }
+    }
+    return merged;
+};
+
+/**
+ * Check that an appointment of the given duration fits inside the doctor's
+ * working windows on that date.
+ * @param {Object} doctor - User document
+ * @param {String} hospitalId
+ * @param {String} date - YYYY-MM-DD
+ * @param {String} time - Appointment start time
+ * @param {Number} duration - Minutes
+ * @returns {Boolean}
+ */
+const isWithinDoctorSchedule = (doctor, hospitalId, date, time, duration) => {
+    const startMinutes = timeToMinutes(time);
+    if (startMinutes === null) return false;
+    const endMinutes = startMinutes + duration;
+    return getDoctorDayWindows(doctor, hospitalId, date)
+        .some(window => startMinutes >= window.startMinutes && endMinutes <= window.endMinutes);
+};
+
+/**
+ * Validate and normalize a shift (weekly shift or 'extra' exception) coming from a request.
+ * @param {Object} shift - { startTime, endTime, breaks }
+ * @returns {Object} - The shift with trimmed times and validated breaks
+ */
+const normalizeShiftTimes = (shift) => {
+    const window = toWindow(shift.startTime, shift.endTime);
+    if (!window) {
+        throw new Error('Invalid shift time. Use HH:mm for start and end times.');
+    }
+    const breaks = (shift.breaks || []).map(brk => {
+        const breakWindow = toWindow(brk.startTime, brk.endTime);
+        if (!breakWindow) {
+            throw new Error('Invalid break time. Use HH:mm for start and end times.');
+        }
+        return { startTime: brk.startTime.trim(), endTime: brk.endTime.trim() };
+    });
+    return {
+        ...shift,
+        startTime: shift.startTime.trim(),
+        endTime: shift.endTime.trim(),
+        breaks
+    };
+};
+
+const formatWindow = (window) => ({
+    startTime: minutesToTime(window.startMinutes),
+    endTime: minutesToTime(window.endMinutes)
+});
+
+/**
+ * Load the busy intervals of a doctor for a date range, grouped by date.
+ * All hospitals are considered since a doctor cannot be in two places at once.
+ * Held slots (checkout holds and waitlist offers) count as busy, except for the patient holding them.
+ * @param {String} doctorId
+ * @param {String} startDate - YYYY-MM-DD
+ * @param {String} endDate - YYYY-MM-DD
+ * @param {Object} [options]
+ * @param {String} [options.forUserId] - Patient whose own holds should stay bookable
+ * @param {Array<String>} [options.excludeAppointmentIds] - Appointments being moved, so their current slots count as free
+ * @returns {Promise<Map<String, Array<{startMinutes: Number, endMinutes: Number}>>>}
+ */
+const getBusyIntervalsByDate = async (doctorId, startDate, endDate, { forUserId, excludeAppointmentIds = [] } = {}) => {
+    const holdQuery = {
+        doctor: doctorId,
+        date: { $gte: startDate, $lte: endDate },
+        expiresAt: { $gt: new Date() }
+    };
+    if (forUserId) holdQuery.user = { $ne: forUserId };
+
+    const [appointments, holds] = await Promise.all([
+        Appointment.find({
+            _id: { $nin: excludeAppointmentIds },
+            doctor: doctorId,
+            date: { $gte: startDate, $lte: endDate },
+            status: 'Upcoming'
+        }).populate('appointmentType', 'duration'),
+        SlotHold.find(holdQuery)
+    ]);
+
+    const byDate = new Map();
+    const addInterval = (date, time, duration) => {
+        const startMinutes = timeToMinutes(time);
+        if (startMinutes === null) return;
+        if (!byDate.has(date)) byDate.set(date, []);
+        byDate.get(date).push({ startMinutes, endMinutes: startMinutes + duration });
+    };
+
+    for (const appt of appointments) {
+        addInterval(appt.date, appt.time, appt.appointmentType ? appt.appointmentType.duration : DEFAULT_APPOINTMENT_DURATION_MINS);
+    }
+    for (const hold of holds) addInterval(hold.date, hold.time, hold.duration);
+    return byDate;
+};
+
+const overlaps = (start, end, interval) => start < interval.endMinutes && end > interval.startMinutes;
+
+/**
+ * Compute every bookable slot for a doctor at a hospital over a date range.
+ * @param {Object} params
+ * @param {String} params.doctorId
+ * @param {String} params.hospitalId
+ * @param {String} params.appointmentTypeId
+ * @param {String} params.startDate - YYYY-MM-DD
+ * @param {String} [params.endDate] - YYYY-MM-DD, defaults to startDate
+ * @param {String} [params.forUserId] - Requesting patient, so slots they hold show as free
+ * @param {Array<String>} [params.excludeAppointmentIds] - Appointments being rescheduled, ignored as busy
+ * @returns {Promise<Object>} - { doctorId, hospitalId, appointmentTypeId, duration, days: [{ date, dayOfWeek, slots, message }] }
+ */
+const getAvailableSlots = async ({ doctorId, hospitalId, appointmentTypeId, startDate, endDate, forUserId, excludeAppointmentIds }) => {
+    if (!startDate || !appointmentTypeId || !hospitalId) {
+        throw new Error('Start date, appointment type, and hospital are required.');
+    }
+
+    const rangeEnd = endDate || startDate;
+    if (!dateTime.isValidDateString(startDate) || !dateTime.isValidDateString(rangeEnd) || rangeEnd < startDate) {
+        throw new Error('Invalid date range. Use YYYY-MM-DD and make sure the end date is not before the start date.');
+    }
+    if (dateTime.diffDays(startDate, rangeEnd) + 1 > MAX_RANGE_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_RANGE_DAYS} days.`);
+    }
+
+    const [doctor, appointmentType, hospital, busyByDate] = await Promise.all([
+        User.findById(doctorId),
+        AppointmentType.findById(appointmentTypeId),
+        Hospital.findById(hospitalId).select('closures timezone'),
+        getBusyIntervalsByDate(doctorId, startDate, rangeEnd, { forUserId, excludeAppointmentIds })
+    ]);
+
+    if (!doctor || !appointmentType) {
+        throw new Error('Doctor or appointment type not found.');
+    }
+    if (!hospital) {
+        throw new Error('Hospital not found.');
+    }
+
+    const duration = appointmentType.duration;
+    // "Today" and "now" are the hospital's local ones, not the server's
+    const todayString = dateTime.todayIn(hospital);
+    const earliestTodayMinutes = dateTime.nowMinutesIn(hospital) + SAME_DAY_BOOKING_BUFFER_MINS;
+
+    const days = [];
+    for (let date = startDate; date <= rangeEnd; date = dateTime.addDays(date, 1)) {
+        const dayOfWeek = dateTime.dayOfWeek(date);
+        const day = { date, dayOfWeek, slots: [], message: 'Available' };
+        days.push(day);
+
+        if (date < todayString) {
+            day.message = 'Date is in the past.';
+            continue;
+        }
+        if (hospital.getClosureOn(date)) {
+            day.message = 'Hospital is closed on this date.';
+            continue;
+        }
+        if (isDoctorUnavailableOn(doctor, date)) {
+            day.message = 'Doctor is not available on this date.';
+            continue;
+        }
+
+        const windows = getDoctorDayWindows(doctor, hospitalId, date);
+        if (windows.length === 0) {
+            day.message = `Doctor is not available on ${dayOfWeek} at this hospital.`;
+            continue;
+        }
+
+        const busy = busyByDate.get(date) || [];
+        for (const window of windows) {
+            for (let slotStart = window.startMinutes; slotStart + duration <= window.endMinutes; slotStart += SLOT_INTERVAL_MINS) {
+                if (date === todayString && slotStart < earliestTodayMinutes) continue;
+                const slotEnd = slotStart + duration;
+                if (busy.some(interval => overlaps(slotStart, slotEnd, interval))) continue;
+                day.slots.push({
+                    time: minutesToTime(slotStart),
+                    endTime: minutesToTime(slotEnd),
+                    startMinutes: slotStart,
+                    endMinutes: slotEnd
+                });
+            }
+        }
+
+        if (day.slots.length === 0) {
+            day.message = 'Doctor schedule is full for this day.';
+        }
+    }
+
+    return {
+        doctorId,
+        hospitalId,
+        appointmentTypeId,
+        duration,
+        days
+    };
+};
+
+module.exports = {
+    SLOT_INTERVAL_MINS,
+    isDoctorUnavailableOn,
+    getDoctorDayWindows,
+    isWithinDoctorSchedule,
+    normalizeShiftTimes,
+    formatWindow,
+    getAvailableSlots
+};
@@ -0,0 +1,272 @@
+const Appointment = require('../models/appointment');
+const QueueItem = require('../models/queueItem');
+const User = require('../models/user');
+const Hospital = require('../models/hospital');
+const AppointmentType = require('../models/appointmentType');
+const Wallet = require('../models/wallet');
+const DoctorDayLock = require('../models/doctorDayLock');
+const dateTime = require('../utils/dateTime');
+const walletService = require('./walletService');
+const availabilityService = require('./availabilityService');
+const slotHoldService = require('./slotHoldService');
+const reliabilityService = require('./reliabilityService');
+const queueNumberService = require('./queueNumberService');
+const { createNotification } = require('../utils/notificationHelper');
+
+/**
+ * Reject a booking whose interval overlaps another active appointment of the doctor
+ * (at any hospital). Must run inside the caller's transaction: the per-doctor-day lock
+ * write makes concurrent bookings for the same day conflict, so one is retried and
+ * then sees the other's appointment.
+ * @param {Object} slot
+ * @param {String} slot.doctorId
+ * @param {Object|String} slot.hospital - Hospital document (with timezone) or ID
+ * @param {String} slot.date - YYYY-MM-DD
+ * @param {String} slot.time - e.g. "10:00 AM" or "10:00"
+ * @param {Number} slot.duration - Minutes
+ * @param {String|String[]} [slot.excludeAppointmentId] - Appointment(s) being moved
+ * @param {Object} options
+ * @param {mongoose.ClientSession} options.session
+ */
+const assertDoctorSlotFree = async ({ doctorId, hospital, date, time, duration, excludeAppointmentId }, options = {}) => {
+    const { session } = options;
+
+    const timezoneSource = hospital && hospital.timezone
+        ? hospital
+        : await Hospital.findById(hospital).select('timezone').session(session);
+    const window = dateTime.getAppointmentWindow(date, time, duration, timezoneSource);
+    if (!window) throw new Error('Invalid date or time format.');
+
+    await DoctorDayLock.findOneAndUpdate(
+        { doctor: doctorId, date },
+        { $inc: { version: 1 } },
+        { upsert: true, session }
+    );
+
+    const overlapping = await Appointment.findOne({
+        doctor: doctorId,
+        status: 'Upcoming',
+        _id: { $nin: [].concat(excludeAppointmentId || []) },
+        startAt: { $lt: window.endAt },
+        endAt: { $gt: window.startAt }
+    }).session(session);
+
+    if (overlapping) {
+        throw new Error(`The doctor already has an appointment at ${overlapping.time} that overlaps the selected time. Please choose another slot.`);
+    }
+};
+
+/**
+ * Validate and create a paid appointment. Must run inside a MongoDB transaction:
+ * the wallet debit, the appointment, the queue entry and the confirmation
+ * notification are committed or rolled back together.
+ * @param {Object} bookingData
+ * @param {String} bookingData.patientId - Patient the appointment is for
+ * @param {String} bookingData.doctorId
+ * @param {String} bookingData.hospitalId
+ * @param {String} bookingData.appointmentTypeId
+ * @param {String} bookingData.date - YYYY-MM-DD
+ * @param {String} bookingData.time - e.g. "10:30 AM"
+ * @param {Boolean} [bookingData.cashPayment=false] - Staff confirmed cash was collected at the counter
+ * @param {String} [bookingData.seriesId] - Recurring series this occurrence belongs to
+ * @param {Number} [bookingData.seriesIndex] - Position of the occurrence in its series
+ * @param {Object} options
+ * @param {mongoose.ClientSession} options.session - The caller's transaction session
+ * @param {Boolean} [options.notify=true] - Send the confirmation notification (series send one summary instead)
+ * @returns {Promise<Document>} The created appointment
+ */
+const bookAppointment = async (bookingData, options = {}) => {
+    const { patientId, doctorId, hospitalId, appointmentTypeId, date, time, cashPayment = false, seriesId, seriesIndex } = bookingData;
+    const { session, notify = true } = options;
+
+    if (!doctorId || !hospitalId || !appointmentTypeId) {
+        throw new Error('Doctor, hospital, and appointment type must be specified.');
+    }
+
+    const [appointmentType, doctor, hospital, patient] = await Promise.all([
+        AppointmentType.findById(appointmentTypeId).session(session),
+        User.findById(doctorId).session(session),
+        Hospital.findById(hospitalId).session(session),
+        User.findById(patientId).session(session)
+    ]);
+
+    if (!appointmentType) throw new Error('Invalid appointment type specified.');
+    if (!doctor) throw new Error('Specified doctor not found.');
+    if (!hospital) throw new Error('Specified hospital not found.');
+    if (!patient) throw new Error('Specified patient not found.');
+    
+    // Check if doctor or patient account is disabled
+    if (doctor.isDisabled) {
+        throw new Error('The selected doctor\'s account has been disabled.');
+    }
+    if (patient.isDisabled) {
+        throw new Error('The patient\'s account has been disabled.');
+    }
+
+    // --- CHECK PATIENT RELIABILITY (NO-SHOW HISTORY) ---
+    const reliability = await reliabilityService.getReliability(patientId, { session });
+    if (reliability.bookingRestriction === 'blocked') {
+        throw new Error('Booking is blocked for this patient because of repeated no-shows. Please contact the hospital.');
+    }
+    if (reliability.bookingRestriction === 'prepayment' && cashPayment) {
+        throw new Error('Because of previous no-shows, this patient must prepay from their wallet. Cash at the counter is not accepted.');
+    }
+    // ---------------------------------------------------
+
+    // --- CHECK UNAVAILABILITY EPISODES ---
+    if (availabilityService.isDoctorUnavailableOn(doctor, date)) {
+        throw new Error('The selected doctor is currently unavailable during this period.');
+    }
+    // ------------------------------------
+
+    const cost = appointmentType.cost;
+
+    const doctorHospitalIds = doctor.hospitals.map(h => h.toString());
+    if (!doctorHospitalIds.includes(hospitalId.toString())) {
+        throw new Error('Selected doctor does not work at this hospital.');
+    }
+
+    // --- CHECK HOSPITAL CLOSURE CALENDAR ---
+    const closure = hospital.getClosureOn(date);
+    if (closure) {
+        throw new Error(`The hospital is closed on ${date}${closure.reason?.en ? ` (${closure.reason.en})` : ''}. Please choose another date.`);
+    }
+    // ---------------------------------------
+
+    // --- CHECK WEEKLY SCHEDULE AND DATE EXCEPTIONS ---
+    if (!availabilityService.isWithinDoctorSchedule(doctor, hospitalId, date, time, appointmentType.duration)) {
+        throw new Error('The selected time is outside the doctor\'s working hours at this hospital.');
+    }
+    // ------------------------------------------------
+
+    // --- CHECK OVERLAP WITH THE DOCTOR'S OTHER APPOINTMENTS ---
+    await assertDoctorSlotFree({
+        doctorId,
+        hospital,
+        date,
+        time,
+        duration: appointmentType.duration
+    }, { session });
+    // -----------------------------------------------------------
+
+    // --- CHECK SLOT HOLDS (CHECKOUT HOLDS AND WAITLIST OFFERS) ---
+    await slotHoldService.assertNotHeldByOthers({
+        patientId,
+        doctorId,
+        date,
+        time,
+        duration: appointmentType.duration
+    }, { session });
+    // --------------------------------------------------------------
+
+    // --- CASH PAYMENT HANDLING ---
+    if (cashPayment) {
+        // If cash payment is confirmed by staff, auto-deposit the funds first
+        const depositData = {
+            userId: patientId,
+            amount: cost,
+            type: 'credit',
+            transactionType: 'Deposit',
+            description: `Cash payment collected at hospital counter for appointment.`,
+            referenceId: `CASH_${Date.now()}`,
+            hospitalId: hospitalId,
+            fundingSource: 'cash'
+        };
+        await walletService.createTransactionAndUpdateWallet(depositData, { session });
+    }
+    // -----------------------------
+
+    const currentWalletState = await Wallet.findOne({ user: patientId }).session(session);
+    // Check balance 
+    if (!currentWalletState || currentWalletState.balance < cost) {
+        throw new Error(`Insufficient wallet balance for patient ${patient.name.en}.`);
+    }
+    
+    // Generate Queue Number
+    const queueNumber = await queueNumberService.nextQueueNumber({ doctor: doctorId, hospital: hospitalId, date });
+
+    const createdAppointments = await Appointment.create([{
+        user: patientId,
+        doctor: doctorId,
+        hospital: hospitalId,
+        appointmentType: appointmentTypeId, 
+        date, 
+        time, 
+        cost, 
+        status: 'Upcoming',
+        queueNumber: queueNumber,
+        series: seriesId,
+        seriesIndex
+    }], { session });
+    const appointment = createdAppointments[0];
+
+    // The patient's hold on this slot has served its purpose
+    await slotHoldService.consumeHold({ patientId, doctorId, date, time }, { session });
+
+    // If appointment is for today (at the hospital), add to active queue directly
+    const today = dateTime.todayIn(hospital);
+    if (date === today) {
+        // Check if already in queue to avoid duplicates
+        const alreadyInQueue = await QueueItem.findOne({ 
+            user: patientId, 
+            status: { $in: ['Waiting', 'Serving', 'Held'] } 
+        }).session(session);
+
+        if (!alreadyInQueue) {
+            await QueueItem.create([{
+                user: patientId,
+                doctor: doctorId,
+                hospital: hospitalId,
+                appointment: appointment._id,
+                appointmentType: appointmentTypeId,
+                queueNumber: queueNumber,
+                status: 'Waiting'
+            }], { session });
+        }
+    }
+
+    const transactionData = {
+        userId: patientId,
+        amount: cost,
+        type: 'debit',
+        transactionType: 'Appointment Fee',
+        description: `Fee for ${appointmentType.name.en} with Dr. ${doctor.name.en} at ${hospital.name.en}`,
+        referenceId: appointment._id.toString(),
+        hospitalId: hospitalId
+    };
+    await walletService.createTransactionAndUpdateWallet(transactionData, { session });
+
+    // Create notification (in-app + external)
+    if (notify) {
+        await createNotification(
+            patientId,
+            'appointment',
+            {
+                en: `Your appointment for a ${appointmentType.name.en} with ${doctor.name.en} on ${new Date(date).toLocaleDateString()} is confirmed.`,
+                ar: `تم تأكيد موعدك لـ ${appointmentType.name.ar} مع ${doctor.name.ar} في ${new Date(date).toLocaleDateString()}.`
+            },
+            {
+                title: {
+                    en: 'Appointment Confirmed',
+                    ar: 'تم تأكيد الموعد'
+                },
+                language: 'ar', // Default to Arabic for external if we don't know
+                data: {
+                    doctorName: doctor.name.en,
+                    date: new Date(date).toLocaleDateString(),
+                    time: time,
+                    appointmentType: appointmentType.name.en,
+                    link: `#/appointments`
+                },
+                session: session
+            }
+        );
+    }
+
+    return appointment;
+};
+
+module.exports = {
+    assertDoctorSlotFree,
+    bookAppointment
+};
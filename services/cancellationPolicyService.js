@@ -0,0 +1,165 @@
+const dateTime = require('../utils/dateTime');
+
+// Used when neither the appointment type nor the hospital configures a policy:
+// full refund with 24h notice, half within 24h, nothing for a no-show
+const DEFAULT_CANCELLATION_POLICY = {
+    tiers: [
+        { minHoursBefore: 24, refundPercentage: 100 },
+        { minHoursBefore: 0, refundPercentage: 50 }
+    ],
+    noShowRefundPercentage: 0
+};
+
+const hasTiers = (policy) => !!(policy && Array.isArray(policy.tiers) && policy.tiers.length > 0);
+const hasNoShowRate = (policy) => !!(policy && typeof policy.noShowRefundPercentage === 'number');
+
+// Hospitals configured before tiered policies only have a flat refundPolicyPercentage:
+// treat it as a single tier that applies whatever the notice (reported as source 'hospital')
+const legacyHospitalPolicy = (hospital) => (
+    hospital && typeof hospital.refundPolicyPercentage === 'number'
+        ? { tiers: [{ minHoursBefore: 0, refundPercentage: hospital.refundPolicyPercentage }] }
+        : null
+);
+
+/**
+ * Pick the cancellation policy that applies to an appointment.
+ * Tiers and the no-show rate are resolved separately, so an appointment type can
+ * override only one of them: appointment type -> hospital -> hospital's legacy flat percentage -> default.
+ * @param {Object} hospital - Hospital document or lean object
+ * @param {Object} [appointmentType] - AppointmentType document or lean object
+ * @returns {Object} - { source, tiers (most notice first), noShowSource, noShowRefundPercentage }
+ */
+const resolvePolicy = (hospital, appointmentType) => {
+    const candidates = [
+        { source: 'appointmentType', policy: appointmentType && appointmentType.cancellationPolicy },
+        { source: 'hospital', policy: hospital && hospital.cancellationPolicy },
+        { source: 'hospital', policy: legacyHospitalPolicy(hospital) },
+        { source: 'default', policy: DEFAULT_CANCELLATION_POLICY }
+    ];
+
+    const tierSource = candidates.find(c => hasTiers(c.policy));
+    const noShowSource = candidates.find(c => hasNoShowRate(c.policy));
+
+    return {
+        source: tierSource.source,
+        tiers: tierSource.policy.tiers
+            .map(t => ({ minHoursBefore: t.minHoursBefore, refundPercentage: t.refundPercentage }))
+            .sort((a, b) => b.minHoursBefore - a.minHoursBefore),
+        noShowSource: noShowSource.source,
+        noShowRefundPercentage: noShowSource.policy.noShowRefundPercentage
+    };
+};
+
+/**
+ * Human-readable name of a tier, e.g. "24h or more before" / "Less than 24h before".
+ * @param {Object} tier
+ * @param {Array} tiers - Sorted with the most notice first
+ * @returns {String}
+ */
+const describeTier = (tier, tiers) => {
+    if (tier.minHoursBefore > 0) return `${tier.minHoursBefore}h or more before`;
+    const nextUp = tiers.filter(t => t.minHoursBefore > 0).pop();
+    return nextUp ? `Less than ${nextUp.minHoursBefore}h before` : 'Any time before start';
+};
+
+/**
+ * Validate a cancellation policy coming from an admin request.
+ * @param {Object} policy - { tiers: [{ minHoursBefore, refundPercentage }], noShowRefundPercentage }
+ * @throws {Error} - Message starting with 'Invalid cancellation policy'
+ */
+const validatePolicy = (policy) => {
+    if (!policy || typeof policy !== 'object') {
+        throw new Error('Invalid cancellation policy. Expected an object with tiers and noShowRefundPercentage.');
+    }
+    const isPercentage = (value) => typeof value === 'number' && value >= 0 && value <= 100;
+
+    if (policy.tiers !== undefined) {
+        if (!Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+            throw new Error('Invalid cancellation policy. tiers must be a non-empty array.');
+        }
+        const seen = new Set();
+        for (const tier of policy.tiers) {
+            if (!tier || typeof tier.minHoursBefore !== 'number' || tier.minHoursBefore < 0 || !isPercentage(tier.refundPercentage)) {
+                throw new Error('Invalid cancellation policy. Each tier needs minHoursBefore >= 0 and refundPercentage between 0 and 100.');
+            }
+            if (seen.has(tier.minHoursBefore)) {
+                throw new Error('Invalid cancellation policy. Two tiers share the same minHoursBefore.');
+            }
+            seen.add(tier.minHoursBefore);
+        }
+    }
+    if (policy.noShowRefundPercentage !== undefined && !isPercentage(policy.noShowRefundPercentage)) {
+        throw new Error('Invalid cancellation policy. noShowRefundPercentage must be between 0 and 100.');
+    }
+};
+
+/**
+ * Work out how much of an appointment's cost is refunded if it is cancelled (or marked a no-show) now.
+ * @param {Object} appointment - Needs cost, date, time and (ideally) startAt
+ * @param {Object} context
+ * @param {Object} context.hospital - Hospital with timezone, cancellationPolicy and refundPolicyPercentage
+ * @param {Object} [context.appointmentType] - AppointmentType with cancellationPolicy
+ * @param {Boolean} [context.noShow=false] - Apply the no-show rate instead of the notice tiers
+ * @param {Date} [context.at=new Date()] - When the cancellation happens
+ * @returns {Object} - { cost, refundAmount, policyTier, tiers, noShowRefundPercentage }
+ */
+const quoteRefund = (appointment, { hospital, appointmentType, noShow = false, at = new Date() }) => {
+    const policy = resolvePolicy(hospital, appointmentType);
+    const startAt = appointment.startAt || dateTime.toInstant(appointment.date, appointment.time, hospital);
+    const hoursBeforeStart = startAt
+        ? Math.round(((startAt.getTime() - at.getTime()) / (60 * 60 * 1000)) * 100) / 100
+        : null;
+
+    let policyTier;
+    if (noShow) {
+        policyTier = {
+            source: policy.noShowSource,
+            label: 'No-show',
+            refundPercentage: policy.noShowRefundPercentage,
+            hoursBeforeStart
+        };
+    } else {
+        // Unparseable legacy start times are treated as plenty of notice
+        const tier = policy.tiers.find(t => hoursBeforeStart === null || hoursBeforeStart >= t.minHoursBefore);
+        policyTier = tier
+            ? {
+                source: policy.source,
+                label: describeTier(tier, policy.tiers),
+                minHoursBefore: tier.minHoursBefore,
+                refundPercentage: tier.refundPercentage,
+                hoursBeforeStart
+            }
+            : {
+                source: policy.source,
+                label: hoursBeforeStart < 0
+                    ? 'After start'
+                    : `Less than ${policy.tiers[policy.tiers.length - 1].minHoursBefore}h before`,
+                refundPercentage: 0,
+                hoursBeforeStart
+            };
+    }
+
+    const cost = appointment.cost || 0;
+    return {
+        cost,
+        refundAmount: Math.round(cost * policyTier.refundPercentage) / 100,
+        policyTier,
+        tiers: policy.tiers.map(t => ({ ...t, label: describeTier(t, policy.tiers) })),
+        noShowRefundPercentage: policy.noShowRefundPercentage
+    };
+};
+
+/**
+ * A cancellation is late when it falls outside the policy's most generous tier.
+ * @param {Object} quote - Result of quoteRefund
+ * @returns {Boolean}
+ */
+const isLateCancellation = (quote) => quote.policyTier.minHoursBefore !== quote.tiers[0].minHoursBefore;
+
+module.exports = {
+    DEFAULT_CANCELLATION_POLICY,
+    resolvePolicy,
+    validatePolicy,
+    quoteRefund,
+    isLateCancellation
+};
@@ -0,0 +1,86 @@
+const jwt = require('jsonwebtoken');
+const Appointment = require('../models/appointment');
+const dateTime = require('../utils/dateTime');
+const queueService = require('./queueService');
+
+// The QR code refreshes in the app, so a screenshot stops working soon after it is taken
+const CHECK_IN_TOKEN_TTL_MINS = 5;
+
+const CHECK_IN_PURPOSE = 'check_in';
+
+const getSecret = () => process.env.CHECK_IN_TOKEN_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Sign a short-lived check-in token for an appointment (rendered as a QR code by the app).
+ * @param {Object} appointment - Upcoming appointment
+ * @returns {Object} - { token, expiresAt }
+ */
+const issueCheckInToken = (appointment) => {
+    const token = jwt.sign(
+        { purpose: CHECK_IN_PURPOSE, appointment: appointment._id.toString() },
+        getSecret(),
+        { expiresIn: `${CHECK_IN_TOKEN_TTL_MINS}m` }
+    );
+    return { token, expiresAt: new Date(jwt.decode(token).exp * 1000) };
+};
+
+/**
+ * @param {String} token
+ * @returns {String} - The appointment id
+ * @throws {Error} - When the token is malformed, expired or not a check-in token
+ */
+const verifyCheckInToken = (token) => {
+    let payload;
+    try {
+        payload = jwt.verify(String(token || ''), getSecret());
+    } catch (error) {
+        throw new Error('Invalid or expired check-in code. Please refresh the code in the app.');
+    }
+    if (payload.purpose !== CHECK_IN_PURPOSE || !payload.appointment) {
+        throw new Error('Invalid or expired check-in code. Please refresh the code in the app.');
+    }
+    return payload.appointment;
+};
+
+/**
+ * Check a patient in from a kiosk scan: the appointment must be Upcoming, today,
+ * and at the kiosk's hospital.
+ * @param {String} hospitalId - Hospital the kiosk belongs to
+ * @param {String} token - Scanned check-in token
+ * @returns {Promise<Object>} - { success, queueNumber, doctorName, time }
+ */
+const kioskCheckIn = async (hospitalId, token) => {
+    const appointmentId = verifyCheckInToken(token);
+
+    const appointment = await Appointment.findById(appointmentId)
+        .populate('hospital', 'name timezone')
+        .populate('doctor', 'name room');
+    if (!appointment) throw new Error('Appointment not found');
+
+    if (appointment.hospital._id.toString() !== hospitalId.toString()) {
+        throw new Error(`This appointment is at ${appointment.hospital.name.en}, not at this hospital.`);
+    }
+    if (appointment.status !== 'Upcoming') {
+        throw new Error('This appointment is no longer active.');
+    }
+    if (appointment.date !== dateTime.todayIn(appointment.hospital)) {
+        throw new Error(`This appointment is not for today (it is on ${appointment.date}).`);
+    }
+
+    const result = await queueService.checkInAppointment(appointment._id);
+
+    return {
+        success: true,
+        queueNumber: result.queueNumber,
+        doctorName: appointment.doctor.name,
+        room: appointment.doctor.room || null,
+        time: appointment.time
+    };
+};
+
+module.exports = {
+    CHECK_IN_TOKEN_TTL_MINS,
+    issueCheckInToken,
+    verifyCheckInToken,
+    kioskCheckIn
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const Hospital = require('../models/hospital');
+
+// Shared hospital devices without a user account (waiting-room displays, check-in kiosks).
+// Each kind has its own token so a leaked display URL cannot be used to check patients in.
+const DEVICE_KINDS = ['display', 'kiosk'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const assertKind = (kind) => {
+    if (!DEVICE_KINDS.includes(kind)) throw new Error(`Unknown device kind: ${kind}`);
+};
+
+/**
+ * Issue a new device token for a hospital; the previous token of that kind stops working.
+ * @param {String} hospitalId
+ * @param {String} kind - 'display' or 'kiosk'
+ * @returns {Promise<Object>} - { token, rotatedAt }; only the hash is stored, so the token cannot be shown again
+ */
+const rotateDeviceToken = async (hospitalId, kind) => {
+    assertKind(kind);
+    const token = crypto.randomBytes(24).toString('base64url');
+    const rotatedAt = new Date();
+
+    const hospital = await Hospital.findByIdAndUpdate(
+        hospitalId,
+        { [`${kind}TokenHash`]: hashToken(token), [`${kind}TokenRotatedAt`]: rotatedAt },
+        { new: true }
+    );
+    if (!hospital) throw new Error('Hospital not found');
+
+    return { token, rotatedAt };
+};
+
+/**
+ * Check a device token against the hospital's current one.
+ * @param {String} hospitalId
+ * @param {String} kind - 'display' or 'kiosk'
+ * @param {String} token
+ * @returns {Promise<Boolean>}
+ */
+const verifyDeviceToken = async (hospitalId, kind, token) => {
+    assertKind(kind);
+    if (!token) return false;
+    const hospital = await Hospital.findById(hospitalId).select(`+${kind}TokenHash`);
+    const storedHash = hospital && hospital[`${kind}TokenHash`];
+    if (!storedHash) return false;
+
+    const expected = Buffer.from(storedHash, 'hex');
+    const given = Buffer.from(hashToken(token), 'hex');
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+    DEVICE_KINDS,
+    rotateDeviceToken,
+    verifyDeviceToken
+};
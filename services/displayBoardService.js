@@ -0,0 +1,80 @@
+const deviceTokenService = require('./deviceTokenService');
+const doctorSessionService = require('./doctorSessionService');
+
+// How many upcoming queue numbers each doctor's row shows
+const DISPLAY_UP_NEXT_COUNT = 3;
+
+// Open display streams per hospital, so rotating the token can disconnect them
+const openStreams = new Map(); // hospitalId -> Set<close function>
+
+/**
+ * Issue a new display token for a hospital. The previous token stops working
+ * immediately and any screen still streaming with it is disconnected.
+ * @param {String} hospitalId
+ * @returns {Promise<Object>} - { token, rotatedAt }
+ */
+const rotateDisplayToken = async (hospitalId) => {
+    const result = await deviceTokenService.rotateDeviceToken(hospitalId, 'display');
+    closeStreams(hospitalId);
+    return result;
+};
+
+/**
+ * Check a display token against the hospital's current one.
+ * @param {String} hospitalId
+ * @param {String} token
+ * @returns {Promise<Boolean>}
+ */
+const verifyDisplayToken = (hospitalId, token) => deviceTokenService.verifyDeviceToken(hospitalId, 'display', token);
+
+/**
+ * Remember an open display stream so it can be closed on token rotation.
+ * @param {String} hospitalId
+ * @param {Function} close - Returned by queueEvents.openStream
+ * @param {Object} req - Express request, to forget the stream when the screen disconnects
+ */
+const registerStream = (hospitalId, close, req) => {
+    const key = hospitalId.toString();
+    if (!openStreams.has(key)) openStreams.set(key, new Set());
+    openStreams.get(key).add(close);
+
+    req.on('close', () => {
+        const streams = openStreams.get(key);
+        if (!streams) return;
+        streams.delete(close);
+        if (streams.size === 0) openStreams.delete(key);
+    });
+};
+
+const closeStreams = (hospitalId) => {
+    const key = hospitalId.toString();
+    const streams = openStreams.get(key);
+    if (!streams) return;
+    openStreams.delete(key);
+    streams.forEach(close => close());
+};
+
+/**
+ * One doctor's row on the display. Only queue numbers are exposed, never patient names.
+ * @param {Object} doctor - { _id, name, room, queueSession }
+ * @param {Object} [serving] - The queue item being served
+ * @param {Array<Object>} waiting - Waiting queue items in call order
+ * @returns {Object}
+ */
+const toBoardEntry = (doctor, serving, waiting) => ({
+    doctorId: doctor._id,
+    doctorName: doctor.name,
+    room: doctor.room || null,
+    session: doctorSessionService.effectiveSession(doctor).state,
+    nowServing: serving ? serving.queueNumber : null,
+    upNext: waiting.slice(0, DISPLAY_UP_NEXT_COUNT).map(item => item.queueNumber),
+    waitingCount: waiting.length
+});
+
+module.exports = {
+    DISPLAY_UP_NEXT_COUNT,
+    rotateDisplayToken,
+    verifyDisplayToken,
+    registerStream,
+    toBoardEntry
+};
@@ -1,7 +1,7 @@
 const Appointment = require('../models/appointment');
 const User = require('../models/user');
 const ExternalNotificationService = require('./externalNotificationService');
-const moment = require('moment');
+const dateTime = require('../utils/dateTime');
 
 /**
  * Service for sending automated appointment reminders to doctors
@@ -9,38 +9,12 @@ const moment = require('moment');
  */
 class DoctorReminderService {
     /**
-     * Calculate appointment datetime from date and time strings
-     * @param {String} date - Date string (YYYY-MM-DD)
-     * @param {String} time - Time string (e.g., "2:30 PM" or "14:30")
-     * @returns {moment.Moment} - Moment object representing appointment datetime
+     * Get the instant an appointment starts at, in the hospital's timezone
+     * @param {Object} appointment - Appointment document (hospital populated with timezone)
+     * @returns {Date|null}
      */
-    static parseAppointmentDateTime(date, time) {
-        // Parse time - handle both 12-hour (2:30 PM) and 24-hour (14:30) formats
-        let timeStr = time.trim();
-        let hours, minutes;
-        
-        if (timeStr.includes('AM') || timeStr.includes('PM')) {
-            // 12-hour format
-            const [timePart, modifier] = timeStr.split(/\s*(AM|PM)/i);
-            const [h, m] = timePart.split(':').map(Number);
-            hours = h;
-            minutes = m || 0;
-            
-            if (modifier.toUpperCase() === 'PM' && hours !== 12) {
-                hours += 12;
-            } else if (modifier.toUpperCase() === 'AM' && hours === 12) {
-                hours = 0;
-            }
-        } else {
-            // 24-hour format
-            const [h, m] = timeStr.split(':').map(Number);
-            hours = h;
-            minutes = m || 0;
-        }
-        
-        // Combine date and time
-        const dateTimeStr = `${date} ${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-        return moment(dateTimeStr, 'YYYY-MM-DD HH:mm');
+    static getAppointmentStart(appointment) {
+        return appointment.startAt || dateTime.toInstant(appointment.date, appointment.time, appointment.hospital);
     }
 
     /**
@@ -58,7 +32,7 @@ class DoctorReminderService {
                     .populate('doctor', 'name email notificationPreferences doctorReminderPreferences isDisabled isActive')
                     .populate('user', 'name')
                     .populate('appointmentType', 'name')
-                    .populate('hospital', 'name');
+                    .populate('hospital', 'name timezone');
             }
 
             const doctor = appointment.doctor;
@@ -111,10 +85,10 @@ class DoctorReminderService {
             // Get hospital name (handle I18nString)
             const hospitalName = hospital?.name?.en || hospital?.name?.ar || hospital?.name || 'Hospital';
 
-            // Format appointment datetime
-            const appointmentDateTime = this.parseAppointmentDateTime(appointment.date, appointment.time);
-            const formattedDate = appointmentDateTime.format('MMMM Do, YYYY');
-            const formattedTime = appointmentDateTime.format('h:mm A');
+            // Format appointment datetime in the hospital's local time
+            const appointmentStart = this.getAppointmentStart(appointment);
+            const formattedDate = dateTime.formatIn(appointmentStart, 'MMMM Do, YYYY', hospital);
+            const formattedTime = dateTime.formatIn(appointmentStart, 'h:mm A', hospital);
 
             // Create localized message
             const messages = {
@@ -189,8 +163,8 @@ class DoctorReminderService {
      * @returns {Promise<Object>} - Processing results
      */
     static async process24HourReminders() {
-        const now = moment();
-        const targetTime = now.clone().add(24, 'hours');
+        const now = new Date();
+        const targetTime = now.getTime() + 24 * 60 * 60 * 1000;
         
         // Find appointments that:
         // 1. Are in status 'Upcoming'
@@ -198,18 +172,19 @@ class DoctorReminderService {
         // 3. Haven't had 24h reminder sent yet
         // 4. Are not canceled
         
-        const startWindow = targetTime.clone().subtract(30, 'minutes');
-        const endWindow = targetTime.clone().add(30, 'minutes');
+        const startWindow = new Date(targetTime - 30 * 60 * 1000);
+        const endWindow = new Date(targetTime + 30 * 60 * 1000);
 
         try {
             const appointments = await Appointment.find({
                 status: 'Upcoming',
-                doctorReminder24hSent: false
+                doctorReminder24hSent: false,
+                startAt: { $gte: startWindow, $lte: endWindow }
             })
             .populate('doctor', 'name email notificationPreferences doctorReminderPreferences isDisabled isActive')
             .populate('user', 'name')
             .populate('appointmentType', 'name')
-            .populate('hospital', 'name');
+            .populate('hospital', 'name timezone');
 
             const results = {
                 total: appointments.length,
@@ -222,16 +197,8 @@ class DoctorReminderService {
 
             for (const appointment of appointments) {
                 try {
-                    const appointmentDateTime = this.parseAppointmentDateTime(appointment.date, appointment.time);
-                    
-                    // Check if appointment is within the 24-hour window
-                    if (!appointmentDateTime.isBetween(startWindow, endWindow, null, '[]')) {
-                        results.skipped++;
-                        continue;
-                    }
-
                     // Check if appointment is in the future
-                    if (appointmentDateTime.isBefore(now)) {
+                    if (this.getAppointmentStart(appointment) < now) {
                         results.skipped++;
                         continue;
                     }
@@ -274,8 +241,8 @@ class DoctorReminderService {
      * @returns {Promise<Object>} - Processing results
      */
     static async process1HourReminders() {
-        const now = moment();
-        const targetTime = now.clone().add(1, 'hour');
+        const now = new Date();
+        const targetTime = now.getTime() + 60 * 60 * 1000;
         
         // Find appointments that:
         // 1. Are in status 'Upcoming'
@@ -283,18 +250,19 @@ class DoctorReminderService {
         // 3. Haven't had 1h reminder sent yet
         // 4. Are not canceled
 
-        const startWindow = targetTime.clone().subtract(7, 'minutes');
-        const endWindow = targetTime.clone().add(7, 'minutes');
+        const startWindow = new Date(targetTime - 7 * 60 * 1000);
+        const endWindow = new Date(targetTime + 7 * 60 * 1000);
 
         try {
             const appointments = await Appointment.find({
                 status: 'Upcoming',
-                doctorReminder1hSent: false
+                doctorReminder1hSent: false,
+                startAt: { $gte: startWindow, $lte: endWindow }
             })
             .populate('doctor', 'name notificationPreferences doctorReminderPreferences isDisabled isActive')
             .populate('user', 'name')
             .populate('appointmentType', 'name')
-            .populate('hospital', 'name');
+            .populate('hospital', 'name timezone');
 
             const results = {
                 total: appointments.length,
@@ -307,16 +275,8 @@ class DoctorReminderService {
 
             for (const appointment of appointments) {
                 try {
-                    const appointmentDateTime = this.parseAppointmentDateTime(appointment.date, appointment.time);
-                    
-                    // Check if appointment is within the 1-hour window
-                    if (!appointmentDateTime.isBetween(startWindow, endWindow, null, '[]')) {
-                        results.skipped++;
-                        continue;
-                    }
-
                     // Check if appointment is in the future
-                    if (appointmentDateTime.isBefore(now)) {
+                    if (this.getAppointmentStart(appointment) < now) {
                         results.skipped++;
                         continue;
                     }
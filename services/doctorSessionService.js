@@ -0,0 +1,92 @@
+const User = require('../models/user');
+const dateTime = require('../utils/dateTime');
+
+const SESSION_STATES = ['open', 'paused', 'closed'];
+
+// A pause longer than this is more likely a mistake than a break
+const MAX_PAUSE_MINS = 4 * 60;
+
+const OPEN_SESSION = { state: 'open', reason: '', resumesAt: null, since: null };
+
+/**
+ * The doctor's queue session for today. A state set on an earlier day no longer applies.
+ * @param {Object} doctor - User document or lean object (queueSession)
+ * @returns {Object} - { state, reason, resumesAt, since }
+ */
+const effectiveSession = (doctor) => {
+    const session = doctor && doctor.queueSession;
+    if (!session || !session.state || session.date !== dateTime.todayIn()) return { ...OPEN_SESSION };
+    return {
+        state: session.state,
+        reason: session.reason || '',
+        resumesAt: session.state === 'paused' ? session.resumesAt || null : null,
+        since: session.updatedAt || null
+    };
+};
+
+/**
+ * Change a doctor's queue session.
+ * @param {String} doctorId
+ * @param {Object} params
+ * @param {String} params.state - 'open', 'paused' or 'closed'
+ * @param {String} [params.reason]
+ * @param {Number} [params.resumeInMins] - Expected length of a pause
+ * @param {Object} staffUser - Who made the change
+ * @returns {Promise<Object>} - The new effective session
+ */
+const setSession = async (doctorId, { state, reason, resumeInMins }, staffUser) => {
+    if (!SESSION_STATES.includes(state)) {
+        throw new Error(`Invalid session state. Expected one of: ${SESSION_STATES.join(', ')}.`);
+    }
+    if (resumeInMins !== undefined && resumeInMins !== null &&
+        !(typeof resumeInMins === 'number' && resumeInMins > 0 && resumeInMins <= MAX_PAUSE_MINS)) {
+        throw new Error(`Invalid session state. resumeInMins must be between 1 and ${MAX_PAUSE_MINS}.`);
+    }
+
+    const doctor = await User.findOneAndUpdate(
+        { _id: doctorId, role: 'doctor' },
+        {
+            queueSession: {
+                state,
+                reason: state === 'open' ? '' : (reason || ''),
+                resumesAt: state === 'paused' && resumeInMins ? dateTime.minutesFromNow(resumeInMins) : undefined,
+                date: dateTime.todayIn(),
+                updatedAt: new Date(),
+                updatedBy: staffUser._id
+            }
+        },
+        { new: true }
+    ).select('name queueSession');
+    if (!doctor) throw new Error('Doctor not found.');
+
+    return effectiveSession(doctor);
+};
+
+/**
+ * @param {Object} doctor - With name and queueSession
+ * @throws {Error} - When the doctor's queue is closed to new patients
+ */
+const assertAcceptingPatients = (doctor) => {
+    const session = effectiveSession(doctor);
+    if (session.state === 'closed') {
+        throw new Error(`Dr. ${doctor.name.en} is not accepting new patients today${session.reason ? ` (${session.reason})` : ''}.`);
+    }
+};
+
+/**
+ * @param {Object} doctor - With name and queueSession
+ * @throws {Error} - When the doctor's queue is paused
+ */
+const assertNotPaused = (doctor) => {
+    if (effectiveSession(doctor).state === 'paused') {
+        throw new Error('The queue is paused. Resume it before calling the next patient.');
+    }
+};
+
+module.exports = {
+    SESSION_STATES,
+    effectiveSession,
+    setSession,
+    assertAcceptingPatients,
+    assertNotPaused
+};
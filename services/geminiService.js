@@ -212,9 +212,22 @@ const chatWithAi = async (message, history, patientProfile, availableSpecialties
     }).join('\n');
 
     // Prepare Queue Context for Wait Time Prediction (Idea 6)
+    const describeSession = (name, session) => {
+        if (!session || session.state === 'open') return '';
+        if (session.state === 'closed') {
+            return ` Dr. ${name}'s queue is closed to new patients today${session.reason ? ` (${session.reason})` : ''}.`;
+        }
+        const resumes = session.resumesAt ? ` and is expected to resume at ${new Date(session.resumesAt).toISOString()}` : '';
+        return ` Dr. ${name}'s queue is paused${session.reason ? ` (${session.reason})` : ''}${resumes}.`;
+    };
+    const queueDoctorName = queueData.userStatus.doctor?.name?.en || queueData.userStatus.doctor?.name;
+    const unavailableDoctors = (queueData.doctors || [])
+        .filter(d => d.session && d.session.state !== 'open')
+        .map(d => describeSession(d.name?.en || d.name?.ar, d.session))
+        .join('');
     const queueContext = queueData.userStatus.inQueue 
-        ? `Patient is currently in queue for Dr. ${queueData.userStatus.doctor?.name}. Position: ${queueData.userStatus.position}, Est. Wait: ${queueData.userStatus.estimatedWaitTime} mins.`
-        : `Patient is not in queue. Average wait time across clinic is 15-30 mins.`;
+        ? `Patient is currently in queue for Dr. ${queueDoctorName}. Position: ${queueData.userStatus.position}, Est. Wait: ${queueData.userStatus.estimatedWaitTime} mins.${describeSession(queueDoctorName, queueData.userStatus.doctorSession)}`
+        : `Patient is not in queue. Average wait time across clinic is 15-30 mins.${unavailableDoctors}`;
 
     const targetLanguage = language === 'ar' ? 'Arabic' : 'English';
 
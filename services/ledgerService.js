@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/ledgerEntry');
+const Wallet = require('../models/wallet');
+
+// Wallet and ledger balances closer than this are treated as equal (one dirham)
+const LEDGER_TOLERANCE = 0.001;
+
+const roundAmount = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Post a balanced journal entry.
+ * @param {Array<Object>} lines - { account, user?, hospital?, debit?, credit? }
+ * @param {Object} details - { description, referenceId?, transaction? }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Document>} - The LedgerEntry
+ * @throws {Error} - If the entry does not balance
+ */
+const postEntry = async (lines, details, options = {}) => {
+    const [entry] = await LedgerEntry.create([{ lines, ...details }], { session: options.session });
+    return entry;
+};
+
+// The account a wallet credit is funded from
+const fundingAccount = (transaction) => {
+    if (transaction.transactionType === 'Refund') {
+        return { account: 'refunds', hospital: transaction.hospital };
+    }
+    if (transaction.fundingSource === 'cash') return { account: 'cash_drawer', hospital: transaction.hospital };
+    if (transaction.fundingSource === 'redeem_code') return { account: 'promotions' };
+    if (transaction.fundingSource === 'portal') return { account: 'payment_clearing' };
+    return { account: 'adjustments' };
+};
+
+/**
+ * Post the ledger entry of a wallet transaction:
+ * - Appointment fee: wallet → hospital receivable
+ * - Refund: hospital refunds → wallet
+ * - Deposits: cash drawer / promotions / payment clearing / adjustments → wallet
+ * @param {Document} transaction - The saved Transaction
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Document>} - The LedgerEntry
+ */
+const postTransaction = (transaction, options = {}) => {
+    const wallet = { account: 'wallet', user: transaction.user };
+    const lines = transaction.type === 'debit'
+        ? [
+            { ...wallet, debit: transaction.amount },
+            { account: 'hospital_receivable', hospital: transaction.hospital, credit: transaction.amount }
+        ]
+        : [
+            { ...fundingAccount(transaction), debit: transaction.amount },
+            { ...wallet, credit: transaction.amount }
+        ];
+
+    return postEntry(lines, {
+        transaction: transaction._id,
+        referenceId: transaction.referenceId,
+        description: transaction.description
+    }, options);
+};
+
+/**
+ * Ledger balance of every patient wallet account.
+ * @returns {Promise<Map<String, Number>>} - userId -> balance (credits minus debits)
+ */
+const getWalletLedgerBalances = async () => {
+    const rows = await LedgerEntry.aggregate([
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': 'wallet' } },
+        { $group: { _id: '$lines.user', balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), roundAmount(row.balance)]));
+};
+
+/**
+ * Ledger balance of a single patient wallet account.
+ * @param {String} userId
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Number>}
+ */
+const getWalletLedgerBalance = async (userId, options = {}) => {
+    const user = new mongoose.Types.ObjectId(userId.toString());
+    const [row] = await LedgerEntry.aggregate([
+        { $match: { 'lines.account': 'wallet', 'lines.user': user } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.account': 'wallet', 'lines.user': user } },
+        { $group: { _id: null, balance: { $sum: { $subtract: ['$lines.credit', '$lines.debit'] } } } }
+    ]).session(options.session || null);
+    return row ? roundAmount(row.balance) : 0;
+};
+
+/**
+ * Open the ledger account of a wallet that already holds money (seeded, or funded before the
+ * ledger existed) with an opening balance from adjustments. Wallets with ledger history are left alone.
+ * @param {Object} wallet - { user, balance }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Document|null>} - The LedgerEntry, or null if nothing was posted
+ */
+const openWalletAccount = async (wallet, options = {}) => {
+    const hasHistory = await LedgerEntry.exists({ 'lines.account': 'wallet', 'lines.user': wallet.user }).session(options.session || null);
+    if (hasHistory || Math.abs(wallet.balance) < LEDGER_TOLERANCE) return null;
+
+    const balance = roundAmount(wallet.balance);
+    const account = { account: 'wallet', user: wallet.user };
+    const lines = balance > 0
+        ? [{ account: 'adjustments', debit: balance }, { ...account, credit: balance }]
+        : [{ ...account, debit: -balance }, { account: 'adjustments', credit: -balance }];
+    return postEntry(lines, { description: 'Opening balance', referenceId: `OPEN_${wallet.user}` }, options);
+};
+
+/**
+ * Move the rest of a wallet's ledger balance to adjustments, e.g. when its account is deleted,
+ * so the ledger keeps balancing after the Wallet document is gone.
+ * @param {String} userId
+ * @param {String} description
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Document|null>} - The LedgerEntry, or null if the wallet was already at zero
+ */
+const closeWalletAccount = async (userId, description, options = {}) => {
+    const balance = await getWalletLedgerBalance(userId, options);
+    if (Math.abs(balance) < LEDGER_TOLERANCE) return null;
+
+    const wallet = { account: 'wallet', user: userId };
+    const lines = balance > 0
+        ? [{ ...wallet, debit: balance }, { account: 'adjustments', credit: balance }]
+        : [{ account: 'adjustments', debit: -balance }, { ...wallet, credit: -balance }];
+    return postEntry(lines, { description, referenceId: `CLOSE_${userId}` }, options);
+};
+
+/**
+ * Per-account totals of the whole ledger. Patient wallets are summed into one row.
+ * @returns {Promise<Array<Object>>} - { account, hospital, debit, credit, balance }
+ */
+const getTrialBalance = async () => {
+    const rows = await LedgerEntry.aggregate([
+        { $unwind: '$lines' },
+        {
+            $group: {
+                _id: { account: '$lines.account', hospital: '$lines.hospital' },
+                debit: { $sum: '$lines.debit' },
+                credit: { $sum: '$lines.credit' }
+            }
+        },
+        { $sort: { '_id.account': 1, '_id.hospital': 1 } }
+    ]);
+    return rows.map(row => ({
+        account: row._id.account,
+        hospital: row._id.hospital || null,
+        debit: roundAmount(row.debit),
+        credit: roundAmount(row.credit),
+        balance: roundAmount(row.credit - row.debit)
+    }));
+};
+
+/**
+ * Compare every Wallet.balance with its ledger account and check that the ledger balances.
+ * @returns {Promise<Object>} - { walletsChecked, drifted, trialBalance, totals, balanced }
+ */
+const reconcileWallets = async () => {
+    const ledgerBalances = await getWalletLedgerBalances();
+    const wallets = await Wallet.find({}).select('user balance').lean();
+    const drifted = [];
+
+    for (const wallet of wallets) {
+        const key = wallet.user.toString();
+        const ledgerBalance = ledgerBalances.get(key) || 0;
+        ledgerBalances.delete(key);
+        const drift = roundAmount(wallet.balance - ledgerBalance);
+        if (Math.abs(drift) >= LEDGER_TOLERANCE) {
+            drifted.push({ user: wallet.user, walletBalance: roundAmount(wallet.balance), ledgerBalance, drift });
+        }
+    }
+
+    // Ledger money in wallets that no longer exist
+    for (const [user, ledgerBalance] of ledgerBalances) {
+        if (Math.abs(ledgerBalance) >= LEDGER_TOLERANCE) {
+            drifted.push({ user, walletBalance: null, ledgerBalance, drift: roundAmount(-ledgerBalance) });
+        }
+    }
+
+    const trialBalance = await getTrialBalance();
+    const totals = {
+        debit: roundAmount(trialBalance.reduce((sum, row) => sum + row.debit, 0)),
+        credit: roundAmount(trialBalance.reduce((sum, row) => sum + row.credit, 0))
+    };
+
+    return {
+        checkedAt: new Date(),
+        walletsChecked: wallets.length,
+        drifted,
+        trialBalance,
+        totals,
+        balanced: Math.abs(totals.debit - totals.credit) < LEDGER_TOLERANCE
+    };
+};
+
+module.exports = {
+    LEDGER_TOLERANCE,
+    postEntry,
+    postTransaction,
+    getWalletLedgerBalance,
+    openWalletAccount,
+    closeWalletAccount,
+    getTrialBalance,
+    reconcileWallets
+};
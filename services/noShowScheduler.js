@@ -0,0 +1,82 @@
+// Optional node-cron - only load if available
+let cron = null;
+try {
+    cron = require('node-cron');
+} catch (error) {
+    console.warn('⚠️ node-cron not installed. NoShow scheduler will be disabled.');
+}
+
+const noShowService = require('./noShowService');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
+
+/**
+ * Scheduler service for missed appointments
+ * Marks past Upcoming appointments as NoShow when the patient never checked in
+ */
+class NoShowScheduler {
+    static isRunning = false;
+    static cronJobs = [];
+
+    /**
+     * Start the NoShow scheduler
+     */
+    static start() {
+        if (this.isRunning) {
+            console.warn('⚠️ NoShow scheduler is already running');
+            return;
+        }
+
+        if (!cron) {
+            console.warn('⚠️ node-cron not installed. NoShow scheduler will not start.');
+            return;
+        }
+
+        console.log('🚀 Starting NoShow Scheduler...');
+
+        // Appointments become eligible NO_SHOW_GRACE_MINS after their slot ends
+        const noShowJob = cron.schedule('*/10 * * * *', async () => {
+            try {
+                const results = await noShowService.processNoShows();
+                if (results.marked || results.failed) {
+                    console.log(`⏰ NoShow: ${results.marked} appointments marked, ${results.failed} failed`);
+                }
+            } catch (error) {
+                console.error('❌ Error in scheduled NoShow check:', error);
+            }
+        }, {
+            scheduled: true,
+            timezone: DEFAULT_TIMEZONE
+        });
+
+        this.cronJobs.push(noShowJob);
+        this.isRunning = true;
+
+        console.log('✅ NoShow scheduler started (runs every 10 minutes)');
+    }
+
+    /**
+     * Stop the NoShow scheduler
+     */
+    static stop() {
+        if (!this.isRunning) {
+            console.warn('⚠️ NoShow scheduler is not running');
+            return;
+        }
+
+        this.cronJobs.forEach(job => job.stop());
+        this.cronJobs = [];
+        this.isRunning = false;
+
+        console.log('🛑 NoShow scheduler stopped');
+    }
+
+    /**
+     * Manually trigger NoShow processing (for testing/admin)
+     */
+    static async triggerNow() {
+        console.log('🔔 Manually triggering NoShow processing...');
+        return noShowService.processNoShows();
+    }
+}
+
+module.exports = NoShowScheduler;
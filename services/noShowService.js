@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/appointment');
+const QueueItem = require('../models/queueItem');
+const walletService = require('./walletService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const dateTime = require('../utils/dateTime');
+const { createNotification } = require('../utils/notificationHelper');
+
+// How long after the end of the slot we wait for a late arrival before marking a no-show
+const NO_SHOW_GRACE_MINS = 30;
+
+// Only recent slots are checked, so old legacy appointments are not mass-marked (and notified)
+const NO_SHOW_LOOKBACK_HOURS = 48;
+
+// Cap per run; the rest are picked up by the next run
+const NO_SHOW_BATCH_SIZE = 200;
+
+/**
+ * Whether the patient turned up on the day of the appointment: checked in on arrival,
+ * or was seen by the doctor. Being queued by a same-day booking does not count.
+ * @param {Document} appointment - With hospital populated (timezone)
+ * @returns {Promise<Boolean>}
+ */
+const hasCheckedIn = async (appointment) => {
+    const { start, end } = dateTime.dayBoundsIn(appointment.date, appointment.hospital);
+    const item = await QueueItem.exists({
+        user: appointment.user,
+        doctor: appointment.doctor,
+        status: { $ne: 'RemovedByAdmin' },
+        checkInTime: { $gte: start, $lte: end },
+        $or: [
+            { arrivedAt: { $exists: true } },
+            { status: { $in: ['Serving', 'Done'] } }
+        ]
+    });
+    return !!item;
+};
+
+/**
+ * Mark one appointment as NoShow, refunding the no-show rate of its cancellation policy.
+ * @param {String} appointmentId
+ * @returns {Promise<Boolean>} - false if the appointment changed in the meantime
+ */
+const markNoShow = async (appointmentId) => {
+    const session = await mongoose.startSession();
+    let marked = false;
+
+    try {
+        await session.withTransaction(async () => {
+            marked = false;
+            const appt = await Appointment.findById(appointmentId)
+                .populate('hospital', 'name timezone cancellationPolicy refundPolicyPercentage')
+                .populate('doctor', 'name')
+                .populate('appointmentType', 'name cancellationPolicy')
+                .session(session);
+            if (!appt || appt.status !== 'Upcoming') return;
+
+            appt.status = 'NoShow';
+
+            if (!appt.isRefunded) {
+                const { refundAmount, policyTier } = cancellationPolicyService.quoteRefund(appt, {
+                    hospital: appt.hospital,
+                    appointmentType: appt.appointmentType,
+                    noShow: true
+                });
+                if (refundAmount > 0) {
+                    await walletService.createTransactionAndUpdateWallet({
+                        userId: appt.user,
+                        amount: refundAmount,
+                        type: 'credit',
+                        transactionType: 'Refund',
+                        description: `Refund (${policyTier.refundPercentage}%, ${policyTier.label}) for missed appointment with Dr. ${appt.doctor.name.en} at ${appt.hospital.name.en}`,
+                        referenceId: appt._id.toString(),
+                        hospitalId: appt.hospital._id,
+                        policyTier
+                    }, { session });
+                }
+                appt.isRefunded = true;
+            }
+
+            await appt.save({ session });
+
+            // A same-day booking left the patient waiting in the queue; they never arrived
+            await QueueItem.updateMany(
+                { appointment: appt._id, status: 'Waiting', arrivedAt: { $exists: false } },
+                { status: 'Left' },
+                { session }
+            );
+
+            await createNotification(
+                appt.user,
+                'appointment',
+                {
+                    en: `You missed your appointment with Dr. ${appt.doctor.name.en} on ${appt.date} at ${appt.time}. Repeated no-shows may limit future bookings.`,
+                    ar: `لقد فاتك موعدك مع د. ${appt.doctor.name.ar} بتاريخ ${appt.date} في ${appt.time}. تكرار عدم الحضور قد يحد من الحجوزات المستقبلية.`
+                },
+                {
+                    title: {
+                        en: 'Missed Appointment',
+                        ar: 'موعد فائت'
+                    },
+                    language: 'ar',
+                    data: {
+                        appointmentId: appt._id.toString(),
+                        status: 'NoShow',
+                        link: `#/appointments`
+                    },
+                    session
+                }
+            );
+
+            marked = true;
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return marked;
+};
+
+/**
+ * Mark Upcoming appointments as NoShow once their slot plus the grace period has
+ * passed without the patient checking in to the queue.
+ * @returns {Promise<Object>} - { marked, checkedIn, failed }
+ */
+const processNoShows = async () => {
+    const cutoff = new Date(Date.now() - NO_SHOW_GRACE_MINS * 60 * 1000);
+    const since = new Date(cutoff.getTime() - NO_SHOW_LOOKBACK_HOURS * 60 * 60 * 1000);
+    const results = { marked: 0, checkedIn: 0, failed: 0 };
+
+    const candidates = await Appointment.find({
+        status: 'Upcoming',
+        endAt: { $gte: since, $lte: cutoff }
+    })
+        .sort({ endAt: 1 })
+        .limit(NO_SHOW_BATCH_SIZE)
+        .populate('hospital', 'timezone');
+
+    for (const appt of candidates) {
+        try {
+            if (await hasCheckedIn(appt)) {
+                results.checkedIn++;
+                continue;
+            }
+            if (await markNoShow(appt._id)) results.marked++;
+        } catch (error) {
+            results.failed++;
+            console.error(`❌ Failed to mark appointment ${appt._id} as NoShow:`, error.message);
+        }
+    }
+
+    return results;
+};
+
+module.exports = {
+    NO_SHOW_GRACE_MINS,
+    markNoShow,
+    processNoShows
+};
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+// Built-in provider for development and testing: no money moves. Its checkout page lets the
+// tester choose the outcome, and webhooks are signed exactly like a real gateway's would be.
+const SIGNATURE_HEADER = 'x-fake-signature';
+
+const webhookSecret = () => process.env.FAKE_PAYMENT_WEBHOOK_SECRET;
+
+const publicApiUrl = () => (process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, '');
+
+const sign = (rawBody) => crypto.createHmac('sha256', webhookSecret()).update(rawBody).digest('hex');
+
+// Its checkout page completes payments without authentication, so it must be switched on explicitly
+const isEnabled = () => process.env.FAKE_PAYMENTS_ENABLED === 'true' && !!webhookSecret();
+
+const createPayment = async () => {
+    const providerReference = `fake_${crypto.randomBytes(12).toString('hex')}`;
+    return {
+        providerReference,
+        redirectUrl: `${publicApiUrl()}/api/payments/fake/checkout/${providerReference}`
+    };
+};
+
+const verifyWebhook = async ({ rawBody, headers, body }) => {
+    const signature = headers[SIGNATURE_HEADER];
+    if (!rawBody || typeof signature !== 'string') throw new Error('Missing webhook signature.');
+
+    const expected = Buffer.from(sign(rawBody), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Invalid webhook signature.');
+    }
+
+    return {
+        providerReference: body.reference,
+        status: body.status === 'succeeded' ? 'succeeded' : 'failed',
+        amount: Number(body.amount),
+        currency: body.currency,
+        failureReason: body.failureReason
+    };
+};
+
+/**
+ * Build the signed webhook the fake gateway sends when the tester picks an outcome.
+ * Also handy for exercising the webhook endpoint by hand.
+ * @param {Object} event - { reference, status, amount, currency }
+ * @returns {Object} - { rawBody, headers, body }
+ */
+const buildWebhook = (event) => {
+    const body = { ...event };
+    const rawBody = Buffer.from(JSON.stringify(body));
+    return { rawBody, headers: { [SIGNATURE_HEADER]: sign(rawBody) }, body };
+};
+
+module.exports = {
+    name: 'fake',
+    label: { en: 'Test payment', ar: 'دفع تجريبي' },
+    isEnabled,
+    createPayment,
+    verifyWebhook,
+    buildWebhook
+};
@@ -0,0 +1,47 @@
+/**
+ * Payment provider registry. A provider is an object with:
+ * - name: String                       - Used in URLs and stored on transactions, e.g. 'sadad'
+ * - label: { en, ar }                  - Shown to patients
+ * - isEnabled(): Boolean               - false when its configuration is missing
+ * - createPayment({ reference, amount, currency, description, returnUrl })
+ *       → Promise<{ providerReference, redirectUrl }>
+ * - verifyWebhook({ rawBody, headers, body })
+ *       → Promise<{ providerReference, status: 'succeeded'|'failed', amount, currency, failureReason? }>
+ *       Throws an Error mentioning 'signature' when the webhook cannot be trusted.
+ * Local gateways (Sadad, Tadawul, card processors) are added by registering another module here.
+ */
+const providers = new Map();
+
+const registerProvider = (provider) => {
+    ['name', 'isEnabled', 'createPayment', 'verifyWebhook'].forEach(key => {
+        if (!provider[key]) throw new Error(`Payment provider is missing '${key}'.`);
+    });
+    providers.set(provider.name, provider);
+};
+
+registerProvider(require('./fakeProvider'));
+
+/**
+ * @param {String} name
+ * @returns {Object} - The provider
+ * @throws {Error} - If it does not exist or is not enabled
+ */
+const getProvider = (name) => {
+    const provider = providers.get(name);
+    if (!provider || !provider.isEnabled()) throw new Error(`Invalid payment provider '${name}'.`);
+    return provider;
+};
+
+/**
+ * The providers patients can pay with.
+ * @returns {Array<Object>} - { name, label }
+ */
+const listProviders = () => [...providers.values()]
+    .filter(provider => provider.isEnabled())
+    .map(provider => ({ name: provider.name, label: provider.label }));
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders
+};
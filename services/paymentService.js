@@ -0,0 +1,184 @@
+const Transaction = require('../models/transaction');
+const walletService = require('./walletService');
+const paymentProviders = require('./paymentProviders');
+const { createNotification } = require('../utils/notificationHelper');
+
+// Largest single top-up, in LYD
+const MAX_DEPOSIT_AMOUNT = 10000;
+
+// Wallets are kept in Libyan dinars; payments in any other currency are rejected
+const DEPOSIT_CURRENCY = 'LYD';
+
+const roundAmount = (value) => Math.round(value * 1000) / 1000;
+
+const appUrl = () => (process.env.APP_URL || 'https://myclinic.app').replace(/\/$/, '');
+
+/**
+ * Start a wallet top-up: records a pending deposit and asks the provider for a payment page.
+ * The wallet is credited only when the provider's signed webhook confirms the payment.
+ * @param {String} userId
+ * @param {Object} data - { amount, provider }
+ * @returns {Promise<Object>} - { transactionId, status, provider, redirectUrl }
+ */
+const createDeposit = async (userId, { amount, provider: providerName }) => {
+    const parsedAmount = roundAmount(parseFloat(amount));
+    if (!parsedAmount || parsedAmount <= 0 || parsedAmount > MAX_DEPOSIT_AMOUNT) {
+        throw new Error(`Invalid amount. Please provide an amount between 0 and ${MAX_DEPOSIT_AMOUNT} LYD.`);
+    }
+    const provider = paymentProviders.getProvider(providerName);
+
+    const transaction = await walletService.createPendingTransaction({
+        userId,
+        amount: parsedAmount,
+        transactionType: 'Deposit',
+        description: `Wallet top-up via ${provider.label.en}`,
+        referenceId: `PAYMENT_${Date.now()}`,
+        fundingSource: 'portal',
+        payment: { provider: provider.name }
+    });
+
+    let payment;
+    try {
+        payment = await provider.createPayment({
+            reference: transaction._id.toString(),
+            amount: parsedAmount,
+            currency: DEPOSIT_CURRENCY,
+            description: transaction.description,
+            returnUrl: `${appUrl()}/#/wallet?deposit=${transaction._id}`
+        });
+    } catch (error) {
+        console.error(`❌ Payment provider ${provider.name} could not create a payment:`, error.message);
+        await walletService.failPendingTransaction(transaction._id, 'Provider unavailable');
+        throw new Error('The payment provider is unavailable. Please try again later.');
+    }
+
+    transaction.referenceId = payment.providerReference;
+    transaction.payment.providerReference = payment.providerReference;
+    transaction.payment.redirectUrl = payment.redirectUrl;
+    await transaction.save();
+
+    return {
+        transactionId: transaction._id,
+        status: transaction.status,
+        provider: provider.name,
+        redirectUrl: payment.redirectUrl
+    };
+};
+
+const notifyDepositCompleted = (transaction) => createNotification(
+    transaction.user,
+    'wallet',
+    {
+        en: `Your wallet has been credited with ${transaction.amount.toFixed(2)} LYD.`,
+        ar: `تم إيداع ${transaction.amount.toFixed(2)} دينار في محفظتك.`
+    },
+    {
+        title: {
+            en: 'Wallet Credited',
+            ar: 'تم شحن المحفظة'
+        },
+        language: 'ar',
+        data: {
+            amount: transaction.amount.toFixed(2),
+            link: `#/wallet`
+        }
+    }
+);
+
+const notifyDepositFailed = (transaction) => createNotification(
+    transaction.user,
+    'wallet',
+    {
+        en: `Your top-up of ${transaction.amount.toFixed(2)} LYD did not go through. Your wallet was not charged.`,
+        ar: `لم تكتمل عملية شحن المحفظة بمبلغ ${transaction.amount.toFixed(2)} دينار. لم يتم خصم أي مبلغ.`
+    },
+    {
+        title: {
+            en: 'Top-up Failed',
+            ar: 'فشل شحن المحفظة'
+        },
+        language: 'ar',
+        data: {
+            amount: transaction.amount.toFixed(2),
+            link: `#/wallet`
+        }
+    }
+);
+
+/**
+ * Apply a provider webhook: verify its signature, then complete or fail the pending deposit.
+ * Webhooks are retried by providers, so repeated deliveries are answered without side effects.
+ * @param {String} providerName
+ * @param {Object} request - { rawBody, headers, body }
+ * @returns {Promise<Object>} - { transactionId, status }
+ */
+const handleWebhook = async (providerName, request) => {
+    const provider = paymentProviders.getProvider(providerName);
+    const event = await provider.verifyWebhook(request);
+
+    const transaction = await Transaction.findOne({
+        'payment.provider': provider.name,
+        'payment.providerReference': event.providerReference
+    });
+    if (!transaction) throw new Error('Payment not found');
+    if (transaction.status !== 'Pending') {
+        return { transactionId: transaction._id, status: transaction.status };
+    }
+
+    if (event.status === 'succeeded' && (roundAmount(event.amount) !== transaction.amount || event.currency !== DEPOSIT_CURRENCY)) {
+        console.error(`❌ Payment ${event.providerReference}: provider reported ${event.amount} ${event.currency}, expected ${transaction.amount} ${DEPOSIT_CURRENCY}`);
+        const failed = await walletService.failPendingTransaction(transaction._id, 'Amount or currency mismatch');
+        return { transactionId: transaction._id, status: failed ? failed.status : 'Failed' };
+    }
+
+    if (event.status === 'succeeded') {
+        const completed = await walletService.completePendingTransaction(transaction._id);
+        if (completed) await notifyDepositCompleted(completed);
+        return { transactionId: transaction._id, status: 'Completed' };
+    }
+
+    const failed = await walletService.failPendingTransaction(transaction._id, event.failureReason || 'Declined by provider');
+    if (failed) await notifyDepositFailed(failed);
+    return { transactionId: transaction._id, status: 'Failed' };
+};
+
+/**
+ * A patient's deposit, for the page they return to from the provider.
+ * @param {String} userId
+ * @param {String} transactionId
+ * @returns {Promise<Document>}
+ */
+const getDeposit = async (userId, transactionId) => {
+    const transaction = await Transaction.findOne({
+        _id: transactionId,
+        user: userId,
+        transactionType: 'Deposit',
+        'payment.provider': { $exists: true }
+    });
+    if (!transaction) throw new Error('Deposit not found');
+    return transaction;
+};
+
+/**
+ * The pending deposit behind a provider reference (used by the fake checkout page).
+ * @param {String} providerName
+ * @param {String} providerReference
+ * @returns {Promise<Document>}
+ */
+const findPayment = async (providerName, providerReference) => {
+    const transaction = await Transaction.findOne({
+        'payment.provider': providerName,
+        'payment.providerReference': providerReference
+    });
+    if (!transaction) throw new Error('Payment not found');
+    return transaction;
+};
+
+module.exports = {
+    MAX_DEPOSIT_AMOUNT,
+    listProviders: paymentProviders.listProviders,
+    createDeposit,
+    handleWebhook,
+    getDeposit,
+    findPayment
+};
@@ -0,0 +1,178 @@
+const QueueItem = require('../models/queueItem');
+const { createNotification } = require('../utils/notificationHelper');
+
+// Used for hospitals that have not configured their own alert thresholds
+const DEFAULT_QUEUE_ALERTS = {
+    // "Almost up" once the patient is this far up the line...
+    almostUpPosition: 3,
+    // ...or estimated to be called within this many minutes
+    almostUpMinutes: 10
+};
+
+// Staff can page the same held patient again only after this long
+const PAGE_COOLDOWN_SECS = 60;
+
+/**
+ * The alert thresholds of a hospital, with defaults filled in.
+ * @param {Object} [hospital]
+ * @returns {Object} - { almostUpPosition, almostUpMinutes }
+ */
+const resolveAlertSettings = (hospital) => {
+    const configured = (hospital && hospital.queueAlerts) || {};
+    return {
+        almostUpPosition: typeof configured.almostUpPosition === 'number'
+            ? configured.almostUpPosition
+            : DEFAULT_QUEUE_ALERTS.almostUpPosition,
+        almostUpMinutes: typeof configured.almostUpMinutes === 'number'
+            ? configured.almostUpMinutes
+            : DEFAULT_QUEUE_ALERTS.almostUpMinutes
+    };
+};
+
+/**
+ * Validate alert thresholds coming from an admin request.
+ * @param {Object} settings
+ * @throws {Error} - Message starting with 'Invalid queue alerts'
+ */
+const validateAlertSettings = (settings) => {
+    if (!settings || typeof settings !== 'object') {
+        throw new Error('Invalid queue alerts. Expected an object.');
+    }
+    if (settings.almostUpPosition !== undefined && !(Number.isInteger(settings.almostUpPosition) && settings.almostUpPosition >= 0)) {
+        throw new Error('Invalid queue alerts. almostUpPosition must be a whole number (0 turns it off).');
+    }
+    if (settings.almostUpMinutes !== undefined && !(typeof settings.almostUpMinutes === 'number' && settings.almostUpMinutes >= 0)) {
+        throw new Error('Invalid queue alerts. almostUpMinutes must be 0 or more (0 turns it off).');
+    }
+};
+
+/**
+ * Record that alerts were sent for a queue item; only the first caller wins, so
+ * concurrent queue updates never send the same alert twice.
+ * @param {String} queueItemId
+ * @param {Array<String>} kinds - The first is the one being sent; the rest are implied by it
+ * @returns {Promise<Boolean>} - true if this caller should send the alert
+ */
+const claimAlert = async (queueItemId, kinds) => {
+    const claimed = await QueueItem.findOneAndUpdate(
+        { _id: queueItemId, status: 'Waiting', alertsSent: { $ne: kinds[0] } },
+        { $addToSet: { alertsSent: { $each: kinds } } }
+    );
+    return !!claimed;
+};
+
+const sendNextInLine = (item, doctor) => createNotification(
+    item.user._id || item.user,
+    'system',
+    {
+        en: `Heads up! You are next in line for Dr. ${doctor.name.en}. Please be ready.`,
+        ar: `تنبيه! أنت التالي في الدور لـ د. ${doctor.name.ar}. يرجى الاستعداد.`
+    },
+    {
+        title: {
+            en: 'Next in Line',
+            ar: 'دورك القادم'
+        },
+        language: 'ar',
+        data: {
+            queueItemId: item._id.toString(),
+            queueNumber: item.queueNumber,
+            link: `#/queue`
+        }
+    }
+);
+
+const sendAlmostUp = (item, doctor, position, estimate) => {
+    const minutes = estimate ? estimate.estimatedWaitTime : null;
+    return createNotification(
+        item.user._id || item.user,
+        'system',
+        {
+            en: `You're almost up! You are number ${position} in line for Dr. ${doctor.name.en}${minutes != null ? ` (about ${minutes} min)` : ''}. Please head to the waiting area.`,
+            ar: `اقترب دورك! أنت رقم ${position} في الدور لدى د. ${doctor.name.ar}${minutes != null ? ` (حوالي ${minutes} دقيقة)` : ''}. يرجى التوجه إلى منطقة الانتظار.`
+        },
+        {
+            title: {
+                en: 'Almost Your Turn',
+                ar: 'اقترب دورك'
+            },
+            language: 'ar',
+            data: {
+                queueItemId: item._id.toString(),
+                queueNumber: item.queueNumber,
+                position,
+                link: `#/queue`
+            }
+        }
+    );
+};
+
+/**
+ * Send "next in line" / "almost up" alerts to waiting patients who have just crossed
+ * the hospital's thresholds. Each alert goes out at most once per queue item.
+ * @param {Array<Object>} waiting - Waiting queue items in call order
+ * @param {Array<Object>} estimates - waitTimeService.estimateWaits result for `waiting`
+ * @param {Object} doctor - { name }
+ * @param {Object} [hospital] - For the alert thresholds
+ */
+const sendQueueAlerts = async (waiting, estimates, doctor, hospital) => {
+    const settings = resolveAlertSettings(hospital);
+
+    for (let index = 0; index < waiting.length; index++) {
+        const item = waiting[index];
+        if (!item.user) continue; // Walk-ins have no account to notify
+
+        const position = index + 1;
+        const estimate = estimates[index];
+        const sent = item.alertsSent || [];
+
+        if (position === 1) {
+            // Being next implies "almost up", so that one is not sent afterwards
+            if (!sent.includes('next_in_line') && await claimAlert(item._id, ['next_in_line', 'almost_up'])) {
+                await sendNextInLine(item, doctor);
+            }
+            continue;
+        }
+
+        const closeByPosition = settings.almostUpPosition > 0 && position <= settings.almostUpPosition;
+        const closeByTime = settings.almostUpMinutes > 0 && estimate && estimate.estimatedWaitTime <= settings.almostUpMinutes;
+        if ((closeByPosition || closeByTime) && !sent.includes('almost_up') && await claimAlert(item._id, ['almost_up'])) {
+            await sendAlmostUp(item, doctor, position, estimate);
+        }
+    }
+};
+
+/**
+ * Ask a held patient to come back to the doctor's room.
+ * @param {Object} item - Held queue item of a registered patient
+ * @param {Object} doctor - { name, room }
+ */
+const sendPage = (item, doctor) => createNotification(
+    item.user._id || item.user,
+    'system',
+    {
+        en: `Dr. ${doctor.name.en} is calling you back (number ${item.queueNumber}). Please come to ${doctor.room ? `Room ${doctor.room}` : 'the clinic'} now.`,
+        ar: `د. ${doctor.name.ar} يطلبك مجدداً (رقم ${item.queueNumber}). يرجى الحضور إلى ${doctor.room ? `الغرفة ${doctor.room}` : 'العيادة'} الآن.`
+    },
+    {
+        title: {
+            en: 'You Are Being Called',
+            ar: 'يتم استدعاؤك'
+        },
+        language: 'ar',
+        data: {
+            queueItemId: item._id.toString(),
+            queueNumber: item.queueNumber,
+            link: `#/queue`
+        }
+    }
+);
+
+module.exports = {
+    DEFAULT_QUEUE_ALERTS,
+    PAGE_COOLDOWN_SECS,
+    resolveAlertSettings,
+    validateAlertSettings,
+    sendQueueAlerts,
+    sendPage
+};
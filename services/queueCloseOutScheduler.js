@@ -0,0 +1,97 @@
+// Optional node-cron - only load if available
+let cron = null;
+try {
+    cron = require('node-cron');
+} catch (error) {
+    console.warn('⚠️ node-cron not installed. Queue close-out scheduler will be disabled.');
+}
+
+const queueCloseOutService = require('./queueCloseOutService');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
+
+/**
+ * Scheduler service for the end-of-day queue close-out
+ * Ends leftover queue items after each hospital's local midnight and archives old ones
+ */
+class QueueCloseOutScheduler {
+    static isRunning = false;
+    static cronJobs = [];
+
+    /**
+     * Start the queue close-out scheduler
+     */
+    static start() {
+        if (this.isRunning) {
+            console.warn('⚠️ Queue close-out scheduler is already running');
+            return;
+        }
+
+        if (!cron) {
+            console.warn('⚠️ node-cron not installed. Queue close-out scheduler will not start.');
+            return;
+        }
+
+        console.log('🚀 Starting Queue Close-out Scheduler...');
+
+        // Hospitals are in different timezones, so check every 15 minutes whose day has ended
+        const closeOutJob = cron.schedule('*/15 * * * *', async () => {
+            try {
+                const results = await queueCloseOutService.processCloseOuts();
+                if (results.closedOut || results.failed) {
+                    console.log(`⏰ Queue close-out: ${results.closedOut} hospital days closed, ${results.failed} failed`);
+                }
+            } catch (error) {
+                console.error('❌ Error in scheduled queue close-out:', error);
+            }
+        }, {
+            scheduled: true,
+            timezone: DEFAULT_TIMEZONE
+        });
+
+        // Archiving is not time-critical; run it once a night
+        const archiveJob = cron.schedule('30 3 * * *', async () => {
+            try {
+                const archived = await queueCloseOutService.archiveOldItems();
+                if (archived) {
+                    console.log(`⏰ Queue archive: ${archived} items archived`);
+                }
+            } catch (error) {
+                console.error('❌ Error in scheduled queue archive:', error);
+            }
+        }, {
+            scheduled: true,
+            timezone: DEFAULT_TIMEZONE
+        });
+
+        this.cronJobs.push(closeOutJob, archiveJob);
+        this.isRunning = true;
+
+        console.log('✅ Queue close-out scheduler started (close-out every 15 minutes, archive daily at 03:30)');
+    }
+
+    /**
+     * Stop the queue close-out scheduler
+     */
+    static stop() {
+        if (!this.isRunning) {
+            console.warn('⚠️ Queue close-out scheduler is not running');
+            return;
+        }
+
+        this.cronJobs.forEach(job => job.stop());
+        this.cronJobs = [];
+        this.isRunning = false;
+
+        console.log('🛑 Queue close-out scheduler stopped');
+    }
+
+    /**
+     * Manually trigger the close-out (for testing/admin)
+     */
+    static async triggerNow() {
+        console.log('🔔 Manually triggering queue close-out...');
+        return queueCloseOutService.processCloseOuts();
+    }
+}
+
+module.exports = QueueCloseOutScheduler;
@@ -0,0 +1,187 @@
+const QueueItem = require('../models/queueItem');
+const QueueItemArchive = require('../models/queueItemArchive');
+const QueueDaySummary = require('../models/queueDaySummary');
+const Appointment = require('../models/appointment');
+const Hospital = require('../models/hospital');
+const noShowService = require('./noShowService');
+const dateTime = require('../utils/dateTime');
+
+const ACTIVE_QUEUE_STATUSES = ['Waiting', 'Serving', 'Held'];
+
+// Finished queue items older than this are moved to the archive collection
+const QUEUE_ARCHIVE_AFTER_DAYS = 90;
+
+// Cap per archive batch; the job keeps going until nothing old is left
+const QUEUE_ARCHIVE_BATCH_SIZE = 500;
+
+const average = (values) => values.length > 0
+    ? Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10
+    : null;
+
+/**
+ * Queue statistics of a set of items (all checked in on the same day).
+ * @param {Array<Object>} items
+ * @returns {Object}
+ */
+const summarize = (items) => {
+    const minutesBetween = (from, to) => (to - from) / (60 * 1000);
+    const waits = items.filter(i => i.calledAt).map(i => minutesBetween(i.checkInTime, i.calledAt));
+    const services = items
+        .filter(i => i.serviceStartedAt && i.completedAt)
+        .map(i => minutesBetween(i.serviceStartedAt, i.completedAt));
+
+    return {
+        checkedIn: items.length,
+        served: items.filter(i => i.status === 'Done').length,
+        left: items.filter(i => i.status === 'Left').length,
+        removed: items.filter(i => i.status === 'RemovedByAdmin').length,
+        unserved: items.filter(i => i.status === 'ClosedOut').length,
+        avgWaitMins: average(waits),
+        avgServiceMins: average(services)
+    };
+};
+
+// The appointment a queue item was for; older items are matched by patient, doctor and day
+const findAppointmentFor = async (item, date) => {
+    if (item.appointment) return Appointment.findById(item.appointment);
+    if (!item.user) return null;
+    return Appointment.findOne({ user: item.user, doctor: item.doctor, date, status: 'Upcoming' });
+};
+
+/**
+ * Close out a hospital's queue day:
+ * - Serving → Done, appointment Completed (the consultation was under way)
+ * - Held → ClosedOut, appointment NoShow (called but never came back; no-show refund applies)
+ * - Waiting → ClosedOut, appointment NeedsReview (checked in but never called; staff decide),
+ *   or NoShow when the patient was only queued by a same-day booking and never arrived
+ * Leftovers from earlier days are closed out too, then the day's summary is written.
+ * @param {Object} hospital - Hospital document (timezone)
+ * @param {String} date - YYYY-MM-DD in the hospital's timezone
+ * @returns {Promise<Document>} - The QueueDaySummary
+ */
+const closeOutDay = async (hospital, date) => {
+    const { start, end } = dateTime.dayBoundsIn(date, hospital);
+    const outcomes = { completed: 0, noShow: 0, needsReview: 0 };
+
+    const leftovers = await QueueItem.find({
+        hospital: hospital._id,
+        status: { $in: ACTIVE_QUEUE_STATUSES },
+        checkInTime: { $lte: end }
+    });
+
+    for (const candidate of leftovers) {
+        const previousStatus = candidate.status;
+        const closedOutAt = new Date();
+        const item = await QueueItem.findOneAndUpdate(
+            { _id: candidate._id, status: previousStatus },
+            previousStatus === 'Serving'
+                ? { status: 'Done', closedOutAt }
+                : { status: 'ClosedOut', closedOutAt },
+            { new: true }
+        );
+        // Handled by staff while the job was running
+        if (!item) continue;
+
+        try {
+            const itemDate = dateTime.formatIn(item.checkInTime, 'YYYY-MM-DD', hospital);
+            const appt = await findAppointmentFor(item, itemDate);
+            if (!appt || appt.status !== 'Upcoming') continue;
+
+            if (previousStatus === 'Serving') {
+                appt.status = 'Completed';
+                await appt.save();
+                outcomes.completed++;
+            } else if (previousStatus === 'Held' || !item.arrivedAt) {
+                if (await noShowService.markNoShow(appt._id)) outcomes.noShow++;
+            } else {
+                appt.status = 'NeedsReview';
+                await appt.save();
+                outcomes.needsReview++;
+            }
+        } catch (error) {
+            console.error(`❌ Close-out: failed to update the appointment of queue item ${item._id}:`, error.message);
+        }
+    }
+
+    const dayItems = await QueueItem.find({ hospital: hospital._id, checkInTime: { $gte: start, $lte: end } }).lean();
+    const byDoctor = new Map();
+    dayItems.forEach(item => {
+        const key = item.doctor.toString();
+        if (!byDoctor.has(key)) byDoctor.set(key, []);
+        byDoctor.get(key).push(item);
+    });
+
+    return QueueDaySummary.findOneAndUpdate(
+        { hospital: hospital._id, date },
+        {
+            totals: summarize(dayItems),
+            doctors: [...byDoctor.entries()].map(([doctor, items]) => ({ doctor, ...summarize(items) })),
+            appointmentOutcomes: outcomes,
+            closedOutAt: new Date()
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+};
+
+/**
+ * Close out yesterday's queue for every hospital that has not been closed out yet.
+ * Runs often, so each hospital is handled shortly after its own local midnight.
+ * @returns {Promise<Object>} - { closedOut, failed }
+ */
+const processCloseOuts = async () => {
+    const results = { closedOut: 0, failed: 0 };
+    const hospitals = await Hospital.find({}).select('name timezone');
+
+    for (const hospital of hospitals) {
+        const yesterday = dateTime.addDays(dateTime.todayIn(hospital), -1);
+        try {
+            if (await QueueDaySummary.exists({ hospital: hospital._id, date: yesterday })) continue;
+            await closeOutDay(hospital, yesterday);
+            results.closedOut++;
+        } catch (error) {
+            results.failed++;
+            console.error(`❌ Close-out failed for hospital ${hospital._id} (${yesterday}):`, error.message);
+        }
+    }
+
+    return results;
+};
+
+/**
+ * Move finished queue items older than QUEUE_ARCHIVE_AFTER_DAYS to the archive collection.
+ * Copies before deleting, so an interrupted run only leaves items to be picked up again.
+ * @returns {Promise<Number>} - Items archived
+ */
+const archiveOldItems = async () => {
+    const cutoff = new Date(Date.now() - QUEUE_ARCHIVE_AFTER_DAYS * 24 * 60 * 60 * 1000);
+    let archived = 0;
+
+    for (;;) {
+        const batch = await QueueItem.find({
+            status: { $nin: ACTIVE_QUEUE_STATUSES },
+            checkInTime: { $lt: cutoff }
+        })
+            .limit(QUEUE_ARCHIVE_BATCH_SIZE)
+            .lean();
+        if (batch.length === 0) break;
+
+        const archivedAt = new Date();
+        try {
+            await QueueItemArchive.collection.insertMany(batch.map(item => ({ ...item, archivedAt })), { ordered: false });
+        } catch (error) {
+            // Already copied by an earlier, interrupted run
+            if (error.code !== 11000) throw error;
+        }
+        await QueueItem.deleteMany({ _id: { $in: batch.map(item => item._id) } });
+        archived += batch.length;
+    }
+
+    return archived;
+};
+
+module.exports = {
+    QUEUE_ARCHIVE_AFTER_DAYS,
+    closeOutDay,
+    processCloseOuts,
+    archiveOldItems
+};
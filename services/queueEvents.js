@@ -0,0 +1,154 @@
+// In-process pub/sub for live queue updates. Events only reach clients connected to the
+// same server process, so run a single instance (or add a shared broker) when using streams.
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// Events kept per channel so a reconnecting client can catch up (Last-Event-ID)
+const QUEUE_EVENT_BUFFER_SIZE = 100;
+
+// Channels without listeners or new events for this long are dropped from memory
+const QUEUE_CHANNEL_IDLE_MINS = 12 * 60;
+
+// Keeps proxies from closing idle streams
+const STREAM_HEARTBEAT_MS = 25 * 1000;
+
+// Event ids are "<boot id>-<sequence>", so ids from before a restart are recognised as stale
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let sequence = 0;
+let lastSweepAt = Date.now();
+const channels = new Map(); // name -> { events: [], droppedUpTo: 0, lastPublishedAt }
+
+const doctorChannel = (doctorId) => `doctor:${doctorId}`;
+const patientChannel = (userId) => `patient:${userId}`;
+const displayChannel = (hospitalId) => `display:${hospitalId}`;
+
+const parseEventId = (eventId) => {
+    const [bootId, seq] = String(eventId || '').split('-');
+    const parsed = Number(seq);
+    return bootId && Number.isInteger(parsed) ? { bootId, seq: parsed } : null;
+};
+
+const sweepIdleChannels = () => {
+    const cutoff = Date.now() - QUEUE_CHANNEL_IDLE_MINS * 60 * 1000;
+    for (const [name, channel] of channels) {
+        if (channel.lastPublishedAt < cutoff && emitter.listenerCount(name) === 0) {
+            channels.delete(name);
+        }
+    }
+    lastSweepAt = Date.now();
+};
+
+/**
+ * Publish an event on a channel and remember it for replay.
+ * @param {String} channelName - e.g. doctorChannel(id) / patientChannel(id)
+ * @param {String} type - e.g. 'queue.called'
+ * @param {Object} data
+ * @returns {Object} - The stored event { id, seq, type, data, at }
+ */
+const publish = (channelName, type, data) => {
+    sequence += 1;
+    const event = { id: `${BOOT_ID}-${sequence}`, seq: sequence, type, data, at: new Date().toISOString() };
+
+    let channel = channels.get(channelName);
+    if (!channel) {
+        channel = { events: [], droppedUpTo: 0, lastPublishedAt: 0 };
+        channels.set(channelName, channel);
+    }
+    channel.events.push(event);
+    if (channel.events.length > QUEUE_EVENT_BUFFER_SIZE) {
+        channel.droppedUpTo = channel.events.shift().seq;
+    }
+    channel.lastPublishedAt = Date.now();
+
+    emitter.emit(channelName, event);
+
+    if (Date.now() - lastSweepAt > 5 * 60 * 1000) sweepIdleChannels();
+    return event;
+};
+
+/**
+ * Events published on a channel after a given event id.
+ * @param {String} channelName
+ * @param {String} lastEventId
+ * @returns {Object} - { events, complete }; complete is false when some events can no longer be replayed
+ */
+const getEventsSince = (channelName, lastEventId) => {
+    const parsed = parseEventId(lastEventId);
+    const channel = channels.get(channelName);
+    if (!parsed || parsed.bootId !== BOOT_ID) return { events: [], complete: false };
+    if (!channel) return { events: [], complete: parsed.seq >= sequence };
+    return {
+        events: channel.events.filter(event => event.seq > parsed.seq),
+        complete: parsed.seq >= channel.droppedUpTo
+    };
+};
+
+const writeEvent = (res, event) => {
+    res.write(`id: ${event.id}\ndata: ${JSON.stringify({ type: event.type, at: event.at, ...event.data })}\n\n`);
+};
+
+/**
+ * Turn a response into a Server-Sent Events stream for one or more channels.
+ * Replays missed events after Last-Event-ID (header, or ?lastEventId=); when they are
+ * no longer buffered a 'resync' event tells the client to reload the full state over REST.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Array<String>} channelNames
+ * @returns {Function} - Ends the stream from the server side
+ */
+const openStream = (req, res, channelNames) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+        let replay = [];
+        let complete = true;
+        channelNames.forEach(name => {
+            const result = getEventsSince(name, lastEventId);
+            replay = replay.concat(result.events);
+            complete = complete && result.complete;
+        });
+
+        if (!complete) {
+            writeEvent(res, { id: `${BOOT_ID}-${sequence}`, type: 'resync', at: new Date().toISOString(), data: {} });
+        }
+        replay.sort((a, b) => a.seq - b.seq).forEach(event => writeEvent(res, event));
+    }
+
+    const listener = (event) => writeEvent(res, event);
+    channelNames.forEach(name => emitter.on(name, listener));
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        channelNames.forEach(name => emitter.off(name, listener));
+    };
+    req.on('close', cleanup);
+
+    return () => {
+        cleanup();
+        res.end();
+    };
+};
+
+module.exports = {
+    doctorChannel,
+    patientChannel,
+    displayChannel,
+    publish,
+    getEventsSince,
+    openStream
+};
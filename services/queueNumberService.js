@@ -0,0 +1,140 @@
+const QueueCounter = require('../models/queueCounter');
+const Hospital = require('../models/hospital');
+const User = require('../models/user');
+const dateTime = require('../utils/dateTime');
+
+// Used for hospitals that have not configured their own format: the doctor's initial and 3 digits
+const DEFAULT_QUEUE_NUMBER_FORMAT = {
+    prefix: '{initial}',
+    digits: 3
+};
+
+const PREFIX_TOKENS = ['initial', 'specialty', 'room'];
+
+// Concurrent first numbers of the day can race for the same prefix; retry this often
+const MAX_ALLOCATION_ATTEMPTS = 5;
+
+/**
+ * The queue number format of a hospital, with defaults filled in.
+ * @param {Object} [hospital]
+ * @returns {Object} - { prefix, digits }
+ */
+const resolveFormat = (hospital) => {
+    const configured = (hospital && hospital.queueNumberFormat) || {};
+    return {
+        prefix: typeof configured.prefix === 'string' ? configured.prefix : DEFAULT_QUEUE_NUMBER_FORMAT.prefix,
+        digits: configured.digits || DEFAULT_QUEUE_NUMBER_FORMAT.digits
+    };
+};
+
+/**
+ * Validate a queue number format coming from an admin request.
+ * @param {Object} format
+ * @throws {Error} - Message starting with 'Invalid queue number format'
+ */
+const validateFormat = (format) => {
+    if (!format || typeof format !== 'object') {
+        throw new Error('Invalid queue number format. Expected an object.');
+    }
+    if (format.prefix !== undefined) {
+        if (typeof format.prefix !== 'string' || format.prefix.length > 20) {
+            throw new Error('Invalid queue number format. prefix must be text of at most 20 characters.');
+        }
+        const unknown = (format.prefix.match(/\{[^}]*\}/g) || [])
+            .map(token => token.slice(1, -1))
+            .filter(token => !PREFIX_TOKENS.includes(token));
+        if (unknown.length > 0) {
+            throw new Error(`Invalid queue number format. Unknown placeholder {${unknown[0]}}; use ${PREFIX_TOKENS.map(t => `{${t}}`).join(', ')}.`);
+        }
+    }
+    if (format.digits !== undefined && !(Number.isInteger(format.digits) && format.digits >= 1 && format.digits <= 6)) {
+        throw new Error('Invalid queue number format. digits must be a whole number from 1 to 6.');
+    }
+};
+
+/**
+ * Fill in the prefix template for a doctor.
+ * @param {String} template - e.g. '{specialty}{room}-'
+ * @param {Object} doctor - Needs name, room and populated specialties
+ * @param {String} hospitalId - The specialty is taken from this hospital when the doctor has several
+ * @returns {String}
+ */
+const buildPrefix = (template, doctor, hospitalId) => {
+    const specialties = doctor.specialties || [];
+    const specialty = specialties.find(s => s.hospital && s.hospital.toString() === hospitalId.toString()) || specialties[0];
+    const specialtyCode = specialty
+        ? (specialty.code || (specialty.name && specialty.name.en ? specialty.name.en.slice(0, 3) : ''))
+        : '';
+
+    const values = {
+        initial: doctor.name && doctor.name.en ? doctor.name.en.charAt(0) : '',
+        specialty: specialtyCode,
+        room: doctor.room || ''
+    };
+    return template.replace(/\{(\w+)\}/g, (match, token) => values[token] !== undefined ? values[token] : '').toUpperCase();
+};
+
+// The first variant of a prefix that no other doctor at the hospital uses that day: A, A2, A3...
+const firstFreePrefix = (base, taken) => {
+    if (!taken.includes(base)) return base;
+    for (let n = 2; ; n++) {
+        if (!taken.includes(`${base}${n}`)) return `${base}${n}`;
+    }
+};
+
+/**
+ * Issue the next queue number of a doctor's day at a hospital.
+ * Runs outside any booking transaction, like a database sequence: a booking that
+ * rolls back leaves a gap in the numbers but can never cause a duplicate.
+ * @param {Object} params
+ * @param {String|Object} params.doctor - Doctor id or document
+ * @param {String|Object} params.hospital - Hospital id or document
+ * @param {String} [params.date] - YYYY-MM-DD; today at the hospital when omitted
+ * @returns {Promise<String>} - e.g. 'A007'
+ */
+const nextQueueNumber = async ({ doctor, hospital, date }) => {
+    const doctorId = doctor._id || doctor;
+    const hospitalId = hospital._id || hospital;
+    const hospitalDoc = await Hospital.findById(hospitalId).select('timezone queueNumberFormat');
+    const format = resolveFormat(hospitalDoc);
+    const day = date || dateTime.todayIn(hospitalDoc);
+
+    let counter = null;
+    for (let attempt = 0; attempt < MAX_ALLOCATION_ATTEMPTS && !counter; attempt++) {
+        counter = await QueueCounter.findOneAndUpdate(
+            { doctor: doctorId, hospital: hospitalId, date: day },
+            { $inc: { seq: 1 } },
+            { new: true }
+        );
+        if (counter) break;
+
+        // First number of the day: fix the prefix, avoiding prefixes other doctors already use
+        const doctorDoc = await User.findById(doctorId).select('name room specialties').populate('specialties', 'name code hospital');
+        if (!doctorDoc) throw new Error('Doctor not found.');
+        const taken = await QueueCounter.distinct('prefix', { hospital: hospitalId, date: day });
+        const prefix = firstFreePrefix(buildPrefix(format.prefix, doctorDoc, hospitalId), taken);
+
+        try {
+            counter = await QueueCounter.findOneAndUpdate(
+                { doctor: doctorId, hospital: hospitalId, date: day },
+                { $inc: { seq: 1 }, $setOnInsert: { prefix } },
+                { new: true, upsert: true }
+            );
+        } catch (error) {
+            // Another request created this doctor's counter or took the prefix first
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    if (!counter) {
+        throw new Error('Could not issue a queue number. Please try again.');
+    }
+    return `${counter.prefix}${counter.seq.toString().padStart(format.digits, '0')}`;
+};
+
+module.exports = {
+    DEFAULT_QUEUE_NUMBER_FORMAT,
+    resolveFormat,
+    validateFormat,
+    nextQueueNumber
+};
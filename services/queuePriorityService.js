@@ -0,0 +1,150 @@
+const QueueItem = require('../models/queueItem');
+const dateTime = require('../utils/dateTime');
+
+const QUEUE_PRIORITIES = ['emergency', 'pregnant', 'elderly', 'follow_up', 'normal'];
+
+// Used for hospitals that have not configured their own queue policy
+const DEFAULT_QUEUE_POLICY = {
+    // Lanes from most to least urgent
+    priorityOrder: ['emergency', 'pregnant', 'elderly', 'follow_up', 'normal'],
+    // After this many priority patients in a row, the longest-waiting normal patient is called
+    maxConsecutivePriorityCalls: 3,
+    // Anyone waiting longer than this is called next regardless of lane
+    maxWaitMins: 60
+};
+
+/**
+ * The queue policy of a hospital, with defaults filled in.
+ * @param {Object} [hospital] - Hospital document or lean object
+ * @returns {Object} - { priorityOrder, maxConsecutivePriorityCalls, maxWaitMins }
+ */
+const resolveQueuePolicy = (hospital) => {
+    const configured = (hospital && hospital.queuePolicy) || {};
+    const priorityOrder = Array.isArray(configured.priorityOrder) && configured.priorityOrder.length > 0
+        ? configured.priorityOrder
+        : DEFAULT_QUEUE_POLICY.priorityOrder;
+    return {
+        priorityOrder,
+        maxConsecutivePriorityCalls: typeof configured.maxConsecutivePriorityCalls === 'number'
+            ? configured.maxConsecutivePriorityCalls
+            : DEFAULT_QUEUE_POLICY.maxConsecutivePriorityCalls,
+        maxWaitMins: typeof configured.maxWaitMins === 'number'
+            ? configured.maxWaitMins
+            : DEFAULT_QUEUE_POLICY.maxWaitMins
+    };
+};
+
+/**
+ * Validate a queue policy coming from an admin request.
+ * @param {Object} policy
+ * @throws {Error} - Message starting with 'Invalid queue policy'
+ */
+const validateQueuePolicy = (policy) => {
+    if (!policy || typeof policy !== 'object') {
+        throw new Error('Invalid queue policy. Expected an object.');
+    }
+    if (policy.priorityOrder !== undefined) {
+        const order = policy.priorityOrder;
+        if (!Array.isArray(order) || order.length === 0 || order.some(p => !QUEUE_PRIORITIES.includes(p)) || new Set(order).size !== order.length) {
+            throw new Error(`Invalid queue policy. priorityOrder must list distinct lanes from: ${QUEUE_PRIORITIES.join(', ')}.`);
+        }
+    }
+    if (policy.maxConsecutivePriorityCalls !== undefined && !(Number.isInteger(policy.maxConsecutivePriorityCalls) && policy.maxConsecutivePriorityCalls >= 1)) {
+        throw new Error('Invalid queue policy. maxConsecutivePriorityCalls must be a whole number of at least 1.');
+    }
+    if (policy.maxWaitMins !== undefined && !(typeof policy.maxWaitMins === 'number' && policy.maxWaitMins > 0)) {
+        throw new Error('Invalid queue policy. maxWaitMins must be greater than 0.');
+    }
+};
+
+const laneRank = (priority, policy) => {
+    const rank = policy.priorityOrder.indexOf(priority || 'normal');
+    return rank === -1 ? policy.priorityOrder.length : rank;
+};
+
+const byCheckIn = (a, b) => a.checkInTime - b.checkInTime;
+
+/**
+ * Choose who is called next.
+ * 1. Emergencies always go first.
+ * 2. Anyone who has waited longer than maxWaitMins (oldest first).
+ * 3. After maxConsecutivePriorityCalls priority calls in a row, the longest-waiting normal patient.
+ * 4. Otherwise the most urgent lane, first come first served within the lane.
+ * @param {Array<Object>} waiting - Waiting queue items
+ * @param {Object} policy - Result of resolveQueuePolicy
+ * @param {Number} priorityStreak - Priority patients called in a row just before this call
+ * @param {Date} [now=new Date()]
+ * @returns {Object|null} - The queue item to call
+ */
+const pickNext = (waiting, policy, priorityStreak, now = new Date()) => {
+    if (waiting.length === 0) return null;
+    const fifo = [...waiting].sort(byCheckIn);
+
+    const emergency = fifo.find(item => item.priority === 'emergency');
+    if (emergency) return emergency;
+
+    const starved = fifo.find(item => (now - item.checkInTime) / (60 * 1000) >= policy.maxWaitMins);
+    if (starved) return starved;
+
+    if (priorityStreak >= policy.maxConsecutivePriorityCalls) {
+        const normal = fifo.find(item => !item.priority || item.priority === 'normal');
+        if (normal) return normal;
+    }
+
+    return fifo.reduce((best, item) => (laneRank(item.priority, policy) < laneRank(best.priority, policy) ? item : best));
+};
+
+/**
+ * The projected call order of a waiting list, applying pickNext repeatedly.
+ * @param {Array<Object>} waiting
+ * @param {Object} policy
+ * @param {Number} priorityStreak
+ * @returns {Array<Object>}
+ */
+const orderWaiting = (waiting, policy, priorityStreak) => {
+    const remaining = [...waiting];
+    const ordered = [];
+    const now = new Date();
+    let streak = priorityStreak;
+
+    while (remaining.length > 0) {
+        const next = pickNext(remaining, policy, streak, now);
+        ordered.push(next);
+        remaining.splice(remaining.indexOf(next), 1);
+        streak = !next.priority || next.priority === 'normal' ? 0 : streak + 1;
+    }
+    return ordered;
+};
+
+/**
+ * How many priority patients the doctor has called in a row today (most recent calls first).
+ * @param {String} doctorId
+ * @param {Object} policy
+ * @param {Object} [hospital] - For the local day boundary
+ * @returns {Promise<Number>}
+ */
+const getPriorityStreak = async (doctorId, policy, hospital) => {
+    const { start } = dateTime.dayBoundsIn(dateTime.todayIn(hospital), hospital);
+    const recent = await QueueItem.find({ doctor: doctorId, calledAt: { $gte: start } })
+        .sort({ calledAt: -1 })
+        .limit(policy.maxConsecutivePriorityCalls)
+        .select('priority')
+        .lean();
+
+    let streak = 0;
+    for (const item of recent) {
+        if (!item.priority || item.priority === 'normal') break;
+        streak++;
+    }
+    return streak;
+};
+
+module.exports = {
+    QUEUE_PRIORITIES,
+    DEFAULT_QUEUE_POLICY,
+    resolveQueuePolicy,
+    validateQueuePolicy,
+    pickNext,
+    orderWaiting,
+    getPriorityStreak
+};
@@ -1,18 +1,139 @@
+const mongoose = require('mongoose');
 const QueueItem = require('../models/queueItem');
+const QueueItemArchive = require('../models/queueItemArchive');
+const QueueDaySummary = require('../models/queueDaySummary');
 const User = require('../models/user');
 const Appointment = require('../models/appointment');
 const Notification = require('../models/notification');
-const moment = require('moment');
+const Hospital = require('../models/hospital');
+const dateTime = require('../utils/dateTime');
+const { createNotification } = require('../utils/notificationHelper');
+const queueEvents = require('./queueEvents');
+const waitTimeService = require('./waitTimeService');
+const queuePriorityService = require('./queuePriorityService');
+const displayBoardService = require('./displayBoardService');
+const queueNumberService = require('./queueNumberService');
+const queueAlertService = require('./queueAlertService');
+const doctorSessionService = require('./doctorSessionService');
+const bookingService = require('./bookingService');
+
+const ACTIVE_QUEUE_STATUSES = ['Waiting', 'Serving', 'Held'];
+
+/**
+ * A doctor's waiting patients in the order they will be called
+ * (priority lanes and fairness rules of the hospital's queue policy).
+ * @param {String} doctorId
+ * @returns {Promise<Array<Document>>}
+ */
+const getWaitingInCallOrder = async (doctorId) => {
+    const waiting = await QueueItem.find({ doctor: doctorId, status: 'Waiting' })
+        .sort({ checkInTime: 1 })
+        .populate('user', 'name');
+    if (waiting.length < 2) return waiting;
+
+    const hospital = await Hospital.findById(waiting[0].hospital).select('timezone queuePolicy');
+    const policy = queuePriorityService.resolveQueuePolicy(hospital);
+    const streak = await queuePriorityService.getPriorityStreak(doctorId, policy, hospital);
+    return queuePriorityService.orderWaiting(waiting, policy, streak);
+};
+
+const summarizeQueueItem = (item) => item ? {
+    queueItemId: item._id,
+    queueNumber: item.queueNumber,
+    status: item.status,
+    priority: item.priority || 'normal',
+    userId: item.user ? (item.user._id || item.user) : null,
+    walkInName: item.walkInName || null
+} : null;
+
+/**
+ * Push a queue transition to the doctor's channel and to every patient it affects
+ * (everyone still in that queue gets their new position).
+ * Fire-and-forget: the state change has already been saved.
+ * @param {String} doctorId
+ * @param {String} action - e.g. 'called', 'held', 'requeued', 'checked_in'
+ * @param {Document} [item] - The queue item that changed
+ */
+const notifyQueueChange = (doctorId, action, item) => {
+    (async () => {
+        const others = await QueueItem.find({ doctor: doctorId, status: { $in: ['Serving', 'Held'] } })
+            .sort({ checkInTime: 1 })
+            .select('user walkInName hospital appointmentType queueNumber status priority checkInTime calledAt serviceStartedAt');
+        const waiting = await getWaitingInCallOrder(doctorId);
+        const active = [...others, ...waiting];
+        const serving = others.find(i => i.status === 'Serving');
+        const nowServingNumber = serving ? serving.queueNumber : '000';
+        const estimates = await waitTimeService.estimateWaits(doctorId, waiting, serving);
+
+        const doctor = await User.findById(doctorId).select('name room queueSession');
+        const session = doctorSessionService.effectiveSession(doctor);
+
+        queueEvents.publish(queueEvents.doctorChannel(doctorId), `queue.${action}`, {
+            doctorId,
+            session,
+            queueItem: summarizeQueueItem(item),
+            nowServing: summarizeQueueItem(serving),
+            waitingCount: waiting.length,
+            heldCount: active.filter(i => i.status === 'Held').length
+        });
+
+        // Waiting-room screens of the hospital this queue item belongs to
+        const hospitalId = item ? item.hospital : (active[0] && active[0].hospital);
+        if (hospitalId) {
+            const inHospital = (i) => i.hospital && i.hospital.toString() === hospitalId.toString();
+            if (doctor) {
+                queueEvents.publish(queueEvents.displayChannel(hospitalId), 'display.updated', {
+                    doctor: displayBoardService.toBoardEntry(
+                        doctor,
+                        serving && inHospital(serving) ? serving : null,
+                        waiting.filter(inHospital)
+                    )
+                });
+            }
+        }
+
+        const notified = new Set();
+        active.filter(i => i.user).forEach(i => {
+            const position = i.status === 'Waiting' ? waiting.indexOf(i) + 1 : (i.status === 'Held' ? -1 : 0);
+            const estimate = position > 0 ? estimates[position - 1] : null;
+            const userId = (i.user._id || i.user).toString();
+            notified.add(userId);
+            queueEvents.publish(queueEvents.patientChannel(userId), `queue.${action}`, {
+                doctorId,
+                queueItemId: i._id,
+                queueNumber: i.queueNumber,
+                status: i.status,
+                position,
+                estimatedWaitTime: estimate ? estimate.estimatedWaitTime : 0,
+                estimatedWaitRange: estimate ? estimate.range : null,
+                estimateConfidence: estimate ? estimate.confidence : null,
+                nowServingNumber,
+                session
+            });
+        });
 
-const AVERAGE_CONSULTATION_MINS = 15;
+        // "Next in line" / "almost up" push/SMS alerts, once per queue item
+        if (doctor && waiting.length > 0) {
+            const hospital = await Hospital.findById(waiting[0].hospital).select('queueAlerts');
+            await queueAlertService.sendQueueAlerts(waiting, estimates, doctor, hospital);
+        }
 
-const normalizeDateString = (value) => {
-    if (value == null) return null;
-    const str = typeof value === 'string' ? value : value.toString();
-    if (/^\d{4}-\d{2}-\d{2}$/.test(str)) return str;
-    if (str.length >= 10 && /^\d{4}-\d{2}-\d{2}/.test(str)) return str.substring(0, 10);
-    const m = moment(str);
-    return m.isValid() ? m.format('YYYY-MM-DD') : null;
+        // The patient whose item just left the queue (Done, Left, RemovedByAdmin)
+        const itemUserId = item && item.user ? (item.user._id || item.user).toString() : null;
+        if (itemUserId && !notified.has(itemUserId)) {
+            queueEvents.publish(queueEvents.patientChannel(itemUserId), `queue.${action}`, {
+                doctorId,
+                queueItemId: item._id,
+                queueNumber: item.queueNumber,
+                status: item.status,
+                position: null,
+                estimatedWaitTime: 0,
+                estimatedWaitRange: null,
+                estimateConfidence: null,
+                nowServingNumber
+            });
+        }
+    })().catch(error => console.error('[QUEUE] Failed to publish queue change:', error.message));
 };
 
 const getPatientQueueStatus = async (userId, userHospitals) => {
@@ -25,82 +146,42 @@ const getPatientQueueStatus = async (userId, userHospitals) => {
 
     // Fetch doctors with more details needed by the UI
     let doctors = await User.find(doctorQuery)
-        .select('name specialty hospitals image')
+        .select('name specialty hospitals image queueSession')
         .limit(10);
     
     // Fallback: If no doctors found in primary hospital, show any doctors
     if (doctors.length === 0 && primaryHospitalId) {
         doctors = await User.find({ role: 'doctor' })
-            .select('name specialty hospitals image')
+            .select('name specialty hospitals image queueSession')
             .limit(10);
     }
+
+    // Whether each doctor is open, paused or closed to new patients today
+    doctors = doctors.map(doctor => {
+        const { queueSession, ...rest } = doctor.toObject();
+        return { ...rest, session: doctorSessionService.effectiveSession(doctor) };
+    });
     
-    // Fetch user's upcoming appointments (used for both display + auto-join)
+    // Fetch user's upcoming appointments (shown on the Queue page)
     const allUpcomingAppointments = await Appointment.find({
         user: userId,
         status: 'Upcoming'
     })
         .populate('doctor', 'name specialty image hospitals')
         .populate('hospital', 'name')
-        .sort({ date: 1, time: 1 });
-
-    // Check for Waiting, Serving, OR Held status
-    let userQueueEntry = await QueueItem.findOne({ user: userId, status: { $in: ['Waiting', 'Serving', 'Held'] } });
-
-    // AUTO-JOIN LOGIC: If user has an appointment "today" but isn't in queue, add them automatically
-    if (!userQueueEntry) {
-        const base = moment();
-        const datesToCheck = [
-            base.format('YYYY-MM-DD'),
-            base.clone().add(1, 'days').format('YYYY-MM-DD'),
-            base.clone().subtract(1, 'days').format('YYYY-MM-DD')
-        ];
-
-        const todaysAppointment = allUpcomingAppointments.find(a => {
-            const normalized = normalizeDateString(a.date);
-            return normalized != null && datesToCheck.includes(normalized);
-        });
+        .sort({ startAt: 1 });
 
-        if (todaysAppointment) {
-            let queueNumber = todaysAppointment.queueNumber;
-            if (!queueNumber) {
-                const doctor = await User.findById(todaysAppointment.doctor);
-                const count = await QueueItem.countDocuments({
-                    doctor: todaysAppointment.doctor,
-                    hospital: todaysAppointment.hospital
-                });
-                queueNumber = `${doctor.name.en.charAt(0).toUpperCase()}${(count + 1).toString().padStart(3, '0')}`;
-                todaysAppointment.queueNumber = queueNumber;
-                await todaysAppointment.save();
-            }
+    // Check for Waiting, Serving, OR Held status. Patients join through check-in
+    // (staff desk or kiosk QR scan), not by opening this page.
+    const userQueueEntry = await QueueItem.findOne({ user: userId, status: { $in: ['Waiting', 'Serving', 'Held'] } });
 
-            try {
-                const exists = await QueueItem.findOne({
-                    user: userId,
-                    status: { $in: ['Waiting', 'Serving', 'Held'] }
-                });
-                if (!exists) {
-                    userQueueEntry = await QueueItem.create({
-                        user: userId,
-                        doctor: todaysAppointment.doctor,
-                        hospital: todaysAppointment.hospital,
-                        queueNumber: queueNumber,
-                        status: 'Waiting'
-                    });
-                } else {
-                    userQueueEntry = exists;
-                }
-            } catch (e) {
-                console.error('[QUEUE] Auto-join failed:', e);
-            }
-        }
-    }
-    
     let userStatus = {
         inQueue: false,
         doctorId: null,
         position: null,
         estimatedWaitTime: 0,
+        estimatedWaitRange: null,
+        estimateConfidence: null,
         status: null
     };
     
@@ -108,33 +189,36 @@ const getPatientQueueStatus = async (userId, userHospitals) => {
     let waiting = [];
 
     if (userQueueEntry) {
-        const waitingForDoctor = await QueueItem.find({
-            doctor: userQueueEntry.doctor,
-            status: 'Waiting'
-        }).sort({ checkInTime: 1 }).populate('user', 'name');
+        const waitingForDoctor = await getWaitingInCallOrder(userQueueEntry.doctor);
+
+        const nowServingItem = await QueueItem.findOne({ doctor: userQueueEntry.doctor, status: 'Serving' }).populate('user', 'name');
 
         let position = 0;
-        let estimatedWaitTime = 0;
+        let estimate = null;
 
         if (userQueueEntry.status === 'Waiting') {
             position = waitingForDoctor.findIndex(item => item.user?._id.toString() === userId.toString()) + 1;
-            estimatedWaitTime = (position - 1) * AVERAGE_CONSULTATION_MINS;
+            if (position > 0) {
+                // Based on the doctor's recent service times and the appointment types ahead
+                const estimates = await waitTimeService.estimateWaits(userQueueEntry.doctor, waitingForDoctor.slice(0, position), nowServingItem);
+                estimate = estimates[position - 1];
+            }
         } else if (userQueueEntry.status === 'Held') {
             position = -1; // Special indicator for Held
-            estimatedWaitTime = 0;
         }
         
-        const nowServingItem = await QueueItem.findOne({ doctor: userQueueEntry.doctor, status: 'Serving' }).populate('user', 'name');
-        
         // Fetch current doctor info specifically to ensure it's available even if not in the general list
-        const currentDoctor = await User.findById(userQueueEntry.doctor).select('name specialty image hospitals');
+        const currentDoctor = await User.findById(userQueueEntry.doctor).select('name specialty image hospitals queueSession');
 
         userStatus = {
             inQueue: true,
             doctorId: userQueueEntry.doctor,
             doctor: currentDoctor, // Include full doctor info here
+            doctorSession: doctorSessionService.effectiveSession(currentDoctor),
             position: position,
-            estimatedWaitTime: estimatedWaitTime,
+            estimatedWaitTime: estimate ? estimate.estimatedWaitTime : 0,
+            estimatedWaitRange: estimate ? estimate.range : null,
+            estimateConfidence: estimate ? estimate.confidence : null,
             status: userQueueEntry.status,
             queueNumber: userQueueEntry.queueNumber,
             nowServingNumber: nowServingItem ? nowServingItem.queueNumber : '000'
@@ -145,15 +229,11 @@ const getPatientQueueStatus = async (userId, userHospitals) => {
     }
 
     // Appointments to show on Queue page
-    const base = moment();
-    const datesToCheck = [
-        base.format('YYYY-MM-DD'),
-        base.clone().add(1, 'days').format('YYYY-MM-DD'),
-        base.clone().subtract(1, 'days').format('YYYY-MM-DD')
-    ];
+    const today = dateTime.todayIn();
+    const datesToCheck = [today, dateTime.addDays(today, 1), dateTime.addDays(today, -1)];
 
     const todaysAppointments = allUpcomingAppointments.filter(a => {
-        const normalized = normalizeDateString(a.date);
+        const normalized = dateTime.normalizeDate(a.date);
         return normalized != null && datesToCheck.includes(normalized);
     });
 
@@ -172,10 +252,27 @@ const getPatientQueueStatus = async (userId, userHospitals) => {
 };
 
 const getQueueHistory = async (userId) => {
-    return await QueueItem.find({ user: userId })
-        .populate('doctor', 'name')
-        .populate('hospital', 'name')
-        .sort({ createdAt: -1 });
+    const [recent, archived] = await Promise.all([QueueItem, QueueItemArchive].map(Model =>
+        Model.find({ user: userId })
+            .populate('doctor', 'name')
+            .populate('hospital', 'name')
+            .sort({ createdAt: -1 })
+    ));
+    // Archived items are always older than the ones still in the live collection
+    return [...recent, ...archived];
+};
+
+/**
+ * Daily queue summaries written by the end-of-day close-out.
+ * @param {String} hospitalId
+ * @param {String} from - YYYY-MM-DD
+ * @param {String} to - YYYY-MM-DD
+ * @returns {Promise<Array<Document>>}
+ */
+const getDaySummaries = async (hospitalId, from, to) => {
+    return await QueueDaySummary.find({ hospital: hospitalId, date: { $gte: from, $lte: to } })
+        .populate('doctors.doctor', 'name')
+        .sort({ date: -1 });
 };
 
 const getAdminQueueInitData = async (user) => {
@@ -202,7 +299,7 @@ const getAdminQueueInitData = async (user) => {
 
     if (initialDoctorId) {
         const nowServing = await QueueItem.findOne({ doctor: initialDoctorId, status: 'Serving' }).populate('user', 'name');
-        const waiting = await QueueItem.find({ doctor: initialDoctorId, status: 'Waiting' }).sort({ checkInTime: 1 }).populate('user', 'name');
+        const waiting = await getWaitingInCallOrder(initialDoctorId);
         const held = await QueueItem.find({ doctor: initialDoctorId, status: 'Held' }).sort({ updatedAt: -1 }).populate('user', 'name');
         
         return { 
@@ -234,19 +331,21 @@ const getDoctorQueue = async (doctorId, user) => {
     const doctors = await User.find({ role: 'doctor', ...hospitalQuery }).select('name');
 
     const nowServing = await QueueItem.findOne({ doctor: doctorId, status: 'Serving' }).populate('user', 'name');
-    const waiting = await QueueItem.find({ doctor: doctorId, status: 'Waiting' }).sort({ checkInTime: 1 }).populate('user', 'name');
+    const waiting = await getWaitingInCallOrder(doctorId);
     const held = await QueueItem.find({ doctor: doctorId, status: 'Held' }).sort({ updatedAt: -1 }).populate('user', 'name');
+    const session = doctorSessionService.effectiveSession(await User.findById(doctorId).select('queueSession'));
     
     // Fetch appointments for today
-    const today = new Date().toISOString().split('T')[0];
+    const today = dateTime.todayIn();
     const appointments = await Appointment.find({
         doctor: doctorId,
         date: today,
         status: 'Upcoming'
-    }).populate('user', 'name').populate('hospital', 'name').populate('appointmentType', 'name').sort({ time: 1 });
+    }).populate('user', 'name').populate('hospital', 'name').populate('appointmentType', 'name').sort({ startAt: 1 });
 
     return { 
         doctors, 
+        session,
         nowServing, 
         waiting, 
         held,
@@ -254,6 +353,33 @@ const getDoctorQueue = async (doctorId, user) => {
     };
 };
 
+/**
+ * Now serving / up next for every doctor with an active queue in a hospital,
+ * for the waiting-room display. Contains queue numbers only.
+ * @param {String} hospitalId
+ * @returns {Promise<Object>} - { hospital, doctors, updatedAt }
+ */
+const getDisplayBoard = async (hospitalId) => {
+    const hospital = await Hospital.findById(hospitalId).select('name');
+    if (!hospital) throw new Error('Hospital not found');
+
+    const doctorIds = await QueueItem.distinct('doctor', { hospital: hospitalId, status: { $in: ['Waiting', 'Serving'] } });
+    const doctors = await User.find({ _id: { $in: doctorIds } }).select('name room queueSession').sort({ room: 1 });
+
+    const entries = await Promise.all(doctors.map(async (doctor) => {
+        const serving = await QueueItem.findOne({ doctor: doctor._id, hospital: hospitalId, status: 'Serving' }).select('queueNumber');
+        const waiting = (await getWaitingInCallOrder(doctor._id))
+            .filter(item => item.hospital.toString() === hospitalId.toString());
+        return displayBoardService.toBoardEntry(doctor, serving, waiting);
+    }));
+
+    return {
+        hospital: { _id: hospital._id, name: hospital.name },
+        doctors: entries,
+        updatedAt: new Date()
+    };
+};
+
 const joinQueue = async (userId, doctorId, hospitalId) => {
     const alreadyInQueue = await QueueItem.findOne({ user: userId, status: { $in: ['Waiting', 'Serving', 'Held'] }});
     if (alreadyInQueue) {
@@ -264,9 +390,10 @@ const joinQueue = async (userId, doctorId, hospitalId) => {
     if (!doctor || doctor.role !== 'doctor' || !doctor.hospitals.map(h => h.toString()).includes(hospitalId)) {
         throw new Error('Doctor not found or not associated with this hospital.');
     }
+    doctorSessionService.assertAcceptingPatients(doctor);
     
     // Try to find an existing appointment for today to reuse its queue number
-    const todayStr = moment().format('YYYY-MM-DD');
+    const todayStr = dateTime.todayIn();
     const todaysAppointment = await Appointment.findOne({
         user: userId,
         doctor: doctorId, 
@@ -279,8 +406,7 @@ const joinQueue = async (userId, doctorId, hospitalId) => {
     if (todaysAppointment && todaysAppointment.queueNumber) {
         queueNumber = todaysAppointment.queueNumber;
     } else {
-        const count = await QueueItem.countDocuments({ doctor: doctorId, hospital: hospitalId });
-        queueNumber = `${doctor.name.en.charAt(0).toUpperCase()}${(count + 1).toString().padStart(3, '0')}`;
+        queueNumber = await queueNumberService.nextQueueNumber({ doctor: doctorId, hospital: hospitalId });
         
         // If we found an appointment but it had no queue number (legacy), save it
         if (todaysAppointment) {
@@ -289,35 +415,48 @@ const joinQueue = async (userId, doctorId, hospitalId) => {
         }
     }
 
-    await QueueItem.create({
+    const item = await QueueItem.create({
         user: userId,
         doctor: doctorId,
         hospital: hospitalId,
         queueNumber,
-        appointment: todaysAppointment?._id // Link if exists
+        appointment: todaysAppointment?._id, // Link if exists
+        appointmentType: todaysAppointment?.appointmentType,
+        arrivedAt: new Date()
     });
+    notifyQueueChange(doctorId, 'joined', item);
 
     return { success: true };
 };
 
 const leaveQueue = async (userId) => {
-    await QueueItem.findOneAndUpdate(
+    const item = await QueueItem.findOneAndUpdate(
         { user: userId, status: { $in: ['Waiting', 'Held'] } },
-        { status: 'Left' }
+        { status: 'Left' },
+        { new: true }
     );
+    if (item) notifyQueueChange(item.doctor, 'left', item);
     return { success: true };
 };
 
 const callNextPatient = async (doctorId) => {
+    const doctor = await User.findById(doctorId).select('name queueSession');
+    if (!doctor) throw new Error('Doctor not found.');
+    doctorSessionService.assertNotPaused(doctor);
+
     // 1. Finish the current patient (if any)
     const currentServing = await QueueItem.findOne({ doctor: doctorId, status: 'Serving' });
     
     if (currentServing) {
         currentServing.status = 'Done';
+        currentServing.completedAt = new Date();
+        // Without an explicit start, the consultation is taken to start when the patient was called
+        if (!currentServing.serviceStartedAt) currentServing.serviceStartedAt = currentServing.calledAt;
         await currentServing.save();
+        notifyQueueChange(doctorId, 'completed', currentServing);
 
         if (currentServing.user) {
-            const today = new Date().toISOString().split('T')[0];
+            const today = dateTime.todayIn();
             await Appointment.findOneAndUpdate(
                 {
                     user: currentServing.user,
@@ -330,41 +469,40 @@ const callNextPatient = async (doctorId) => {
         }
     }
 
-    // 2. Call the next patient
-    const nextPatient = await QueueItem.findOneAndUpdate(
-        { doctor: doctorId, status: 'Waiting' },
-        { status: 'Serving' },
-        { new: true, sort: { checkInTime: 1 } }
-    ).populate('user', 'name').populate('walkInName');
-
-    // 3. Notify the person *after* the new nextPatient (i.e. the one who is now first in line waiting)
-    // "Get Ready" Notification for Virtual Queue
-    const { createNotification } = require('../utils/notificationHelper');
-    const upNext = await QueueItem.findOne({ doctor: doctorId, status: 'Waiting' }).sort({ checkInTime: 1 });
-    if (upNext && upNext.user) {
-        await createNotification(
-            upNext.user,
-            'system',
-            {
-                en: `Heads up! You are next in line for Dr. ${nextPatient?.doctor?.name?.en || 'the doctor'}. Please be ready.`,
-                ar: `تنبيه! أنت التالي في الدور لـ د. ${nextPatient?.doctor?.name?.ar || 'الطبيب'}. يرجى الاستعداد.`
-            },
-            {
-                title: {
-                    en: 'Next in Line',
-                    ar: 'دورك القادم'
-                },
-                language: 'ar',
-                data: {
-                    link: `#/queue`
-                }
-            }
-        );
+    // 2. Call the next patient (by priority lane); retry if someone else called them first
+    let nextPatient = null;
+    for (let attempt = 0; attempt < 3 && !nextPatient; attempt++) {
+        const [candidate] = await getWaitingInCallOrder(doctorId);
+        if (!candidate) break;
+        nextPatient = await QueueItem.findOneAndUpdate(
+            { _id: candidate._id, status: 'Waiting' },
+            { status: 'Serving', calledAt: new Date(), $unset: { serviceStartedAt: 1 } },
+            { new: true }
+        ).populate('user', 'name');
     }
+    // Also sends the "Next in Line" alert to whoever is now first in line
+    if (nextPatient) notifyQueueChange(doctorId, 'called', nextPatient);
 
     return nextPatient;
 };
 
+const startService = async (queueItemId) => {
+    const item = await QueueItem.findById(queueItemId);
+    if (!item) throw new Error('Queue item not found');
+
+    if (item.status !== 'Serving') {
+        throw new Error('Only the patient being served can be started.');
+    }
+    if (item.serviceStartedAt) {
+        throw new Error('This consultation has already started.');
+    }
+
+    item.serviceStartedAt = new Date();
+    await item.save();
+    notifyQueueChange(item.doctor, 'service_started', item);
+    return item;
+};
+
 const holdPatient = async (queueItemId) => {
     const item = await QueueItem.findById(queueItemId);
     if (!item) throw new Error('Queue item not found');
@@ -376,6 +514,7 @@ const holdPatient = async (queueItemId) => {
 
     item.status = 'Held';
     await item.save();
+    notifyQueueChange(item.doctor, 'held', item);
     return item;
 };
 
@@ -390,15 +529,23 @@ const requeuePatient = async (queueItemId) => {
     item.status = 'Waiting';
     // We keep original checkInTime to maintain some priority (or fairness)
     await item.save();
+    notifyQueueChange(item.doctor, 'requeued', item);
     return item;
 };
 
-const addWalkInPatient = async (name, doctorId) => {
+const assertPriority = (priority) => {
+    if (priority !== undefined && !queuePriorityService.QUEUE_PRIORITIES.includes(priority)) {
+        throw new Error(`Invalid priority. Expected one of: ${queuePriorityService.QUEUE_PRIORITIES.join(', ')}.`);
+    }
+};
+
+const addWalkInPatient = async (name, doctorId, priority) => {
+    assertPriority(priority);
     const doctor = await User.findById(doctorId);
     if (!doctor) throw new Error('Doctor not found.');
+    doctorSessionService.assertAcceptingPatients(doctor);
 
-    const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-    const todayDayOfWeek = weekdays[new Date().getDay()];
+    const todayDayOfWeek = dateTime.dayOfWeek(dateTime.todayIn());
 
     const todaysAvailability = doctor.availability.find(d => d.dayOfWeek === todayDayOfWeek && d.isAvailable);
     
@@ -413,29 +560,35 @@ const addWalkInPatient = async (name, doctorId) => {
         throw new Error("Could not determine the doctor's hospital for today. Please ensure they are assigned to a hospital and their schedule is set.");
     }
     
-    const count = await QueueItem.countDocuments({ doctor: doctorId, hospital: hospitalForQueue });
-    const queueNumber = `W${(count + 1).toString().padStart(3, '0')}`;
+    const queueNumber = await queueNumberService.nextQueueNumber({ doctor: doctorId, hospital: hospitalForQueue });
     
-    await QueueItem.create({
+    const item = await QueueItem.create({
         walkInName: name,
         doctor: doctorId,
         hospital: hospitalForQueue,
         queueNumber,
+        priority,
+        arrivedAt: new Date()
     });
+    notifyQueueChange(doctorId, 'walk_in_added', item);
 
     return { success: true };
 };
 
-const addWalkInBySpecialty = async (name, specialtyId, staffUser) => {
+const addWalkInBySpecialty = async (name, specialtyId, staffUser, priority) => {
+    assertPriority(priority);
     const hospitalId = staffUser.hospitals && staffUser.hospitals.length > 0 ? staffUser.hospitals[0] : null;
     if (!hospitalId) {
         throw new Error("Staff member is not associated with a hospital.");
     }
 
-    const doctors = await User.find({ role: 'doctor', hospitals: hospitalId, specialties: specialtyId });
+    const allDoctors = await User.find({ role: 'doctor', hospitals: hospitalId, specialties: specialtyId });
+    const doctors = allDoctors.filter(doctor => doctorSessionService.effectiveSession(doctor).state !== 'closed');
 
     if (!doctors || doctors.length === 0) {
-        throw new Error("No doctors available for this specialty in this hospital.");
+        throw new Error(allDoctors.length > 0
+            ? "No doctors of this specialty are accepting new patients today."
+            : "No doctors available for this specialty in this hospital.");
     }
 
     const queueCounts = await Promise.all(
@@ -449,22 +602,29 @@ const addWalkInBySpecialty = async (name, specialtyId, staffUser) => {
          throw new Error("Could not retrieve queue information for doctors.");
     }
 
-    const bestDoctor = queueCounts.reduce((min, current) => (current.count < min.count ? current : min)).doctor;
+    // Doctors on a break are only used when every open doctor is unavailable
+    const isPaused = (entry) => doctorSessionService.effectiveSession(entry.doctor).state === 'paused';
+    const openCounts = queueCounts.filter(entry => !isPaused(entry));
+    const candidates = openCounts.length > 0 ? openCounts : queueCounts;
+    const bestDoctor = candidates.reduce((min, current) => (current.count < min.count ? current : min)).doctor;
 
-    const count = await QueueItem.countDocuments({ doctor: bestDoctor._id, hospital: hospitalId });
-    const queueNumber = `W${(count + 1).toString().padStart(3, '0')}`;
+    const queueNumber = await queueNumberService.nextQueueNumber({ doctor: bestDoctor._id, hospital: hospitalId });
     
-    await QueueItem.create({
+    const item = await QueueItem.create({
         walkInName: name,
         doctor: bestDoctor._id,
         hospital: hospitalId,
         queueNumber,
+        priority,
+        arrivedAt: new Date()
     });
+    notifyQueueChange(bestDoctor._id, 'walk_in_added', item);
 
     return { success: true };
 };
 
-const checkInAppointment = async (appointmentId) => {
+const checkInAppointment = async (appointmentId, priority) => {
+    assertPriority(priority);
     const appointment = await Appointment.findById(appointmentId).populate('doctor');
     if (!appointment) throw new Error('Appointment not found');
 
@@ -475,49 +635,264 @@ const checkInAppointment = async (appointmentId) => {
     });
 
     if (existingItem) {
-        throw new Error('Patient is already in the queue.');
+        // A same-day booking already queued the patient; checking in marks them as arrived
+        const queuedByBooking = !existingItem.arrivedAt && existingItem.appointment
+            && existingItem.appointment.toString() === appointment._id.toString();
+        if (!queuedByBooking) {
+            throw new Error('Patient is already in the queue.');
+        }
+        existingItem.arrivedAt = new Date();
+        if (priority !== undefined) existingItem.priority = priority;
+        await existingItem.save();
+        notifyQueueChange(appointment.doctor._id, 'checked_in', existingItem);
+
+        return { success: true, queueNumber: existingItem.queueNumber };
     }
 
     // Use pre-assigned queue number if available, otherwise generate one
     let queueNumber = appointment.queueNumber;
     
     if (!queueNumber) {
-        const count = await QueueItem.countDocuments({ doctor: appointment.doctor._id, hospital: appointment.hospital });
-        queueNumber = `${appointment.doctor.name.en.charAt(0).toUpperCase()}${(count + 1).toString().padStart(3, '0')}`;
+        queueNumber = await queueNumberService.nextQueueNumber({
+            doctor: appointment.doctor._id,
+            hospital: appointment.hospital,
+            date: appointment.date
+        });
         
         // Save it back to appointment for consistency
         appointment.queueNumber = queueNumber;
         await appointment.save();
     }
 
-    await QueueItem.create({
+    const item = await QueueItem.create({
         user: appointment.user,
         doctor: appointment.doctor._id,
         hospital: appointment.hospital,
+        appointment: appointment._id,
+        appointmentType: appointment.appointmentType,
         queueNumber,
-        status: 'Waiting'
+        priority,
+        status: 'Waiting',
+        arrivedAt: new Date()
     });
+    notifyQueueChange(appointment.doctor._id, 'checked_in', item);
 
-    return { success: true };
+    return { success: true, queueNumber };
+};
+
+const setPriority = async (queueItemId, priority) => {
+    if (priority === undefined) throw new Error('Invalid priority. A priority is required.');
+    assertPriority(priority);
+
+    const item = await QueueItem.findOneAndUpdate(
+        { _id: queueItemId, status: { $in: ['Waiting', 'Held'] } },
+        { priority },
+        { new: true }
+    );
+    if (!item) throw new Error('Queue item not found or no longer waiting.');
+    notifyQueueChange(item.doctor, 'priority_changed', item);
+    return item;
+};
+
+/**
+ * Move Waiting/Held patients to another doctor of the same specialty at the same hospital.
+ * Patients keep their queue number and check-in time, so they keep their order relative to
+ * each other and their place against the new doctor's own patients. Linked appointments
+ * move to the new doctor as well.
+ * @param {Object} params
+ * @param {String} params.fromDoctorId
+ * @param {String} params.toDoctorId
+ * @param {String} [params.queueItemId] - Transfer only this patient; otherwise everyone Waiting/Held
+ * @returns {Promise<Object>} - { transferred: [queue items], skipped: [{ queueItemId, queueNumber, reason }] }
+ */
+const transferQueue = async ({ fromDoctorId, toDoctorId, queueItemId }) => {
+    if (!toDoctorId || String(fromDoctorId) === String(toDoctorId)) {
+        throw new Error('Please choose a different doctor to transfer to.');
+    }
+
+    const [fromDoctor, toDoctor] = await Promise.all([
+        User.findById(fromDoctorId).select('name role specialties'),
+        User.findById(toDoctorId).select('name role specialties hospitals room')
+    ]);
+    if (!fromDoctor || fromDoctor.role !== 'doctor' || !toDoctor || toDoctor.role !== 'doctor') {
+        throw new Error('Doctor not found.');
+    }
+    const fromSpecialties = fromDoctor.specialties.map(s => s.toString());
+    if (!toDoctor.specialties.some(s => fromSpecialties.includes(s.toString()))) {
+        throw new Error('Patients can only be transferred to a doctor of the same specialty.');
+    }
+
+    const filter = { doctor: fromDoctorId, status: { $in: ['Waiting', 'Held'] } };
+    if (queueItemId) filter._id = queueItemId;
+    const candidates = await QueueItem.find(filter).sort({ checkInTime: 1 });
+    if (queueItemId && candidates.length === 0) {
+        throw new Error('Queue item not found or no longer waiting.');
+    }
+
+    const toHospitals = toDoctor.hospitals.map(h => h.toString());
+    const transferred = [];
+    const skipped = [];
+
+    for (const candidate of candidates) {
+        const skip = (reason) => skipped.push({ queueItemId: candidate._id, queueNumber: candidate.queueNumber, reason });
+
+        if (!toHospitals.includes(candidate.hospital.toString())) {
+            skip(`Dr. ${toDoctor.name.en} does not work at this hospital.`);
+            continue;
+        }
+
+        const session = await mongoose.startSession();
+        let moved = null;
+        try {
+            await session.withTransaction(async () => {
+                moved = null;
+                const item = await QueueItem.findOneAndUpdate(
+                    { _id: candidate._id, doctor: fromDoctorId, status: { $in: ['Waiting', 'Held'] } },
+                    { doctor: toDoctorId },
+                    { new: true, session }
+                );
+                // Called or removed in the meantime
+                if (!item) return;
+
+                if (item.appointment) {
+                    const appt = await Appointment.findById(item.appointment)
+                        .populate('appointmentType', 'duration')
+                        .session(session);
+                    if (appt && appt.status === 'Upcoming') {
+                        await bookingService.assertDoctorSlotFree({
+                            doctorId: toDoctorId,
+                            hospital: appt.hospital,
+                            date: appt.date,
+                            time: appt.time,
+                            duration: appt.appointmentType ? appt.appointmentType.duration : dateTime.DEFAULT_APPOINTMENT_DURATION_MINS,
+                            excludeAppointmentId: appt._id
+                        }, { session });
+                        appt.doctor = toDoctorId;
+                        await appt.save({ session });
+                    }
+                }
+
+                if (item.user) {
+                    const roomEn = toDoctor.room ? ` (Room ${toDoctor.room})` : '';
+                    const roomAr = toDoctor.room ? ` (غرفة ${toDoctor.room})` : '';
+                    await createNotification(
+                        item.user,
+                        'system',
+                        {
+                            en: `You have been moved from Dr. ${fromDoctor.name.en} to Dr. ${toDoctor.name.en}${roomEn}. You keep your number ${item.queueNumber} and your place in line.`,
+                            ar: `تم نقلك من د. ${fromDoctor.name.ar} إلى د. ${toDoctor.name.ar}${roomAr}. يبقى رقمك ${item.queueNumber} ومكانك في الدور كما هو.`
+                        },
+                        {
+                            title: {
+                                en: 'Queue Transferred',
+                                ar: 'تم نقل دورك'
+                            },
+                            language: 'ar',
+                            data: {
+                                link: `#/queue`
+                            },
+                            session
+                        }
+                    );
+                }
+
+                moved = item;
+            });
+        } catch (error) {
+            if (queueItemId) throw error;
+            skip(error.message);
+            continue;
+        } finally {
+            await session.endSession();
+        }
+
+        if (moved) {
+            transferred.push(moved);
+        } else if (queueItemId) {
+            throw new Error('Queue item not found or no longer waiting.');
+        } else {
+            skip('No longer waiting.');
+        }
+    }
+
+    if (transferred.length > 0) {
+        notifyQueueChange(fromDoctorId, 'transferred_out');
+        notifyQueueChange(toDoctorId, 'transferred_in', transferred[transferred.length - 1]);
+    }
+
+    return { transferred, skipped };
+};
+
+/**
+ * Page a held patient back to the doctor's room (push/SMS). Limited to once per
+ * PAGE_COOLDOWN_SECS so repeated clicks do not flood the patient.
+ * @param {String} queueItemId
+ * @returns {Promise<Document>} - The queue item
+ */
+const pagePatient = async (queueItemId) => {
+    const cooldownStart = new Date(Date.now() - queueAlertService.PAGE_COOLDOWN_SECS * 1000);
+    const item = await QueueItem.findById(queueItemId);
+    if (!item) throw new Error('Queue item not found');
+    if (item.status !== 'Held') throw new Error('Only held patients can be paged.');
+    if (!item.user) throw new Error('Walk-in patients cannot be paged; please call them at the desk.');
+
+    const claimed = await QueueItem.findOneAndUpdate(
+        {
+            _id: item._id,
+            status: 'Held',
+            $or: [{ lastPagedAt: null }, { lastPagedAt: { $lte: cooldownStart } }]
+        },
+        { lastPagedAt: new Date(), $inc: { pageCount: 1 } },
+        { new: true }
+    );
+    if (!claimed) {
+        throw new Error(`This patient was paged less than ${queueAlertService.PAGE_COOLDOWN_SECS} seconds ago.`);
+    }
+
+    const doctor = await User.findById(item.doctor).select('name room');
+    await queueAlertService.sendPage(claimed, doctor);
+    notifyQueueChange(item.doctor, 'paged', claimed);
+    return claimed;
+};
+
+/**
+ * Open, pause or close a doctor's queue for today and tell everyone watching it.
+ * @param {String} doctorId
+ * @param {Object} params - { state, reason, resumeInMins }
+ * @param {Object} staffUser
+ * @returns {Promise<Object>} - The new session
+ */
+const setDoctorSession = async (doctorId, params, staffUser) => {
+    const session = await doctorSessionService.setSession(doctorId, params, staffUser);
+    notifyQueueChange(doctorId, 'session_changed');
+    return session;
 };
 
 const removePatientFromQueue = async (queueItemId) => {
-    await QueueItem.findByIdAndUpdate(queueItemId, { status: 'RemovedByAdmin' });
+    const item = await QueueItem.findByIdAndUpdate(queueItemId, { status: 'RemovedByAdmin' }, { new: true });
+    if (item) notifyQueueChange(item.doctor, 'removed', item);
     return { success: true };
 };
 
 module.exports = {
     getPatientQueueStatus,
     getQueueHistory,
+    getDaySummaries,
     getAdminQueueInitData,
     getDoctorQueue,
+    getDisplayBoard,
     joinQueue,
     leaveQueue,
     callNextPatient,
+    startService,
     holdPatient,
     requeuePatient,
     addWalkInPatient,
     addWalkInBySpecialty,
     checkInAppointment,
+    setPriority,
+    pagePatient,
+    setDoctorSession,
+    transferQueue,
     removePatientFromQueue
 };
\ No newline at end of file
@@ -0,0 +1,288 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const RedeemCode = require('../models/redeemCode');
+const RedeemCampaign = require('../models/redeemCampaign');
+const walletService = require('./walletService');
+const { toCsv } = require('../utils/csv');
+
+// No 0/O or 1/I, so codes can be read out over the phone; 32 letters keeps every one equally likely
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 10;
+
+// Largest campaign that can be generated in one request
+const MAX_CAMPAIGN_CODES = 10000;
+
+// Campaign codes clashing with existing ones are regenerated; give up after this many rounds
+const MAX_GENERATION_ROUNDS = 5;
+
+const generateCode = (prefix) => {
+    const code = [...crypto.randomBytes(CODE_LENGTH)]
+        .map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+        .join('');
+    return prefix ? `${prefix}-${code}` : code;
+};
+
+/**
+ * Validate the settings shared by single codes and campaigns.
+ * @param {Object} settings - { amount, maxUses?, perUserLimit?, expiresAt? }
+ * @returns {Object} - The settings with defaults filled in and expiresAt as a Date
+ * @throws {Error} - Message starting with 'Invalid'
+ */
+const resolveCodeSettings = ({ amount, maxUses, perUserLimit, expiresAt }) => {
+    const settings = {
+        amount: parseFloat(amount),
+        maxUses: maxUses === undefined ? 1 : Number(maxUses),
+        perUserLimit: perUserLimit === undefined ? 1 : Number(perUserLimit),
+        expiresAt: expiresAt ? new Date(expiresAt) : undefined
+    };
+
+    if (!settings.amount || settings.amount <= 0) {
+        throw new Error('Invalid amount. Please provide a positive amount.');
+    }
+    if (!Number.isInteger(settings.maxUses) || settings.maxUses < 1) {
+        throw new Error('Invalid maxUses. It must be a whole number of at least 1.');
+    }
+    if (!Number.isInteger(settings.perUserLimit) || settings.perUserLimit < 1 || settings.perUserLimit > settings.maxUses) {
+        throw new Error('Invalid perUserLimit. It must be a whole number between 1 and maxUses.');
+    }
+    if (settings.expiresAt && (isNaN(settings.expiresAt.getTime()) || settings.expiresAt <= new Date())) {
+        throw new Error('Invalid expiresAt. It must be a date in the future.');
+    }
+    return settings;
+};
+
+/**
+ * Create a single redeem code.
+ * @param {Object} data - { code?, amount, maxUses?, perUserLimit?, expiresAt?, createdBy }
+ * @returns {Promise<Document>}
+ */
+const createCode = async ({ code, createdBy, ...rest }) => {
+    const settings = resolveCodeSettings(rest);
+    try {
+        return await RedeemCode.create({
+            code: code ? String(code).trim() : generateCode(),
+            ...settings,
+            createdBy
+        });
+    } catch (error) {
+        if (error.code === 11000) throw new Error('This code already exists.');
+        throw error;
+    }
+};
+
+/**
+ * Generate a named campaign of N codes with the same value and limits.
+ * @param {Object} data - { name, description?, count, prefix?, amount, maxUses?, perUserLimit?, expiresAt?, createdBy }
+ * @returns {Promise<Object>} - { campaign, codes }
+ */
+const createCampaign = async ({ name, description, count, prefix, createdBy, ...rest }) => {
+    if (!name || !String(name).trim()) throw new Error('Campaign name is required.');
+    const codeCount = Number(count);
+    if (!Number.isInteger(codeCount) || codeCount < 1 || codeCount > MAX_CAMPAIGN_CODES) {
+        throw new Error(`Invalid count. Between 1 and ${MAX_CAMPAIGN_CODES} codes can be generated at once.`);
+    }
+    const codePrefix = prefix ? String(prefix).trim().toUpperCase() : undefined;
+    if (codePrefix && !/^[A-Z0-9]{1,12}$/.test(codePrefix)) {
+        throw new Error('Invalid prefix. Use up to 12 letters and digits.');
+    }
+    const settings = resolveCodeSettings(rest);
+
+    let campaign;
+    try {
+        campaign = await RedeemCampaign.create({ name, description, codeCount, prefix: codePrefix, ...settings, createdBy });
+    } catch (error) {
+        if (error.code === 11000) throw new Error('A campaign with this name already exists.');
+        throw error;
+    }
+
+    // Random codes can clash with existing ones; unordered inserts skip those and the rest is regenerated
+    for (let round = 0; round < MAX_GENERATION_ROUNDS; round++) {
+        const missing = codeCount - await RedeemCode.countDocuments({ campaign: campaign._id });
+        if (missing <= 0) break;
+
+        const codes = new Set();
+        while (codes.size < missing) codes.add(generateCode(codePrefix));
+        try {
+            await RedeemCode.insertMany(
+                [...codes].map(code => ({ code, ...settings, campaign: campaign._id, createdBy })),
+                { ordered: false }
+            );
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    const codes = await RedeemCode.find({ campaign: campaign._id }).select('code').lean();
+    if (codes.length < codeCount) {
+        campaign.codeCount = codes.length;
+        await campaign.save();
+    }
+    return { campaign, codes: codes.map(c => c.code) };
+};
+
+// Why a code could not be claimed by this user
+const rejectionReason = async (code, userId, session) => {
+    const redeemCode = await RedeemCode.findOne({ code }).session(session);
+    if (!redeemCode) return 'Invalid code.';
+    if (redeemCode.expiresAt && redeemCode.expiresAt <= new Date()) return 'This code has expired.';
+    const ownUses = (redeemCode.redemptions || []).filter(r => r.user && r.user.toString() === userId.toString()).length;
+    if (ownUses >= (redeemCode.perUserLimit || 1)) return 'You have already redeemed this code.';
+    return 'This code has already been used.';
+};
+
+/**
+ * Redeem a code into a patient's wallet. Claiming the use and crediting the wallet happen in one
+ * transaction, so simultaneous redemptions can never use a code more often than it allows.
+ * @param {String} userId
+ * @param {String} rawCode
+ * @returns {Promise<Document>} - The redeemed code
+ */
+const redeemCode = async (userId, rawCode) => {
+    const code = String(rawCode).trim().toUpperCase();
+    const user = new mongoose.Types.ObjectId(userId.toString());
+    const session = await mongoose.startSession();
+
+    try {
+        let claimed;
+        await session.withTransaction(async () => {
+            const now = new Date();
+            // Codes from before multi-use support have no counters; they count as single-use
+            claimed = await RedeemCode.findOneAndUpdate(
+                {
+                    code,
+                    isUsed: false,
+                    $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+                    $expr: {
+                        $and: [
+                            { $lt: [{ $ifNull: ['$redemptionCount', 0] }, { $ifNull: ['$maxUses', 1] }] },
+                            {
+                                $lt: [
+                                    { $size: { $filter: { input: { $ifNull: ['$redemptions', []] }, cond: { $eq: ['$$this.user', user] } } } },
+                                    { $ifNull: ['$perUserLimit', 1] }
+                                ]
+                            }
+                        ]
+                    }
+                },
+                {
+                    $inc: { redemptionCount: 1 },
+                    $push: { redemptions: { user, redeemedAt: now } },
+                    $set: { usedBy: user, usedAt: now }
+                },
+                { new: true, session }
+            );
+            if (!claimed) throw new Error(await rejectionReason(code, userId, session));
+
+            if (claimed.redemptionCount >= (claimed.maxUses || 1)) {
+                claimed.isUsed = true;
+                await claimed.save({ session });
+            }
+
+            await walletService.createTransactionAndUpdateWallet({
+                userId,
+                amount: claimed.amount,
+                type: 'credit',
+                transactionType: 'Deposit',
+                description: `Redeemed code: ${claimed.code}`,
+                referenceId: claimed._id.toString(),
+                fundingSource: 'redeem_code'
+            }, { session });
+        });
+        return claimed;
+    } finally {
+        await session.endSession();
+    }
+};
+
+const codeState = (code, now = new Date()) => {
+    if (code.isUsed) return 'used';
+    if (code.expiresAt && code.expiresAt <= now) return 'expired';
+    return 'active';
+};
+
+/**
+ * Redeemed vs. outstanding value of a campaign. Unused value of expired codes is reported
+ * separately, as it can no longer be redeemed.
+ * @param {String} campaignId
+ * @returns {Promise<Object>}
+ */
+const getCampaignReport = async (campaignId) => {
+    const campaign = await RedeemCampaign.findById(campaignId).populate('createdBy', 'name');
+    if (!campaign) throw new Error('Campaign not found');
+
+    const codes = await RedeemCode.find({ campaign: campaign._id })
+        .select('amount maxUses redemptionCount isUsed expiresAt')
+        .lean();
+
+    const now = new Date();
+    const report = {
+        codes: codes.length,
+        codesActive: 0,
+        codesUsed: 0,
+        codesExpired: 0,
+        redemptions: 0,
+        issuedValue: 0,
+        redeemedValue: 0,
+        outstandingValue: 0,
+        expiredValue: 0
+    };
+
+    codes.forEach(code => {
+        const uses = code.redemptionCount || 0;
+        const unusedValue = ((code.maxUses || 1) - uses) * code.amount;
+        const state = codeState(code, now);
+
+        report.redemptions += uses;
+        report.issuedValue += (code.maxUses || 1) * code.amount;
+        report.redeemedValue += uses * code.amount;
+        if (state === 'used') report.codesUsed++;
+        if (state === 'active') {
+            report.codesActive++;
+            report.outstandingValue += unusedValue;
+        }
+        if (state === 'expired') {
+            report.codesExpired++;
+            report.expiredValue += unusedValue;
+        }
+    });
+
+    ['issuedValue', 'redeemedValue', 'outstandingValue', 'expiredValue'].forEach(key => {
+        report[key] = Math.round(report[key] * 1000) / 1000;
+    });
+
+    return { campaign, ...report };
+};
+
+/**
+ * All codes of a campaign as CSV, for printing or handing to a partner.
+ * @param {String} campaignId
+ * @returns {Promise<Object>} - { campaign, csv }
+ */
+const exportCampaignCsv = async (campaignId) => {
+    const campaign = await RedeemCampaign.findById(campaignId);
+    if (!campaign) throw new Error('Campaign not found');
+
+    const codes = await RedeemCode.find({ campaign: campaign._id }).sort({ code: 1 }).lean();
+    const now = new Date();
+    const csv = toCsv([
+        { header: 'code', value: c => c.code },
+        { header: 'amount', value: c => c.amount.toFixed(2) },
+        { header: 'max_uses', value: c => c.maxUses || 1 },
+        { header: 'per_user_limit', value: c => c.perUserLimit || 1 },
+        { header: 'redemptions', value: c => c.redemptionCount || 0 },
+        { header: 'status', value: c => codeState(c, now) },
+        { header: 'expires_at', value: c => c.expiresAt },
+        { header: 'last_redeemed_at', value: c => c.usedAt }
+    ], codes);
+
+    return { campaign, csv };
+};
+
+module.exports = {
+    MAX_CAMPAIGN_CODES,
+    createCode,
+    createCampaign,
+    redeemCode,
+    getCampaignReport,
+    exportCampaignCsv
+};
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/appointment');
+
+// Only recent behaviour counts, so a patient's score recovers over time
+const RELIABILITY_LOOKBACK_DAYS = 180;
+
+// A late cancellation still frees the slot, so it weighs half as much as a no-show
+const LATE_CANCELLATION_WEIGHT = 0.5;
+
+// Booking restrictions only apply once there is enough history to judge
+const MIN_EVENTS_FOR_RESTRICTION = 3;
+const PREPAYMENT_SCORE_THRESHOLD = 70;
+const BLOCK_SCORE_THRESHOLD = 40;
+
+/**
+ * Turn attendance counters into a 0-100 score and the booking restriction it implies.
+ * @param {Object} counts - { attended, noShows, lateCancellations }
+ * @returns {Object} - { attended, noShows, lateCancellations, score, bookingRestriction }
+ */
+const buildReliability = ({ attended = 0, noShows = 0, lateCancellations = 0 } = {}) => {
+    const weightedTotal = attended + noShows + lateCancellations * LATE_CANCELLATION_WEIGHT;
+    const score = weightedTotal > 0 ? Math.round((attended / weightedTotal) * 100) : 100;
+
+    let bookingRestriction = 'none';
+    if (attended + noShows + lateCancellations >= MIN_EVENTS_FOR_RESTRICTION) {
+        if (score < BLOCK_SCORE_THRESHOLD) {
+            bookingRestriction = 'blocked';
+        } else if (score < PREPAYMENT_SCORE_THRESHOLD) {
+            bookingRestriction = 'prepayment';
+        }
+    }
+
+    return { attended, noShows, lateCancellations, score, bookingRestriction };
+};
+
+/**
+ * Reliability of several patients at once (attended vs. no-show vs. late cancel).
+ * @param {Array<String|ObjectId>} userIds
+ * @param {Object} [options]
+ * @param {mongoose.ClientSession} [options.session]
+ * @returns {Promise<Map<String, Object>>} - userId -> reliability; patients without history score 100
+ */
+const getReliabilityScores = async (userIds, options = {}) => {
+    const { session } = options;
+    const since = new Date(Date.now() - RELIABILITY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+    const ids = userIds.map(id => new mongoose.Types.ObjectId(String(id)));
+
+    const rows = await Appointment.aggregate([
+        {
+            $match: {
+                user: { $in: ids },
+                startAt: { $gte: since },
+                $or: [
+                    { status: { $in: ['Completed', 'NoShow'] } },
+                    { status: 'Cancelled', lateCancellation: true }
+                ]
+            }
+        },
+        {
+            $group: {
+                _id: '$user',
+                attended: { $sum: { $cond: [{ $eq: ['$status', 'Completed'] }, 1, 0] } },
+                noShows: { $sum: { $cond: [{ $eq: ['$status', 'NoShow'] }, 1, 0] } },
+                lateCancellations: { $sum: { $cond: [{ $eq: ['$status', 'Cancelled'] }, 1, 0] } }
+            }
+        }
+    ]).session(session || null);
+
+    const countsByUser = new Map(rows.map(row => [row._id.toString(), row]));
+    return new Map(ids.map(id => [id.toString(), buildReliability(countsByUser.get(id.toString()))]));
+};
+
+/**
+ * Reliability of one patient.
+ * @param {String|ObjectId} userId
+ * @param {Object} [options]
+ * @param {mongoose.ClientSession} [options.session]
+ * @returns {Promise<Object>} - { attended, noShows, lateCancellations, score, bookingRestriction }
+ */
+const getReliability = async (userId, options = {}) => {
+    const scores = await getReliabilityScores([userId], options);
+    return scores.get(String(userId));
+};
+
+module.exports = {
+    RELIABILITY_LOOKBACK_DAYS,
+    PREPAYMENT_SCORE_THRESHOLD,
+    BLOCK_SCORE_THRESHOLD,
+    getReliabilityScores,
+    getReliability
+};
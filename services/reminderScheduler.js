@@ -7,6 +7,7 @@ try {
 }
 
 const DoctorReminderService = require('./doctorReminderService');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
 
 /**
  * Scheduler service for automated doctor appointment reminders
@@ -45,7 +46,7 @@ class ReminderScheduler {
             }
         }, {
             scheduled: true,
-            timezone: 'UTC' // Adjust timezone as needed
+            timezone: DEFAULT_TIMEZONE
         });
 
         this.cronJobs.push(reminderJob);
@@ -0,0 +1,430 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/appointment');
+const AppointmentSeries = require('../models/appointmentSeries');
+const AppointmentType = require('../models/appointmentType');
+const QueueItem = require('../models/queueItem');
+const Wallet = require('../models/wallet');
+const availabilityService = require('./availabilityService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const bookingService = require('./bookingService');
+const queueNumberService = require('./queueNumberService');
+const walletService = require('./walletService');
+const waitlistService = require('./waitlistService');
+const dateTime = require('../utils/dateTime');
+const { createNotification } = require('../utils/notificationHelper');
+
+const MAX_SERIES_OCCURRENCES = 26;
+
+/**
+ * Throw an error that lists every occurrence that cannot be booked,
+ * so the caller can show them all at once instead of one by one.
+ */
+const throwConflicts = (conflicts) => {
+    const error = new Error(`${conflicts.length} occurrence(s) of the series are not available.`);
+    error.conflicts = conflicts;
+    throw error;
+};
+
+/**
+ * Check every occurrence against the availability engine.
+ * @param {Object} params - { doctorId, hospitalId, appointmentTypeId, forUserId, excludeAppointmentIds }
+ * @param {Array<{date: String, time: String}>} occurrences
+ * @returns {Promise<Array<{date, time, reason}>>} The occurrences that are not bookable
+ */
+const findUnavailableOccurrences = async ({ doctorId, hospitalId, appointmentTypeId, forUserId, excludeAppointmentIds }, occurrences) => {
+    const conflicts = [];
+    for (const { date, time } of occurrences) {
+        const { days } = await availabilityService.getAvailableSlots({
+            doctorId,
+            hospitalId,
+            appointmentTypeId,
+            startDate: date,
+            forUserId,
+            excludeAppointmentIds
+        });
+        const [day] = days;
+        const startMinutes = dateTime.timeToMinutes(time);
+        if (!day.slots.some(slot => slot.startMinutes === startMinutes)) {
+            conflicts.push({
+                date,
+                time,
+                reason: day.slots.length === 0 ? day.message : 'The selected time is already taken.'
+            });
+        }
+    }
+    return conflicts;
+};
+
+/**
+ * Check that the user may manage the appointments of a series.
+ * Patients manage their own; staff manage those at their hospitals.
+ */
+const assertCanManage = (user, appointment) => {
+    const isPatientOwner = user.role === 'patient' && appointment.user.toString() === user._id.toString();
+    const userHospitalIds = (user.hospitals || []).map(h => h.toString());
+    const isAdminOfHospital = ['hospital staff', 'hospital manager', 'super admin'].includes(user.role) &&
+        userHospitalIds.includes(appointment.hospital._id.toString());
+    if (!isPatientOwner && !isAdminOfHospital) {
+        throw new Error('Not authorized to update this appointment series.');
+    }
+};
+
+/**
+ * Load an occurrence together with the following Upcoming occurrences of its series.
+ */
+const loadThisAndFollowing = async (appointmentId, session) => {
+    const appointment = await Appointment.findById(appointmentId).populate('hospital').session(session);
+    if (!appointment) throw new Error('Appointment not found.');
+    if (!appointment.series) throw new Error('This appointment is not part of a series.');
+
+    const occurrences = await Appointment.find({
+        series: appointment.series,
+        seriesIndex: { $gte: appointment.seriesIndex },
+        status: 'Upcoming'
+    })
+        .sort({ seriesIndex: 1 })
+        .populate('doctor', 'name')
+        .session(session);
+
+    if (occurrences.length === 0) {
+        throw new Error('There are no upcoming occurrences left to update.');
+    }
+    return { appointment, occurrences };
+};
+
+/**
+ * Book a weekly recurring series. Every occurrence is validated against
+ * availability and the wallet up front, then all of them are created in one transaction.
+ * @param {Object} seriesData
+ * @param {String} seriesData.patientId
+ * @param {String} seriesData.doctorId
+ * @param {String} seriesData.hospitalId
+ * @param {String} seriesData.appointmentTypeId
+ * @param {String} seriesData.startDate - YYYY-MM-DD of the first occurrence
+ * @param {String} seriesData.time - e.g. "10:00 AM" or "10:00"
+ * @param {Number} seriesData.occurrences - Number of appointments to book
+ * @param {Number} [seriesData.intervalWeeks=1] - 1 = weekly, 2 = every other week
+ * @param {Boolean} [seriesData.cashPayment=false] - Staff collected the full series cost in cash
+ * @param {String} [seriesData.createdBy] - User who booked the series
+ * @returns {Promise<Object>} - { series, appointments }
+ */
+const bookSeries = async (seriesData) => {
+    const { patientId, doctorId, hospitalId, appointmentTypeId, startDate, time, cashPayment = false, createdBy } = seriesData;
+    const occurrences = parseInt(seriesData.occurrences, 10);
+    const intervalWeeks = parseInt(seriesData.intervalWeeks || 1, 10);
+
+    if (!doctorId || !hospitalId || !appointmentTypeId || !startDate || !time) {
+        throw new Error('Doctor, hospital, appointment type, start date and time must be specified.');
+    }
+    if (!dateTime.isValidDateString(startDate)) {
+        throw new Error('Invalid start date. Use YYYY-MM-DD.');
+    }
+    if (!Number.isInteger(occurrences) || occurrences < 2 || occurrences > MAX_SERIES_OCCURRENCES) {
+        throw new Error(`Invalid number of occurrences. A series has between 2 and ${MAX_SERIES_OCCURRENCES} appointments.`);
+    }
+    if (!Number.isInteger(intervalWeeks) || intervalWeeks < 1) {
+        throw new Error('Invalid interval. Use a whole number of weeks.');
+    }
+
+    const startMinutes = dateTime.timeToMinutes(time);
+    if (startMinutes === null) throw new Error('Invalid time format.');
+    const slotTime = dateTime.minutesToTime(startMinutes);
+
+    const appointmentType = await AppointmentType.findById(appointmentTypeId);
+    if (!appointmentType) throw new Error('Invalid appointment type specified.');
+
+    const dates = [];
+    for (let i = 0; i < occurrences; i++) {
+        dates.push(dateTime.addDays(startDate, i * intervalWeeks * 7));
+    }
+
+    // --- VALIDATE EVERY OCCURRENCE UP FRONT ---
+    const conflicts = await findUnavailableOccurrences(
+        { doctorId, hospitalId, appointmentTypeId, forUserId: patientId },
+        dates.map(date => ({ date, time: slotTime }))
+    );
+    if (conflicts.length > 0) throwConflicts(conflicts);
+
+    const totalCost = appointmentType.cost * occurrences;
+    if (!cashPayment) {
+        const wallet = await Wallet.findOne({ user: patientId });
+        if (!wallet || wallet.balance < totalCost) {
+            throw new Error(`Insufficient wallet balance for the series. ${totalCost} is required for ${occurrences} appointments.`);
+        }
+    }
+    // ------------------------------------------
+
+    const session = await mongoose.startSession();
+    let series;
+    const appointments = [];
+
+    try {
+        await session.withTransaction(async () => {
+            appointments.length = 0;
+
+            [series] = await AppointmentSeries.create([{
+                user: patientId,
+                doctor: doctorId,
+                hospital: hospitalId,
+                appointmentType: appointmentTypeId,
+                startDate,
+                time: slotTime,
+                intervalWeeks,
+                occurrences,
+                createdBy
+            }], { session });
+
+            for (const [index, date] of dates.entries()) {
+                const appointment = await bookingService.bookAppointment({
+                    patientId,
+                    doctorId,
+                    hospitalId,
+                    appointmentTypeId,
+                    date,
+                    time: slotTime,
+                    cashPayment,
+                    seriesId: series._id,
+                    seriesIndex: index
+                }, { session, notify: false });
+                appointments.push(appointment);
+            }
+
+            await createNotification(
+                patientId,
+                'appointment',
+                {
+                    en: `Your ${occurrences} recurring appointments for ${appointmentType.name.en} are confirmed, starting ${startDate} at ${slotTime}.`,
+                    ar: `تم تأكيد ${occurrences} مواعيد متكررة لـ ${appointmentType.name.ar || appointmentType.name.en} ابتداءً من ${startDate} في ${slotTime}.`
+                },
+                {
+                    title: {
+                        en: 'Recurring Appointments Confirmed',
+                        ar: 'تم تأكيد المواعيد المتكررة'
+                    },
+                    language: 'ar',
+                    data: {
+                        type: 'appointment_series',
+                        seriesId: series._id.toString(),
+                        link: `#/appointments`
+                    },
+                    session
+                }
+            );
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return { series, appointments };
+};
+
+/**
+ * Cancel an occurrence and every following Upcoming occurrence of its series.
+ * Each one is refunded according to its cancellation policy tier.
+ * @param {String} appointmentId - The first occurrence to cancel
+ * @param {Object} user - The requesting user
+ * @returns {Promise<Object>} - { cancelledCount, refundedAmount }
+ */
+const cancelThisAndFollowing = async (appointmentId, user) => {
+    const session = await mongoose.startSession();
+    let cancelled = [];
+    let refundedAmount = 0;
+
+    try {
+        await session.withTransaction(async () => {
+            refundedAmount = 0;
+            const { appointment, occurrences } = await loadThisAndFollowing(appointmentId, session);
+            assertCanManage(user, appointment);
+
+            const hospital = appointment.hospital;
+            const appointmentType = await AppointmentType.findById(appointment.appointmentType).select('cancellationPolicy').session(session);
+            for (const appt of occurrences) {
+                const quote = cancellationPolicyService.quoteRefund(appt, { hospital, appointmentType });
+                appt.status = 'Cancelled';
+                if (user.role === 'patient') {
+                    appt.lateCancellation = cancellationPolicyService.isLateCancellation(quote);
+                }
+                if (!appt.isRefunded) {
+                    const { refundAmount, policyTier } = quote;
+                    if (refundAmount > 0) {
+                        await walletService.createTransactionAndUpdateWallet({
+                            userId: appt.user,
+                            amount: refundAmount,
+                            type: 'credit',
+                            transactionType: 'Refund',
+                            description: `Refund (${policyTier.refundPercentage}%, ${policyTier.label}) for cancelled series appointment on ${appt.date} with Dr. ${appt.doctor.name.en} at ${hospital.name.en}`,
+                            referenceId: appt._id.toString(),
+                            hospitalId: hospital._id,
+                            policyTier
+                        }, { session });
+                        refundedAmount += refundAmount;
+                    }
+                    appt.isRefunded = true;
+                }
+                await appt.save({ session });
+            }
+
+            // Nothing left to attend once every remaining occurrence is gone
+            const remaining = await Appointment.countDocuments({ series: appointment.series, status: 'Upcoming' }).session(session);
+            if (remaining === 0) {
+                await AppointmentSeries.updateOne({ _id: appointment.series }, { status: 'Cancelled' }, { session });
+            }
+
+            await createNotification(
+                appointment.user,
+                'appointment',
+                {
+                    en: `${occurrences.length} recurring appointment(s) starting ${occurrences[0].date} have been cancelled.`,
+                    ar: `تم إلغاء ${occurrences.length} من المواعيد المتكررة ابتداءً من ${occurrences[0].date}.`
+                },
+                {
+                    title: {
+                        en: 'Recurring Appointments Cancelled',
+                        ar: 'تم إلغاء المواعيد المتكررة'
+                    },
+                    language: 'ar',
+                    data: {
+                        type: 'appointment_series',
+                        seriesId: appointment.series.toString(),
+                        status: 'Cancelled',
+                        link: `#/appointments`
+                    },
+                    session
+                }
+            );
+
+            cancelled = occurrences;
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    cancelled.forEach(appt => waitlistService.notifySlotFreed(appt));
+    return { cancelledCount: cancelled.length, refundedAmount };
+};
+
+/**
+ * Move an occurrence and every following Upcoming occurrence of its series.
+ * Following occurrences shift by the same number of days and take the new time.
+ * @param {String} appointmentId - The first occurrence to move
+ * @param {Object} user - The requesting user
+ * @param {Object} newSlot - { date, time } for the first occurrence
+ * @returns {Promise<Array<Document>>} The rescheduled appointments
+ */
+const rescheduleThisAndFollowing = async (appointmentId, user, { date, time }) => {
+    if (!date || !time) throw new Error('New date and time are required.');
+    if (!dateTime.isValidDateString(date)) throw new Error('Invalid date. Use YYYY-MM-DD.');
+    const startMinutes = dateTime.timeToMinutes(time);
+    if (startMinutes === null) throw new Error('Invalid time format.');
+    const slotTime = dateTime.minutesToTime(startMinutes);
+
+    const { appointment, occurrences } = await loadThisAndFollowing(appointmentId);
+    assertCanManage(user, appointment);
+
+    const shiftDays = dateTime.diffDays(appointment.date, date);
+    const moves = occurrences.map(appt => ({
+        appt,
+        oldSlot: { doctor: appt.doctor._id, hospital: appt.hospital, date: appt.date, time: appt.time },
+        date: dateTime.addDays(appt.date, shiftDays),
+        time: slotTime
+    }));
+
+    const conflicts = await findUnavailableOccurrences({
+        doctorId: appointment.doctor,
+        hospitalId: appointment.hospital._id,
+        appointmentTypeId: appointment.appointmentType,
+        forUserId: appointment.user,
+        excludeAppointmentIds: occurrences.map(appt => appt._id)
+    }, moves);
+    if (conflicts.length > 0) throwConflicts(conflicts);
+
+    const session = await mongoose.startSession();
+    const today = dateTime.todayIn(appointment.hospital);
+
+    try {
+        await session.withTransaction(async () => {
+            const appointmentType = await AppointmentType.findById(appointment.appointmentType).select('duration').session(session);
+            const duration = appointmentType ? appointmentType.duration : dateTime.DEFAULT_APPOINTMENT_DURATION_MINS;
+            const movedIds = moves.map(move => move.appt._id);
+
+            // Moving later: start from the last occurrence so no occurrence lands on a sibling's current slot
+            const ordered = shiftDays > 0 ? [...moves].reverse() : moves;
+            for (const move of ordered) {
+                const appt = await Appointment.findById(move.appt._id).session(session);
+                if (!appt || appt.status !== 'Upcoming') {
+                    throw new Error('The series changed while rescheduling. Please try again.');
+                }
+
+                await bookingService.assertDoctorSlotFree({
+                    doctorId: appt.doctor,
+                    hospital: appointment.hospital,
+                    date: move.date,
+                    time: move.time,
+                    duration,
+                    excludeAppointmentId: movedIds
+                }, { session });
+
+                if (move.date !== appt.date) {
+                    appt.queueNumber = await queueNumberService.nextQueueNumber({ doctor: appt.doctor, hospital: appt.hospital, date: move.date });
+
+                    if (appt.date === today) {
+                        await QueueItem.findOneAndDelete({
+                            user: appt.user,
+                            doctor: appt.doctor,
+                            status: { $in: ['Waiting', 'Held'] }
+                        }).session(session);
+                    }
+                    if (move.date === today) {
+                        await QueueItem.create([{
+                            user: appt.user,
+                            doctor: appt.doctor,
+                            hospital: appt.hospital,
+                            appointment: appt._id,
+                            appointmentType: appt.appointmentType,
+                            queueNumber: appt.queueNumber,
+                            status: 'Waiting'
+                        }], { session });
+                    }
+                }
+
+                appt.date = move.date;
+                appt.time = move.time;
+                await appt.save({ session });
+            }
+
+            await createNotification(
+                appointment.user,
+                'appointment',
+                {
+                    en: `${moves.length} recurring appointment(s) have been rescheduled, starting ${date} at ${slotTime}.`,
+                    ar: `تمت إعادة جدولة ${moves.length} من المواعيد المتكررة ابتداءً من ${date} في ${slotTime}.`
+                },
+                {
+                    title: {
+                        en: 'Recurring Appointments Rescheduled',
+                        ar: 'تمت إعادة جدولة المواعيد المتكررة'
+                    },
+                    language: 'ar',
+                    data: {
+                        type: 'appointment_series',
+                        seriesId: appointment.series.toString(),
+                        link: `#/appointments`
+                    },
+                    session
+                }
+            );
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    moves.forEach(move => waitlistService.notifySlotFreed(move.oldSlot));
+    return await Appointment.find({ _id: { $in: occurrences.map(appt => appt._id) } }).sort({ seriesIndex: 1 });
+};
+
+module.exports = {
+    MAX_SERIES_OCCURRENCES,
+    bookSeries,
+    cancelThisAndFollowing,
+    rescheduleThisAndFollowing
+};
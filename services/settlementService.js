@@ -0,0 +1,360 @@
+const mongoose = require('mongoose');
+const Settlement = require('../models/settlement');
+const SettlementLock = require('../models/settlementLock');
+const Transaction = require('../models/transaction');
+const Hospital = require('../models/hospital');
+const ledgerService = require('./ledgerService');
+const dateTime = require('../utils/dateTime');
+const { toCsv } = require('../utils/csv');
+const { renderTextPdf } = require('../utils/pdf');
+
+// Used for hospitals that have not been given their own commission
+const DEFAULT_COMMISSION_PERCENT = 10;
+
+const roundAmount = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * The commission a hospital pays on its net fees, with the default filled in.
+ * @param {Object} hospital
+ * @returns {Number}
+ */
+const resolveCommissionPercent = (hospital) => (
+    hospital && typeof hospital.commissionPercent === 'number'
+        ? hospital.commissionPercent
+        : DEFAULT_COMMISSION_PERCENT
+);
+
+/**
+ * Validate a commission coming from an admin request.
+ * @param {*} percent
+ * @throws {Error} - Message starting with 'Invalid commission'
+ */
+const validateCommissionPercent = (percent) => {
+    if (typeof percent !== 'number' || isNaN(percent) || percent < 0 || percent > 100) {
+        throw new Error('Invalid commission. commissionPercent must be a number from 0 to 100.');
+    }
+};
+
+// Cash top-ups recorded before fundingSource existed are recognised by their reference
+const isCashDeposit = { transactionType: 'Deposit', $or: [{ fundingSource: 'cash' }, { referenceId: /^CASH_/ }] };
+
+// The completed transactions of a hospital that count towards its settlement
+const settlementQuery = (hospital, periodStart, periodEnd) => ({
+    hospital: hospital._id,
+    status: 'Completed',
+    createdAt: {
+        $gte: dateTime.dayBoundsIn(periodStart, hospital).start,
+        $lte: dateTime.dayBoundsIn(periodEnd, hospital).end
+    },
+    $or: [
+        { transactionType: { $in: ['Appointment Fee', 'Refund'] } },
+        isCashDeposit
+    ]
+});
+
+const lineKind = (transaction) => {
+    if (transaction.transactionType === 'Appointment Fee') return 'fee';
+    if (transaction.transactionType === 'Refund') return 'refund';
+    return 'cash';
+};
+
+/**
+ * Totals of a hospital's fees, refunds and counter cash over a period, and what it is owed.
+ * @param {Object} hospital
+ * @param {String} periodStart - YYYY-MM-DD, inclusive
+ * @param {String} periodEnd - YYYY-MM-DD, inclusive
+ * @returns {Promise<Object>}
+ */
+const computeTotals = async (hospital, periodStart, periodEnd) => {
+    const transactions = await Transaction.find(settlementQuery(hospital, periodStart, periodEnd))
+        .select('amount transactionType fundingSource referenceId')
+        .lean();
+
+    const totals = { grossFees: 0, feeCount: 0, refunds: 0, refundCount: 0, cashCollected: 0 };
+    transactions.forEach(transaction => {
+        const kind = lineKind(transaction);
+        if (kind === 'fee') {
+            totals.grossFees += transaction.amount;
+            totals.feeCount++;
+        } else if (kind === 'refund') {
+            totals.refunds += transaction.amount;
+            totals.refundCount++;
+        } else {
+            totals.cashCollected += transaction.amount;
+        }
+    });
+
+    const commissionPercent = resolveCommissionPercent(hospital);
+    const grossFees = roundAmount(totals.grossFees);
+    const refunds = roundAmount(totals.refunds);
+    const cashCollected = roundAmount(totals.cashCollected);
+    const netFees = roundAmount(grossFees - refunds);
+    const commission = roundAmount(Math.max(netFees, 0) * commissionPercent / 100);
+
+    return {
+        grossFees,
+        feeCount: totals.feeCount,
+        refunds,
+        refundCount: totals.refundCount,
+        netFees,
+        commissionPercent,
+        commission,
+        cashCollected,
+        payout: roundAmount(netFees - commission - cashCollected)
+    };
+};
+
+// Check a requested period and load its hospital
+const loadPeriod = async ({ hospitalId, periodStart, periodEnd }) => {
+    if (!hospitalId || !periodStart || !periodEnd) {
+        throw new Error('hospitalId, periodStart and periodEnd are required.');
+    }
+    if (!dateTime.isValidDateString(periodStart) || !dateTime.isValidDateString(periodEnd) || periodStart > periodEnd) {
+        throw new Error('Invalid period. Use YYYY-MM-DD dates with periodStart on or before periodEnd.');
+    }
+    const hospital = await Hospital.findById(hospitalId).select('name timezone commissionPercent');
+    if (!hospital) throw new Error('Hospital not found');
+    return hospital;
+};
+
+/**
+ * What a hospital would be owed for a period, without creating a statement.
+ * @param {Object} data - { hospitalId, periodStart, periodEnd }
+ * @returns {Promise<Object>}
+ */
+const previewSettlement = async ({ hospitalId, periodStart, periodEnd }) => {
+    const hospital = await loadPeriod({ hospitalId, periodStart, periodEnd });
+    const totals = await computeTotals(hospital, periodStart, periodEnd);
+    return { hospital: hospital._id, periodStart, periodEnd, ...totals };
+};
+
+const findOverlapping = (hospital, periodStart, periodEnd, session) => Settlement.findOne({
+    hospital: hospital._id,
+    periodStart: { $lte: periodEnd },
+    periodEnd: { $gte: periodStart }
+}).select('periodStart periodEnd').session(session);
+
+const overlapError = (overlapping) => new Error(
+    `A settlement for ${overlapping.periodStart} to ${overlapping.periodEnd} already exists and overlaps this period.`
+);
+
+/**
+ * Create a draft settlement statement for a hospital. Periods of one hospital cannot overlap
+ * and must have ended, so no transaction is settled twice or left out. The overlap check
+ * runs again under a per-hospital lock, so concurrent creates cannot both pass it.
+ * @param {Object} data - { hospitalId, periodStart, periodEnd, createdBy }
+ * @returns {Promise<Document>}
+ */
+const createSettlement = async ({ hospitalId, periodStart, periodEnd, createdBy }) => {
+    const hospital = await loadPeriod({ hospitalId, periodStart, periodEnd });
+    if (periodEnd >= dateTime.todayIn(hospital)) {
+        throw new Error('Invalid period. A settlement can only cover days that have ended.');
+    }
+
+    const overlapping = await findOverlapping(hospital, periodStart, periodEnd);
+    if (overlapping) throw overlapError(overlapping);
+
+    const totals = await computeTotals(hospital, periodStart, periodEnd);
+
+    const session = await mongoose.startSession();
+    try {
+        let settlement;
+        await session.withTransaction(async () => {
+            await SettlementLock.findOneAndUpdate(
+                { hospital: hospital._id },
+                { $inc: { version: 1 } },
+                { upsert: true, session }
+            );
+
+            const created = await findOverlapping(hospital, periodStart, periodEnd, session);
+            if (created) throw overlapError(created);
+
+            [settlement] = await Settlement.create([{ hospital: hospital._id, periodStart, periodEnd, ...totals, createdBy }], { session });
+        });
+        return settlement;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Approve a draft statement (done by the hospital's manager or a super admin).
+ * @param {String} settlementId
+ * @param {String} userId
+ * @returns {Promise<Document>}
+ */
+const approveSettlement = async (settlementId, userId) => {
+    const settlement = await Settlement.findOneAndUpdate(
+        { _id: settlementId, status: 'Draft' },
+        { status: 'Approved', approvedBy: userId, approvedAt: new Date() },
+        { new: true }
+    );
+    if (!settlement) {
+        if (!await Settlement.exists({ _id: settlementId })) throw new Error('Settlement not found');
+        throw new Error('Only draft settlements can be approved.');
+    }
+    return settlement;
+};
+
+// Close the hospital's receivable, refunds and cash drawer for the period into commission and payouts
+const settlementLedgerLines = (settlement) => {
+    const hospital = settlement.hospital;
+    const lines = [
+        { account: 'hospital_receivable', hospital, debit: settlement.grossFees },
+        { account: 'refunds', hospital, credit: settlement.refunds },
+        { account: 'commission', hospital, credit: settlement.commission },
+        { account: 'cash_drawer', hospital, credit: settlement.cashCollected },
+        settlement.payout >= 0
+            ? { account: 'payouts', hospital, credit: settlement.payout }
+            : { account: 'payouts', hospital, debit: -settlement.payout }
+    ];
+    return lines.filter(line => (line.debit || line.credit) > 0);
+};
+
+/**
+ * Record that an approved statement has been paid out, and post it to the ledger.
+ * @param {String} settlementId
+ * @param {String} userId
+ * @param {String} [paymentReference] - Bank transfer or cheque number
+ * @returns {Promise<Document>}
+ */
+const markSettlementPaid = async (settlementId, userId, paymentReference) => {
+    const session = await mongoose.startSession();
+    try {
+        let settlement;
+        await session.withTransaction(async () => {
+            settlement = await Settlement.findOneAndUpdate(
+                { _id: settlementId, status: 'Approved' },
+                { status: 'Paid', paidBy: userId, paidAt: new Date(), paymentReference },
+                { new: true, session }
+            );
+            if (!settlement) {
+                if (!await Settlement.exists({ _id: settlementId }).session(session)) throw new Error('Settlement not found');
+                throw new Error('Only approved settlements can be marked as paid.');
+            }
+
+            const lines = settlementLedgerLines(settlement);
+            if (lines.length >= 2) {
+                await ledgerService.postEntry(lines, {
+                    description: `Settlement ${settlement.periodStart} to ${settlement.periodEnd}`,
+                    referenceId: `SETTLEMENT_${settlement._id}`
+                }, { session });
+            }
+        });
+        return settlement;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Delete a draft statement, e.g. to create it again with another period.
+ * @param {String} settlementId
+ */
+const deleteDraftSettlement = async (settlementId) => {
+    const deleted = await Settlement.findOneAndDelete({ _id: settlementId, status: 'Draft' });
+    if (!deleted) {
+        if (!await Settlement.exists({ _id: settlementId })) throw new Error('Settlement not found');
+        throw new Error('Only draft settlements can be deleted.');
+    }
+};
+
+// The transactions behind a statement, oldest first
+const getStatementTransactions = async (settlement, hospital) => Transaction.find(
+    settlementQuery(hospital, settlement.periodStart, settlement.periodEnd)
+)
+    .sort({ createdAt: 1 })
+    .select('createdAt amount transactionType fundingSource referenceId description')
+    .lean();
+
+const statementRows = (settlement) => [
+    ['Gross fees', settlement.grossFees],
+    ['Refunds', -settlement.refunds],
+    ['Net fees', settlement.netFees],
+    [`Commission (${settlement.commissionPercent}%)`, -settlement.commission],
+    ['Cash collected at counter', -settlement.cashCollected],
+    ['Payout', settlement.payout]
+];
+
+// Amount as it affects what the hospital is owed
+const signedAmount = (transaction) => (lineKind(transaction) === 'fee' ? transaction.amount : -transaction.amount);
+
+/**
+ * A statement as a CSV download: one row per transaction, followed by the totals.
+ * @param {Document} settlement - With `hospital` populated
+ * @returns {Promise<String>}
+ */
+const exportStatementCsv = async (settlement) => {
+    const hospital = settlement.hospital;
+    const transactions = await getStatementTransactions(settlement, hospital);
+
+    const rows = transactions.map(transaction => ({
+        date: dateTime.formatIn(transaction.createdAt, 'YYYY-MM-DD HH:mm', hospital),
+        type: lineKind(transaction),
+        reference: transaction.referenceId,
+        description: transaction.description,
+        amount: signedAmount(transaction).toFixed(2)
+    }));
+    statementRows(settlement).forEach(([label, amount]) => rows.push({ type: 'total', description: label, amount: amount.toFixed(2) }));
+
+    return toCsv([
+        { header: 'date', value: row => row.date },
+        { header: 'type', value: row => row.type },
+        { header: 'reference', value: row => row.reference },
+        { header: 'description', value: row => row.description },
+        { header: 'amount_lyd', value: row => row.amount }
+    ], rows);
+};
+
+/**
+ * A statement as a printable PDF.
+ * @param {Document} settlement - With `hospital` populated
+ * @returns {Promise<Buffer>}
+ */
+const exportStatementPdf = async (settlement) => {
+    const hospital = settlement.hospital;
+    const transactions = await getStatementTransactions(settlement, hospital);
+    const money = (amount) => amount.toFixed(2).padStart(12);
+
+    const lines = [
+        { text: 'SETTLEMENT STATEMENT', bold: true },
+        '',
+        `Hospital:  ${hospital.name.en}`,
+        `Period:    ${settlement.periodStart} to ${settlement.periodEnd}`,
+        `Status:    ${settlement.status}${settlement.paymentReference ? ` (ref. ${settlement.paymentReference})` : ''}`,
+        `Generated: ${dateTime.formatIn(new Date(), 'YYYY-MM-DD HH:mm', hospital)}`,
+        '',
+        { text: 'SUMMARY (LYD)', bold: true },
+        ...statementRows(settlement).map(([label, amount]) => ({
+            text: `${label.padEnd(40)}${money(amount)}`,
+            bold: label === 'Payout'
+        })),
+        `Appointment fees: ${settlement.feeCount}    Refunds: ${settlement.refundCount}`,
+        '',
+        { text: 'TRANSACTIONS', bold: true },
+        { text: `${'Date'.padEnd(18)}${'Type'.padEnd(8)}${'Description'.padEnd(42)}${'Amount'.padStart(12)}`, bold: true },
+        ...transactions.map(transaction => {
+            const description = transaction.description.length > 40
+                ? `${transaction.description.slice(0, 39)}~`
+                : transaction.description;
+            return `${dateTime.formatIn(transaction.createdAt, 'YYYY-MM-DD HH:mm', hospital).padEnd(18)}${lineKind(transaction).padEnd(8)}${description.padEnd(42)}${money(signedAmount(transaction))}`;
+        })
+    ];
+    if (transactions.length === 0) lines.push('No transactions in this period.');
+
+    return renderTextPdf(lines);
+};
+
+module.exports = {
+    DEFAULT_COMMISSION_PERCENT,
+    resolveCommissionPercent,
+    validateCommissionPercent,
+    computeTotals,
+    previewSettlement,
+    createSettlement,
+    approveSettlement,
+    markSettlementPaid,
+    deleteDraftSettlement,
+    exportStatementCsv,
+    exportStatementPdf
+};
@@ -0,0 +1,158 @@
+const SlotHold = require('../models/slotHold');
+const availabilityService = require('./availabilityService');
+const dateTime = require('../utils/dateTime');
+
+// How long a checkout hold keeps a slot reserved for the patient
+const SLOT_HOLD_TTL_MINS = 5;
+
+const SLOT_HELD_MESSAGE = 'This time slot is currently held by another patient. Please select another time.';
+
+/**
+ * Insert a hold without checking the doctor's schedule (callers do that).
+ * Expired holds on the same slot are purged first, since the TTL monitor only runs once a minute.
+ * @param {Object} holdData - { userId, doctorId, hospitalId, appointmentTypeId, date, time, duration, expiresAt, waitlistEntryId }
+ * @param {Object} [options] - { session }
+ * @returns {Promise<Document>} The created hold
+ */
+const createHold = async (holdData, options = {}) => {
+    const { userId, doctorId, hospitalId, appointmentTypeId, date, time, duration, expiresAt, waitlistEntryId } = holdData;
+    const { session } = options;
+
+    const startMinutes = dateTime.timeToMinutes(time);
+    if (startMinutes === null) throw new Error('Invalid time format.');
+    const canonicalTime = dateTime.minutesToTime(startMinutes);
+
+    await SlotHold.deleteMany({
+        doctor: doctorId,
+        date,
+        time: canonicalTime,
+        expiresAt: { $lte: new Date() }
+    }).session(session || null);
+
+    try {
+        const [hold] = await SlotHold.create([{
+            user: userId,
+            doctor: doctorId,
+            hospital: hospitalId,
+            appointmentType: appointmentTypeId,
+            date,
+            time: canonicalTime,
+            duration,
+            waitlistEntry: waitlistEntryId,
+            expiresAt
+        }], { session });
+        return hold;
+    } catch (error) {
+        if (error.code === 11000) throw new Error(SLOT_HELD_MESSAGE);
+        throw error;
+    }
+};
+
+/**
+ * Reserve a free slot for a patient while they complete checkout.
+ * A patient only keeps one checkout hold at a time; placing a new one releases the previous.
+ * @param {String} userId - Patient the slot is held for
+ * @param {Object} params - { doctorId, hospitalId, appointmentTypeId, date, time }
+ * @returns {Promise<Document>} The hold, with expiresAt
+ */
+const holdSlot = async (userId, { doctorId, hospitalId, appointmentTypeId, date, time }) => {
+    if (!doctorId || !hospitalId || !appointmentTypeId || !date || !time) {
+        throw new Error('Doctor, hospital, appointment type, date and time are required.');
+    }
+
+    const startMinutes = dateTime.timeToMinutes(time);
+    if (startMinutes === null) throw new Error('Invalid time format.');
+
+    const { duration, days } = await availabilityService.getAvailableSlots({
+        doctorId,
+        hospitalId,
+        appointmentTypeId,
+        startDate: date,
+        forUserId: userId
+    });
+
+    if (!days[0].slots.some(slot => slot.startMinutes === startMinutes)) {
+        const isHeld = await SlotHold.exists({
+            doctor: doctorId,
+            date,
+            time: dateTime.minutesToTime(startMinutes),
+            user: { $ne: userId },
+            expiresAt: { $gt: new Date() }
+        });
+        throw new Error(isHeld ? SLOT_HELD_MESSAGE : 'The selected time slot is no longer available.');
+    }
+
+    await SlotHold.deleteMany({ user: userId, waitlistEntry: { $exists: false } });
+
+    return await createHold({
+        userId,
+        doctorId,
+        hospitalId,
+        appointmentTypeId,
+        date,
+        time,
+        duration,
+        expiresAt: dateTime.minutesFromNow(SLOT_HOLD_TTL_MINS)
+    });
+};
+
+/**
+ * Release a patient's hold before it expires (e.g. checkout abandoned).
+ * @param {String} userId
+ * @param {String} holdId
+ */
+const releaseHold = async (userId, holdId) => {
+    const result = await SlotHold.deleteOne({ _id: holdId, user: userId });
+    if (result.deletedCount === 0) throw new Error('Slot hold not found.');
+    return { success: true };
+};
+
+/**
+ * Make sure nobody else holds a slot overlapping the requested booking.
+ * @param {Object} params - { patientId, doctorId, date, time, duration }
+ * @param {Object} [options] - { session }
+ */
+const assertNotHeldByOthers = async ({ patientId, doctorId, date, time, duration }, options = {}) => {
+    const startMinutes = dateTime.timeToMinutes(time);
+    if (startMinutes === null) return;
+    const endMinutes = startMinutes + duration;
+
+    const holds = await SlotHold.find({
+        doctor: doctorId,
+        date,
+        user: { $ne: patientId },
+        expiresAt: { $gt: new Date() }
+    }).session(options.session || null);
+
+    const isHeld = holds.some(hold => {
+        const holdStart = dateTime.timeToMinutes(hold.time);
+        return startMinutes < holdStart + hold.duration && endMinutes > holdStart;
+    });
+    if (isHeld) throw new Error(SLOT_HELD_MESSAGE);
+};
+
+/**
+ * Delete the patient's own hold on a slot once it has been booked.
+ * @param {Object} params - { patientId, doctorId, date, time }
+ * @param {Object} [options] - { session }
+ */
+const consumeHold = async ({ patientId, doctorId, date, time }, options = {}) => {
+    const startMinutes = dateTime.timeToMinutes(time);
+    if (startMinutes === null) return;
+
+    await SlotHold.deleteMany({
+        user: patientId,
+        doctor: doctorId,
+        date,
+        time: dateTime.minutesToTime(startMinutes)
+    }).session(options.session || null);
+};
+
+module.exports = {
+    SLOT_HOLD_TTL_MINS,
+    createHold,
+    holdSlot,
+    releaseHold,
+    assertNotHeldByOthers,
+    consumeHold
+};
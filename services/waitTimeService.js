@@ -0,0 +1,145 @@
+const QueueItem = require('../models/queueItem');
+const AppointmentType = require('../models/appointmentType');
+
+// Rolling window of a doctor's most recent completed consultations
+const SERVICE_HISTORY_SIZE = 50;
+
+// Below this many samples a doctor/type average is not trusted on its own
+const MIN_SERVICE_SAMPLES = 5;
+
+// Used when there is no history and no appointment type duration (e.g. walk-ins)
+const DEFAULT_SERVICE_MINS = 15;
+
+// Spread assumed for a guessed duration: standard deviation as a share of the mean
+const FALLBACK_SPREAD_RATIO = 0.4;
+
+// z-score of the reported range (covers roughly 80% of outcomes)
+const RANGE_Z = 1.28;
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const variance = (values, avg) => values.reduce((sum, v) => sum + (v - avg) ** 2, 0) / values.length;
+
+const describe = (durations) => {
+    const avg = mean(durations);
+    return { mean: avg, variance: variance(durations, avg), samples: durations.length };
+};
+
+/**
+ * Rolling service-time statistics for a doctor, overall and per appointment type.
+ * @param {String} doctorId
+ * @returns {Promise<Object>} - { overall: {mean, variance, samples}|null, byType: Map<typeId, {mean, variance, samples}> }
+ */
+const getServiceStats = async (doctorId) => {
+    const history = await QueueItem.find({
+        doctor: doctorId,
+        status: 'Done',
+        serviceStartedAt: { $ne: null },
+        completedAt: { $ne: null }
+    })
+        .sort({ completedAt: -1 })
+        .limit(SERVICE_HISTORY_SIZE)
+        .select('appointmentType serviceStartedAt completedAt')
+        .lean();
+
+    const durations = [];
+    const durationsByType = new Map();
+    history.forEach(item => {
+        const minutes = (item.completedAt - item.serviceStartedAt) / (60 * 1000);
+        if (minutes <= 0) return;
+        durations.push(minutes);
+        if (item.appointmentType) {
+            const key = item.appointmentType.toString();
+            if (!durationsByType.has(key)) durationsByType.set(key, []);
+            durationsByType.get(key).push(minutes);
+        }
+    });
+
+    const byType = new Map();
+    durationsByType.forEach((values, key) => byType.set(key, describe(values)));
+
+    return {
+        overall: durations.length > 0 ? describe(durations) : null,
+        byType
+    };
+};
+
+/**
+ * Expected consultation length for one queue item.
+ * Prefers this doctor's history for the type, then the doctor's overall history,
+ * then the appointment type's booked duration.
+ * @param {Object} item - Queue item (appointmentType may be empty for walk-ins)
+ * @param {Object} stats - Result of getServiceStats
+ * @param {Map<String, Number>} typeDurations - Booked duration per appointment type
+ * @returns {Object} - { mean, variance, fromHistory }
+ */
+const expectedServiceTime = (item, stats, typeDurations) => {
+    const typeKey = item.appointmentType ? item.appointmentType.toString() : null;
+    const typeStats = typeKey ? stats.byType.get(typeKey) : null;
+    if (typeStats && typeStats.samples >= MIN_SERVICE_SAMPLES) {
+        return { mean: typeStats.mean, variance: typeStats.variance, fromHistory: true };
+    }
+    if (stats.overall && stats.overall.samples >= MIN_SERVICE_SAMPLES) {
+        return { mean: stats.overall.mean, variance: stats.overall.variance, fromHistory: true };
+    }
+    const guess = (typeKey && typeDurations.get(typeKey)) || DEFAULT_SERVICE_MINS;
+    return { mean: guess, variance: (guess * FALLBACK_SPREAD_RATIO) ** 2, fromHistory: false };
+};
+
+/**
+ * Estimate how long each waiting patient still has to wait.
+ * The estimate is the remaining time of the patient being served plus the expected
+ * service time of everyone ahead; the range assumes independent consultation lengths.
+ * @param {String} doctorId
+ * @param {Array<Object>} waiting - Waiting queue items in call order (need appointmentType)
+ * @param {Object} [serving] - The queue item being served (needs appointmentType, serviceStartedAt/calledAt)
+ * @returns {Promise<Array<Object>>} - Per waiting item: { estimatedWaitTime, range: { low, high }, confidence }
+ */
+const estimateWaits = async (doctorId, waiting, serving) => {
+    if (waiting.length === 0) return [];
+
+    const stats = await getServiceStats(doctorId);
+
+    const typeIds = [...new Set([...waiting, serving].filter(i => i && i.appointmentType).map(i => i.appointmentType.toString()))];
+    const types = typeIds.length > 0 ? await AppointmentType.find({ _id: { $in: typeIds } }).select('duration').lean() : [];
+    const typeDurations = new Map(types.map(t => [t._id.toString(), t.duration]));
+
+    let totalMean = 0;
+    let totalVariance = 0;
+    let allFromHistory = true;
+
+    if (serving) {
+        const expected = expectedServiceTime(serving, stats, typeDurations);
+        const startedAt = serving.serviceStartedAt || serving.calledAt;
+        const elapsed = startedAt ? (Date.now() - startedAt.getTime()) / (60 * 1000) : 0;
+        totalMean += Math.max(0, expected.mean - elapsed);
+        totalVariance += expected.variance;
+        allFromHistory = allFromHistory && expected.fromHistory;
+    }
+
+    const sampleSize = stats.overall ? stats.overall.samples : 0;
+    return waiting.map(item => {
+        const spread = RANGE_Z * Math.sqrt(totalVariance);
+        const estimate = {
+            estimatedWaitTime: Math.round(totalMean),
+            range: {
+                low: Math.max(0, Math.floor(totalMean - spread)),
+                high: Math.ceil(totalMean + spread)
+            },
+            confidence: !allFromHistory ? 'low' : (sampleSize >= SERVICE_HISTORY_SIZE / 2 ? 'high' : 'medium')
+        };
+
+        // Everyone behind this patient also waits for their consultation
+        const expected = expectedServiceTime(item, stats, typeDurations);
+        totalMean += expected.mean;
+        totalVariance += expected.variance;
+        allFromHistory = allFromHistory && expected.fromHistory;
+
+        return estimate;
+    });
+};
+
+module.exports = {
+    DEFAULT_SERVICE_MINS,
+    getServiceStats,
+    estimateWaits
+};
@@ -0,0 +1,74 @@
+// Optional node-cron - only load if available
+let cron = null;
+try {
+    cron = require('node-cron');
+} catch (error) {
+    console.warn('⚠️ node-cron not installed. Waitlist scheduler will be disabled.');
+}
+
+const waitlistService = require('./waitlistService');
+const { DEFAULT_TIMEZONE } = require('../utils/dateTime');
+
+/**
+ * Scheduler service for the doctor waitlist
+ * Rolls over slot offers that were not accepted in time and expires finished entries
+ */
+class WaitlistScheduler {
+    static isRunning = false;
+    static cronJobs = [];
+
+    /**
+     * Start the waitlist scheduler
+     */
+    static start() {
+        if (this.isRunning) {
+            console.warn('⚠️ Waitlist scheduler is already running');
+            return;
+        }
+
+        if (!cron) {
+            console.warn('⚠️ node-cron not installed. Waitlist scheduler will not start.');
+            return;
+        }
+
+        console.log('🚀 Starting Waitlist Scheduler...');
+
+        // Offers last WAITLIST_OFFER_TTL_MINS, so checking every 5 minutes keeps roll-over prompt
+        const offerJob = cron.schedule('*/5 * * * *', async () => {
+            try {
+                const results = await waitlistService.processExpiredOffers();
+                if (results.rolledOver || results.expired) {
+                    console.log(`⏰ Waitlist: ${results.rolledOver} offers rolled over, ${results.expired} entries expired`);
+                }
+            } catch (error) {
+                console.error('❌ Error in scheduled waitlist check:', error);
+            }
+        }, {
+            scheduled: true,
+            timezone: DEFAULT_TIMEZONE
+        });
+
+        this.cronJobs.push(offerJob);
+        this.isRunning = true;
+
+        console.log('✅ Waitlist scheduler started (runs every 5 minutes)');
+    }
+
+    /**
+     * Stop the waitlist scheduler
+     */
+    static stop() {
+        if (!this.isRunning) {
+            console.warn('⚠️ Waitlist scheduler is not running');
+            return;
+        }
+
+        this.cronJobs.forEach(job => job.stop());
+        this.cronJobs = [];
+        this.isRunning = false;
+
+        console.log('🛑 Waitlist scheduler stopped');
+    }
+}
+
+module.exports = WaitlistScheduler;
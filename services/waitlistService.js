@@ -0,0 +1,336 @@
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/waitlistEntry');
+const SlotHold = require('../models/slotHold');
+const User = require('../models/user');
+const Hospital = require('../models/hospital');
+const AppointmentType = require('../models/appointmentType');
+const availabilityService = require('./availabilityService');
+const bookingService = require('./bookingService');
+const slotHoldService = require('./slotHoldService');
+const dateTime = require('../utils/dateTime');
+const { createNotification } = require('../utils/notificationHelper');
+
+// How long a waitlisted patient has to accept an offered slot before it rolls over
+const WAITLIST_OFFER_TTL_MINS = 30;
+
+const slotKey = (date, time) => `${date}|${time}`;
+
+/**
+ * Add a patient to a doctor's waitlist for a date range.
+ * @param {String} userId - Patient ID
+ * @param {Object} params - { doctorId, hospitalId, appointmentTypeId, startDate, endDate }
+ * @returns {Promise<Document>} The created waitlist entry
+ */
+const joinWaitlist = async (userId, { doctorId, hospitalId, appointmentTypeId, startDate, endDate }) => {
+    if (!doctorId || !hospitalId || !appointmentTypeId || !startDate) {
+        throw new Error('Doctor, hospital, appointment type and start date are required.');
+    }
+
+    const rangeEnd = endDate || startDate;
+    if (!dateTime.isValidDateString(startDate) || !dateTime.isValidDateString(rangeEnd) || rangeEnd < startDate) {
+        throw new Error('Invalid date range. Use YYYY-MM-DD and make sure the end date is not before the start date.');
+    }
+
+    const [doctor, appointmentType, hospital] = await Promise.all([
+        User.findById(doctorId),
+        AppointmentType.findById(appointmentTypeId),
+        Hospital.findById(hospitalId).select('timezone')
+    ]);
+
+    if (!hospital) {
+        throw new Error('Hospital not found.');
+    }
+    const today = dateTime.todayIn(hospital);
+    if (rangeEnd < today) {
+        throw new Error('Invalid date range. The waitlist period is already over.');
+    }
+    if (!doctor || doctor.role !== 'doctor' || !doctor.hospitals.map(h => h.toString()).includes(hospitalId.toString())) {
+        throw new Error('Doctor not found or not associated with this hospital.');
+    }
+    if (!appointmentType || appointmentType.hospital.toString() !== hospitalId.toString()) {
+        throw new Error('Appointment type not found for this hospital.');
+    }
+
+    const existing = await WaitlistEntry.findOne({
+        user: userId,
+        doctor: doctorId,
+        hospital: hospitalId,
+        status: { $in: ['Waiting', 'Offered'] }
+    });
+    if (existing) {
+        throw new Error('You are already on the waitlist for this doctor.');
+    }
+
+    return await WaitlistEntry.create({
+        user: userId,
+        doctor: doctorId,
+        hospital: hospitalId,
+        appointmentType: appointmentTypeId,
+        startDate: startDate < today ? today : startDate,
+        endDate: rangeEnd
+    });
+};
+
+/**
+ * Offer a slot that may have just opened up to the next eligible waitlisted patient.
+ * Patients are served in join order; an entry is skipped if the slot does not fit its
+ * appointment type, or if that patient already passed on this exact slot.
+ * @param {Object} slot - { doctorId, hospitalId, date, time }
+ * @returns {Promise<Document|null>} The entry that received the offer, if any
+ */
+const offerFreedSlot = async ({ doctorId, hospitalId, date, time }) => {
+    const startMinutes = dateTime.timeToMinutes(time);
+    if (!date || startMinutes === null) return null;
+    const hospital = await Hospital.findById(hospitalId).select('timezone');
+    if (!hospital || date < dateTime.todayIn(hospital)) return null;
+
+    const canonicalTime = dateTime.minutesToTime(startMinutes);
+    const key = slotKey(date, canonicalTime);
+
+    const candidates = await WaitlistEntry.find({
+        doctor: doctorId,
+        hospital: hospitalId,
+        status: 'Waiting',
+        startDate: { $lte: date },
+        endDate: { $gte: date },
+        passedSlots: { $ne: key }
+    }).sort({ createdAt: 1 });
+
+    // Free slots per appointment type, since the duration decides whether the gap fits
+    const availabilityByType = new Map();
+
+    for (const entry of candidates) {
+        const typeId = entry.appointmentType.toString();
+        if (!availabilityByType.has(typeId)) {
+            const { duration, days } = await availabilityService.getAvailableSlots({
+                doctorId,
+                hospitalId,
+                appointmentTypeId: typeId,
+                startDate: date
+            });
+            availabilityByType.set(typeId, { duration, slots: days[0].slots });
+        }
+
+        const { duration, slots } = availabilityByType.get(typeId);
+        if (!slots.some(slot => slot.startMinutes === startMinutes)) continue;
+
+        const expiresAt = dateTime.minutesFromNow(WAITLIST_OFFER_TTL_MINS);
+
+        // Claim the entry atomically in case another freed slot is being processed concurrently
+        const offered = await WaitlistEntry.findOneAndUpdate(
+            { _id: entry._id, status: 'Waiting' },
+            {
+                status: 'Offered',
+                offer: { date, time: canonicalTime, offeredAt: new Date(), expiresAt }
+            },
+            { new: true }
+        ).populate('doctor', 'name');
+
+        if (!offered) continue;
+
+        // Hold the slot for the offer so nobody else can book it in the meantime
+        try {
+            await slotHoldService.createHold({
+                userId: offered.user,
+                doctorId,
+                hospitalId,
+                appointmentTypeId: typeId,
+                date,
+                time: canonicalTime,
+                duration,
+                expiresAt,
+                waitlistEntryId: offered._id
+            });
+        } catch (error) {
+            // Someone placed a checkout hold first; put the entry back in line
+            await WaitlistEntry.updateOne({ _id: offered._id, status: 'Offered' }, { status: 'Waiting', offer: null });
+            return null;
+        }
+
+        await createNotification(
+            offered.user,
+            'appointment',
+            {
+                en: `Good news! A slot opened up with Dr. ${offered.doctor.name.en} on ${date} at ${canonicalTime}. Accept within ${WAITLIST_OFFER_TTL_MINS} minutes to book it.`,
+                ar: `خبر سار! توفر موعد مع د. ${offered.doctor.name.ar || offered.doctor.name.en} بتاريخ ${date} في ${canonicalTime}. يرجى القبول خلال ${WAITLIST_OFFER_TTL_MINS} دقيقة لحجزه.`
+            },
+            {
+                title: {
+                    en: 'Waitlist Slot Available',
+                    ar: 'موعد متاح من قائمة الانتظار'
+                },
+                language: 'ar',
+                data: {
+                    type: 'waitlist_offer',
+                    waitlistEntryId: offered._id.toString(),
+                    date,
+                    time: canonicalTime,
+                    link: `#/appointments`
+                }
+            }
+        );
+
+        console.log(`[WAITLIST] Offered ${date} ${canonicalTime} with doctor ${doctorId} to waitlist entry ${offered._id}`);
+        return offered;
+    }
+
+    return null;
+};
+
+/**
+ * Fire-and-forget wrapper used by the appointment routes after a cancellation commits.
+ * @param {Object} appointment - The appointment whose slot was released
+ */
+const notifySlotFreed = (appointment) => {
+    offerFreedSlot({
+        doctorId: appointment.doctor._id || appointment.doctor,
+        hospitalId: appointment.hospital._id || appointment.hospital,
+        date: appointment.date,
+        time: appointment.time
+    }).catch(error => {
+        console.error('[WAITLIST] Failed to offer freed slot:', error.message);
+    });
+};
+
+/**
+ * Take back an outstanding offer and roll the slot over to the next patient.
+ * The patient stays on the waitlist but will not be offered the same slot again.
+ * @param {Object} filter - Must match an entry in 'Offered' status
+ * @param {Object} [update={}] - Extra fields to set (e.g. status 'Cancelled')
+ * @returns {Promise<Document|null>} The updated entry, if it still had an offer
+ */
+const releaseOffer = async (filter, update = {}) => {
+    const entry = await WaitlistEntry.findOne({ ...filter, status: 'Offered' });
+    if (!entry || !entry.offer) return null;
+
+    const { date, time } = entry.offer;
+    const released = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'Offered' },
+        {
+            status: 'Waiting',
+            offer: null,
+            $addToSet: { passedSlots: slotKey(date, time) },
+            ...update
+        },
+        { new: true }
+    );
+    if (!released) return null;
+
+    await SlotHold.deleteMany({ waitlistEntry: entry._id });
+    await offerFreedSlot({ doctorId: entry.doctor, hospitalId: entry.hospital, date, time });
+    return released;
+};
+
+/**
+ * Leave the waitlist. An outstanding offer is passed on to the next patient.
+ * @param {String} userId
+ * @param {String} entryId
+ */
+const leaveWaitlist = async (userId, entryId) => {
+    const released = await releaseOffer({ _id: entryId, user: userId }, { status: 'Cancelled' });
+    if (released) return { success: true };
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: entryId, user: userId, status: 'Waiting' },
+        { status: 'Cancelled' },
+        { new: true }
+    );
+    if (!entry) throw new Error('Waitlist entry not found.');
+    return { success: true };
+};
+
+/**
+ * Decline an offered slot; the patient keeps their place for other slots.
+ * @param {String} userId
+ * @param {String} entryId
+ */
+const declineOffer = async (userId, entryId) => {
+    const released = await releaseOffer({ _id: entryId, user: userId });
+    if (!released) throw new Error('There is no active offer for this waitlist entry.');
+    return released;
+};
+
+/**
+ * Accept an offered slot and book it in a single transaction.
+ * @param {String} userId
+ * @param {String} entryId
+ * @returns {Promise<Document>} The booked appointment
+ */
+const acceptOffer = async (userId, entryId) => {
+    const session = await mongoose.startSession();
+    let appointment;
+    try {
+        await session.withTransaction(async () => {
+            const entry = await WaitlistEntry.findOne({ _id: entryId, user: userId }).session(session);
+            if (!entry) throw new Error('Waitlist entry not found.');
+            if (entry.status !== 'Offered' || !entry.offer) {
+                throw new Error('There is no active offer for this waitlist entry.');
+            }
+            if (entry.offer.expiresAt <= new Date()) {
+                throw new Error('This offer has expired.');
+            }
+
+            appointment = await bookingService.bookAppointment({
+                patientId: userId,
+                doctorId: entry.doctor,
+                hospitalId: entry.hospital,
+                appointmentTypeId: entry.appointmentType,
+                date: entry.offer.date,
+                time: entry.offer.time
+            }, { session });
+
+            entry.status = 'Booked';
+            entry.appointment = appointment._id;
+            await entry.save({ session });
+        });
+        return appointment;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Roll over offers nobody claimed in time and close entries whose period is over.
+ * Called periodically by the WaitlistScheduler.
+ * @returns {Promise<Object>} - { rolledOver, expired }
+ */
+const processExpiredOffers = async () => {
+    const staleOffers = await WaitlistEntry.find({
+        status: 'Offered',
+        'offer.expiresAt': { $lte: new Date() }
+    }).select('_id');
+
+    let rolledOver = 0;
+    for (const { _id } of staleOffers) {
+        try {
+            if (await releaseOffer({ _id, 'offer.expiresAt': { $lte: new Date() } })) rolledOver++;
+        } catch (error) {
+            console.error(`[WAITLIST] Failed to roll over offer ${_id}:`, error.message);
+        }
+    }
+
+    // Periods end at midnight in each hospital's own timezone
+    let expired = 0;
+    const hospitalIds = await WaitlistEntry.distinct('hospital', { status: 'Waiting' });
+    const hospitals = await Hospital.find({ _id: { $in: hospitalIds } }).select('timezone');
+    for (const hospital of hospitals) {
+        const { modifiedCount } = await WaitlistEntry.updateMany(
+            { hospital: hospital._id, status: 'Waiting', endDate: { $lt: dateTime.todayIn(hospital) } },
+            { status: 'Expired' }
+        );
+        expired += modifiedCount;
+    }
+
+    return { rolledOver, expired };
+};
+
+module.exports = {
+    WAITLIST_OFFER_TTL_MINS,
+    joinWaitlist,
+    leaveWaitlist,
+    offerFreedSlot,
+    notifySlotFreed,
+    acceptOffer,
+    declineOffer,
+    processExpiredOffers
+};
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const Wallet = require('../models/wallet');
 const Transaction = require('../models/transaction');
+const ledgerService = require('./ledgerService');
 
 /**
  * Gets a user's wallet, creating one if it doesn't exist.
@@ -16,8 +17,8 @@ const getOrCreateWallet = async (userId) => {
 };
 
 /**
- * Creates a transaction and updates the user's wallet balance. Can operate within an existing
- * Mongoose session or create its own transaction.
+ * Creates a transaction, updates the user's wallet balance and posts the matching ledger entry.
+ * Can operate within an existing Mongoose session or create its own transaction.
  * @param {object} transactionData - The data for the new transaction.
  * @param {object} [options={}] - Options for the transaction.
  * @param {mongoose.ClientSession} [options.session] - An optional existing Mongoose session.
@@ -25,7 +26,7 @@ const getOrCreateWallet = async (userId) => {
  */
 const createTransactionAndUpdateWallet = async (transactionData, options = {}) => {
     const { session: existingSession } = options;
-    const { userId, amount, type, transactionType, description, referenceId, hospitalId } = transactionData;
+    const { userId, amount, type, transactionType, description, referenceId, hospitalId, policyTier, fundingSource } = transactionData;
     
     if (userId === undefined || amount === undefined || type === undefined || transactionType === undefined || description === undefined || referenceId === undefined) {
         throw new Error('Missing required fields for transaction.');
@@ -58,25 +59,34 @@ const createTransactionAndUpdateWallet = async (transactionData, options = {}) =
             transactionType,
             description,
             referenceId,
+            policyTier,
+            fundingSource,
             status: 'Completed'
         });
 
-        return await newTransaction.save({ session });
+        await newTransaction.save({ session });
+        await ledgerService.postTransaction(newTransaction, { session });
+        return newTransaction;
     };
 
+    return runInTransaction(existingSession, performDbOperations);
+};
+
+// Run `operations` in the caller's session, or in a transaction of its own when there is none
+const runInTransaction = async (existingSession, operations) => {
     if (existingSession) {
         // If a session is passed, we're part of a larger transaction.
         // The caller is responsible for committing/aborting.
-        return await performDbOperations(existingSession);
+        return await operations(existingSession);
     } else {
         // If no session, create one and manage the transaction here.
         const session = await mongoose.startSession();
-        let savedTransaction;
+        let result;
         try {
             await session.withTransaction(async () => {
-                savedTransaction = await performDbOperations(session);
+                result = await operations(session);
             });
-            return savedTransaction;
+            return result;
         } catch (error) {
             // Log the error but re-throw it to be handled by the controller
             console.error('Transaction failed and was rolled back:', error.message);
@@ -87,7 +97,71 @@ const createTransactionAndUpdateWallet = async (transactionData, options = {}) =
     }
 };
 
+/**
+ * Creates a pending wallet credit, e.g. a deposit waiting for the payment provider.
+ * The wallet is only credited once the transaction is completed.
+ * @param {object} transactionData - Same fields as createTransactionAndUpdateWallet, plus `payment`.
+ * @returns {Promise<Document>} The pending transaction document.
+ */
+const createPendingTransaction = async (transactionData) => {
+    const { userId, amount, transactionType, description, referenceId, hospitalId, fundingSource, payment } = transactionData;
+    const wallet = await getOrCreateWallet(userId);
+
+    return await Transaction.create({
+        wallet: wallet._id,
+        user: userId,
+        hospital: hospitalId,
+        amount,
+        type: 'credit',
+        transactionType,
+        description,
+        referenceId,
+        fundingSource,
+        payment,
+        status: 'Pending'
+    });
+};
+
+/**
+ * Completes a pending credit: credits the wallet and posts the ledger entry. Completing the same
+ * transaction twice does nothing the second time.
+ * @param {string} transactionId
+ * @param {object} [options={}] - { session }
+ * @returns {Promise<Document|null>} The completed transaction, or null if it was not pending.
+ */
+const completePendingTransaction = async (transactionId, options = {}) => {
+    return runInTransaction(options.session, async (session) => {
+        const transaction = await Transaction.findOneAndUpdate(
+            { _id: transactionId, status: 'Pending', type: 'credit' },
+            { status: 'Completed', 'payment.completedAt': new Date() },
+            { new: true, session }
+        );
+        if (!transaction) return null;
+
+        await Wallet.updateOne({ _id: transaction.wallet }, { $inc: { balance: transaction.amount } }, { session });
+        await ledgerService.postTransaction(transaction, { session });
+        return transaction;
+    });
+};
+
+/**
+ * Marks a pending transaction as failed. The wallet is not touched.
+ * @param {string} transactionId
+ * @param {string} reason
+ * @returns {Promise<Document|null>} The failed transaction, or null if it was not pending.
+ */
+const failPendingTransaction = async (transactionId, reason) => {
+    return await Transaction.findOneAndUpdate(
+        { _id: transactionId, status: 'Pending' },
+        { status: 'Failed', 'payment.failureReason': reason },
+        { new: true }
+    );
+};
+
 module.exports = {
     getOrCreateWallet,
-    createTransactionAndUpdateWallet
+    createTransactionAndUpdateWallet,
+    createPendingTransaction,
+    completePendingTransaction,
+    failPendingTransaction
 };
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+const escapeCell = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document.
+ * @param {Array<Object>} columns - { header, value: (row) => any }
+ * @param {Array<Object>} rows
+ * @returns {String}
+ */
+const toCsv = (columns, rows) => {
+    const lines = [columns.map(column => escapeCell(column.header)).join(',')];
+    rows.forEach(row => lines.push(columns.map(column => escapeCell(column.value(row))).join(',')));
+    return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = { toCsv };
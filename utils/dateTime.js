@@ -0,0 +1,205 @@
+const moment = require('moment-timezone');
+
+// Clinics operate in Libya; hospitals can override this with their own timezone
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Africa/Tripoli';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+// Fallback duration for legacy appointments whose type was deleted
+const DEFAULT_APPOINTMENT_DURATION_MINS = 30;
+
+/**
+ * Resolve the timezone to use for a hospital (document, lean object or timezone string).
+ * @param {Object|String} [hospitalOrTimezone]
+ * @returns {String} - IANA timezone name
+ */
+const resolveTimezone = (hospitalOrTimezone) => {
+    const timezone = typeof hospitalOrTimezone === 'string'
+        ? hospitalOrTimezone
+        : hospitalOrTimezone && hospitalOrTimezone.timezone;
+    return timezone && moment.tz.zone(timezone) ? timezone : DEFAULT_TIMEZONE;
+};
+
+/**
+ * Check whether a value is a valid IANA timezone name.
+ * @param {String} timezone
+ * @returns {Boolean}
+ */
+const isValidTimezone = (timezone) => typeof timezone === 'string' && !!moment.tz.zone(timezone);
+
+/**
+ * Convert a time string to minutes since midnight.
+ * Accepts both 12-hour ("2:30 PM", "2:30PM") and 24-hour ("14:30") formats.
+ * @param {String} timeStr
+ * @returns {Number|null} - Minutes since midnight, or null if unparseable
+ */
+const timeToMinutes = (timeStr) => {
+    if (!timeStr || typeof timeStr !== 'string') return null;
+    const match = timeStr.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+    if (!match) return null;
+
+    let hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    const modifier = match[3] ? match[3].toUpperCase() : null;
+
+    if (modifier === 'PM' && hours < 12) hours += 12;
+    if (modifier === 'AM' && hours === 12) hours = 0;
+    return hours * 60 + minutes;
+};
+
+/**
+ * Format minutes since midnight as a 12-hour time string ("2:30 PM").
+ * This is the format the booking flow stores on Appointment.time.
+ * @param {Number} minutes
+ * @returns {String}
+ */
+const minutesToTime = (minutes) => {
+    const normalized = ((minutes % (24 * 60)) + 24 * 60) % (24 * 60);
+    const hours = Math.floor(normalized / 60);
+    const mins = normalized % 60;
+    const ampm = hours >= 12 ? 'PM' : 'AM';
+    const formattedHours = hours % 12 === 0 ? 12 : hours % 12;
+    const formattedMinutes = mins.toString().padStart(2, '0');
+    return `${formattedHours}:${formattedMinutes} ${ampm}`;
+};
+
+/**
+ * Check that a value is a 'YYYY-MM-DD' calendar date.
+ * @param {String} value
+ * @returns {Boolean}
+ */
+const isValidDateString = (value) => typeof value === 'string' && moment(value, DATE_FORMAT, true).isValid();
+
+/**
+ * Normalize a stored or user-supplied date (Date, ISO string, 'YYYY-MM-DD') to 'YYYY-MM-DD'.
+ * Instants are read in the given timezone so late-evening bookings keep their local day.
+ * @param {Date|String} value
+ * @param {Object|String} [hospitalOrTimezone]
+ * @returns {String|null}
+ */
+const normalizeDate = (value, hospitalOrTimezone) => {
+    if (!value) return null;
+    if (isValidDateString(value)) return value;
+    const m = value instanceof Date
+        ? moment(value).tz(resolveTimezone(hospitalOrTimezone))
+        : moment.tz(String(value).trim(), [moment.ISO_8601, DATE_FORMAT, 'YYYY/MM/DD', 'DD-MM-YYYY', 'DD/MM/YYYY'], resolveTimezone(hospitalOrTimezone));
+    return m.isValid() ? m.format(DATE_FORMAT) : null;
+};
+
+/**
+ * Today's calendar date at a hospital.
+ * @param {Object|String} [hospitalOrTimezone]
+ * @returns {String} - YYYY-MM-DD
+ */
+const todayIn = (hospitalOrTimezone) => moment().tz(resolveTimezone(hospitalOrTimezone)).format(DATE_FORMAT);
+
+/**
+ * Minutes since local midnight right now at a hospital.
+ * @param {Object|String} [hospitalOrTimezone]
+ * @returns {Number}
+ */
+const nowMinutesIn = (hospitalOrTimezone) => {
+    const now = moment().tz(resolveTimezone(hospitalOrTimezone));
+    return now.hours() * 60 + now.minutes();
+};
+
+/**
+ * Shift a calendar date by a number of days.
+ * @param {String} date - YYYY-MM-DD
+ * @param {Number} days - May be negative
+ * @returns {String} - YYYY-MM-DD
+ */
+const addDays = (date, days) => moment(date, DATE_FORMAT).add(days, 'days').format(DATE_FORMAT);
+
+/**
+ * Whole days between two calendar dates (to - from).
+ * @param {String} from - YYYY-MM-DD
+ * @param {String} to - YYYY-MM-DD
+ * @returns {Number}
+ */
+const diffDays = (from, to) => moment(to, DATE_FORMAT).diff(moment(from, DATE_FORMAT), 'days');
+
+/**
+ * English weekday name of a calendar date ("Tuesday"), matching the schedule's dayOfWeek values.
+ * @param {String} date - YYYY-MM-DD
+ * @returns {String}
+ */
+const dayOfWeek = (date) => moment(date, DATE_FORMAT).locale('en').format('dddd');
+
+/**
+ * Build the instant an appointment starts at, from its local date and time at the hospital.
+ * @param {String} date - YYYY-MM-DD
+ * @param {String} time - e.g. "2:30 PM" or "14:30"
+ * @param {Object|String} [hospitalOrTimezone]
+ * @returns {Date|null}
+ */
+const toInstant = (date, time, hospitalOrTimezone) => {
+    const minutes = timeToMinutes(time);
+    if (!isValidDateString(date) || minutes === null) return null;
+    return moment.tz(date, DATE_FORMAT, resolveTimezone(hospitalOrTimezone))
+        .add(minutes, 'minutes')
+        .toDate();
+};
+
+/**
+ * Start and end instants of an appointment.
+ * @param {String} date - YYYY-MM-DD
+ * @param {String} time
+ * @param {Number} durationMins
+ * @param {Object|String} [hospitalOrTimezone]
+ * @returns {{startAt: Date, endAt: Date}|null}
+ */
+const getAppointmentWindow = (date, time, durationMins, hospitalOrTimezone) => {
+    const startAt = toInstant(date, time, hospitalOrTimezone);
+    if (!startAt) return null;
+    return { startAt, endAt: new Date(startAt.getTime() + durationMins * 60 * 1000) };
+};
+
+/**
+ * First and last instant of a calendar day at a hospital.
+ * @param {String} date - YYYY-MM-DD
+ * @param {Object|String} [hospitalOrTimezone]
+ * @returns {{start: Date, end: Date}}
+ */
+const dayBoundsIn = (date, hospitalOrTimezone) => {
+    const day = moment.tz(date, DATE_FORMAT, resolveTimezone(hospitalOrTimezone));
+    return { start: day.clone().startOf('day').toDate(), end: day.clone().endOf('day').toDate() };
+};
+
+/**
+ * The instant a number of minutes from now (used for expiring holds and offers).
+ * @param {Number} minutes
+ * @returns {Date}
+ */
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+/**
+ * Format an instant in a hospital's local time.
+ * @param {Date} instant
+ * @param {String} format - moment format string
+ * @param {Object|String} [hospitalOrTimezone]
+ * @returns {String}
+ */
+const formatIn = (instant, format, hospitalOrTimezone) => moment(instant).tz(resolveTimezone(hospitalOrTimezone)).format(format);
+
+module.exports = {
+    DEFAULT_TIMEZONE,
+    DATE_FORMAT,
+    DEFAULT_APPOINTMENT_DURATION_MINS,
+    resolveTimezone,
+    isValidTimezone,
+    timeToMinutes,
+    minutesToTime,
+    isValidDateString,
+    normalizeDate,
+    todayIn,
+    nowMinutesIn,
+    addDays,
+    diffDays,
+    dayOfWeek,
+    toInstant,
+    getAppointmentWindow,
+    dayBoundsIn,
+    minutesFromNow,
+    formatIn
+};
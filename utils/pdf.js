@@ -0,0 +1,63 @@
+// Minimal text-only PDF writer for downloadable statements. Uses the built-in Courier fonts,
+// so columns padded with spaces line up. Only Latin-1 text is supported.
+const PAGE_WIDTH = 595; // A4, in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+const FONT_SIZE = 9;
+const LINE_HEIGHT = 13;
+const LINES_PER_PAGE = Math.floor((PAGE_HEIGHT - 2 * MARGIN) / LINE_HEIGHT);
+
+const escapeText = (text) => String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/([\\()])/g, '\\$1');
+
+const pageContent = (lines) => {
+    const body = lines.map(line => {
+        const { text, bold } = typeof line === 'string' ? { text: line } : line;
+        return `/${bold ? 'F2' : 'F1'} ${FONT_SIZE} Tf (${escapeText(text)}) Tj T*`;
+    });
+    return `BT\n${LINE_HEIGHT} TL\n${MARGIN} ${PAGE_HEIGHT - MARGIN} Td\n${body.join('\n')}\nET`;
+};
+
+/**
+ * Render lines of text into a PDF document, starting a new page when one is full.
+ * @param {Array<String|Object>} lines - A string, or { text, bold }
+ * @returns {Buffer}
+ */
+const renderTextPdf = (lines) => {
+    const pages = [];
+    for (let i = 0; i < Math.max(lines.length, 1); i += LINES_PER_PAGE) {
+        pages.push(lines.slice(i, i + LINES_PER_PAGE));
+    }
+
+    // 1: catalog, 2: page tree, 3-4: fonts, then a page object and its content stream per page
+    const pageIds = pages.map((_, index) => 5 + index * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Courier-Bold /Encoding /WinAnsiEncoding >>'
+    ];
+    pages.forEach((pageLines, index) => {
+        const content = pageContent(pageLines);
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+    renderTextPdf
+};